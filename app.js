@@ -1,977 +1,717 @@
 const express = require('express');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { LocalAuth, RemoteAuth } = require('whatsapp-web.js');
+const { MongoStore } = require('wwebjs-mongo');
+const mongoose = require('mongoose');
 const qrcode = require('qrcode-terminal');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-require('dotenv').config();
-
-// Initialize Express app
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// WhatsApp Client
-let client;
-let isClientReady = false;
-let qrCodeData = null;
-
-// Middleware
-app.use(helmet());
-app.use(morgan('combined'));
-app.use(cors({
-    origin: process.env.CORS_ORIGIN || '*',
-    credentials: true
-}));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-    message: 'Too many requests from this IP'
-});
-app.use('/api/', limiter);
-
-// API Key middleware
-const authenticateApiKey = (req, res, next) => {
-    const apiKey = req.headers['x-api-key'] || req.query.api_key;
-    if (!apiKey || apiKey !== process.env.API_KEY) {
-        return res.status(401).json({ error: 'Invalid or missing API key' });
+const axios = require('axios');
+const SessionManager = require('./utils/sessionManager');
+const Session = require('./models/Session');
+const createSessionsRouter = require('./routes/sessions');
+const createSendRouter = require('./routes/send');
+const createWhatsAppRouter = require('./routes/whatsapp');
+const { createDirectSender } = require('./utils/directSend');
+const MessageQueue = require('./utils/messageQueue');
+const createMessagesRouter = require('./routes/messages');
+const Scheduler = require('./utils/scheduler');
+const createSchedulesRouter = require('./routes/schedules');
+const createTemplatesRouter = require('./routes/templates');
+const CampaignRunner = require('./utils/campaignRunner');
+const createCampaignsRouter = require('./routes/campaigns');
+const SuppressionList = require('./utils/suppressionList');
+const createSuppressionsRouter = require('./routes/suppressions');
+const { createApiKeyAuth, readOr } = require('./utils/apiKeys');
+const createApiKeysRouter = require('./routes/apiKeys');
+const createConfigRouter = require('./routes/config');
+const SendLimiter = require('./utils/sendLimiter');
+const EventStream = require('./utils/eventStream');
+const ackTracker = require('./utils/ackTracker');
+const createAcksRouter = require('./routes/acks');
+const WebhookDispatcher = require('./utils/webhookDispatcher');
+const createWebhooksRouter = require('./routes/webhooks');
+const { serializeMessage, serializeGroupNotification } = require('./utils/serialize');
+const createGroupsRouter = require('./routes/groups');
+const createChatsRouter = require('./routes/chats');
+const { archiveMessage } = require('./utils/messageArchive');
+const createArchiveRouter = require('./routes/archive');
+const MediaStore = require('./utils/mediaStore');
+const createMediaRouter = require('./routes/media');
+const CommandRegistry = require('./utils/commandRegistry');
+const Notifier = require('./utils/notifier');
+const NotificationTemplates = require('./utils/notificationTemplates');
+const { EmailChannel, ChatWebhookChannel, HttpCallbackChannel, WhatsAppChannel } = require('./utils/notificationChannels');
+const createNotificationsRouter = require('./routes/notifications');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+/**
+ * Builds the WhatsApp Bot API for a configuration from utils/config.js.
+ * config.auth.strategy decides where sessions are stored (local files or MongoDB),
+ * config.features which modules are set up and mounted, config.email and
+ * config.notifications where alerts about sessions are sent.
+ *
+ * Nothing runs until start(): it connects MongoDB (when configured), starts the
+ * background workers and the WhatsApp sessions. The caller listens on `app`.
+ *
+ * @returns {{ app, sessionManager, messageQueue, webhookDispatcher, notifier, start: Function, shutdown: Function }}
+ */
+function createApp(config) {
+    const { features } = config;
+    const app = express();
+
+    // Reconnect retries and keep-alive pings, cleared by shutdown()
+    const timers = new Set();
+    function later(fn, ms) {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            fn();
+        }, ms);
+        timers.add(timer);
     }
-    next();
-};
-
-// File upload configuration
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        const uploadDir = './uploads';
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir);
+
+    // Where sessions keep their WhatsApp login: one LocalAuth directory per session id,
+    // or one RemoteAuth clientId per session in the MongoDB store
+    let store = null;
+    const authStrategies = {
+        local: {
+            create: (sessionId) => new LocalAuth({ clientId: sessionId, dataPath: config.auth.dataPath }),
+            remove: (sessionId) => fs.promises.rm(path.join(config.auth.dataPath, `session-${sessionId}`), { recursive: true, force: true })
+        },
+        mongo: {
+            create: (sessionId) => new RemoteAuth({
+                store: store,
+                backupSyncIntervalMs: config.auth.backupSyncIntervalMs,
+                clientId: sessionId
+            }),
+            remove: async (sessionId) => {
+                const session = `RemoteAuth-${sessionId}`;
+                if (await store.sessionExists({ session })) {
+                    await store.delete({ session });
+                }
+            }
         }
-        cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-        cb(null, Date.now() + '-' + file.originalname);
+    };
+    const authStrategy = authStrategies[config.auth.strategy];
+
+    // WhatsApp sessions; with MongoDB the list of named sessions survives restarts
+    const sessionManager = new SessionManager({
+        defaultSessionId: config.defaultSessionId,
+        createAuthStrategy: authStrategy.create,
+        removeAuthData: authStrategy.remove,
+        registry: config.mongodbUri ? {
+            load: async () => (await Session.find().lean()).map(doc => doc.sessionId),
+            save: (sessionId) => Session.updateOne({ sessionId }, { $setOnInsert: { sessionId } }, { upsert: true }),
+            remove: (sessionId) => Session.deleteOne({ sessionId })
+        } : undefined
+    });
+    const resolveSession = sessionManager.resolveSession();
+
+    // Opt-out list, checked before anything is sent; keywords are matched on whole private messages
+    const suppressionList = features.suppressions ? new SuppressionList(config.suppressions) : null;
+
+    // Send limits against WhatsApp bans: per API key, per session, per recipient and a bulk budget per session
+    const sendLimiter = new SendLimiter(config.sendLimits);
+
+    // Durable outbound queue - messages are held while their session is not ready
+    const messageQueue = features.queue ? new MessageQueue({
+        sessionManager: sessionManager,
+        suppressionList: suppressionList,
+        sendLimiter: sendLimiter,
+        ...config.queue
+    }) : null;
+
+    // Signed, retried webhook deliveries to every subscriber of an event
+    const webhookDispatcher = features.webhooks ? new WebhookDispatcher(config.webhooks) : null;
+
+    // Scheduled and recurring messages, handed to the queue when due
+    const scheduler = features.schedules ? new Scheduler({
+        messageQueue: messageQueue,
+        ...config.scheduler
+    }) : null;
+
+    // Bulk campaigns, fed into the queue at their own pace
+    const campaignRunner = features.campaigns ? new CampaignRunner({
+        sessionManager: sessionManager,
+        messageQueue: messageQueue,
+        ...config.campaigns
+    }) : null;
+    let workersStarted = false;
+
+    // Prometheus metrics for GET /metrics
+    metrics.watchSessions(sessionManager);
+    if (messageQueue) metrics.watchQueue(messageQueue);
+
+    // Live client events for /api/events subscribers
+    const eventStream = features.events ? new EventStream() : null;
+
+    // Hand a client event to webhook subscribers and live stream clients
+    function publishEvent(event, sessionId, data) {
+        if (eventStream) eventStream.publish(event, sessionId, data);
+        return webhookDispatcher ? webhookDispatcher.dispatch(event, sessionId, data) : [];
     }
-});
-const upload = multer({ storage: storage, limits: { fileSize: 50 * 1024 * 1024 } });
-
-// Initialize WhatsApp Client
-function initializeWhatsAppClient() {
-    client = new Client({
-        authStrategy: new LocalAuth({
-            clientId: 'whatsapp-bot'
-        }),
-        puppeteer: {
-            headless: true,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process',
-                '--disable-gpu'
+
+    // Incoming media, stored in GridFS and linked from webhook payloads with expiring URLs
+    const mediaStore = features.media ? new MediaStore({
+        ...config.media,
+        baseUrl: config.publicUrl || `http://localhost:${config.port}`
+    }) : null;
+
+    // Alerts about QR codes and connection changes
+    const notifier = new Notifier({
+        channels: [
+            new EmailChannel(config.email),
+            new ChatWebhookChannel(config.notifications.chat),
+            new HttpCallbackChannel(config.notifications.http),
+            new WhatsAppChannel({ ...config.notifications.whatsapp, sessionManager })
+        ],
+        routes: config.notifications.routes,
+        dedupWindowMs: config.notifications.dedupWindowMs,
+        templates: new NotificationTemplates({
+            directory: config.notifications.templatesDir,
+            locale: config.notifications.locale,
+            publicUrl: config.publicUrl || `http://localhost:${config.port}`
+        })
+    });
+
+    // Bot commands - one module per command in ./commands
+    const commands = features.commands ? new CommandRegistry({
+        ...config.commands,
+        context: {
+            statusLines: () => [
+                ...(config.mongodbUri ? [`Database: ${mongoose.connection.readyState === 1 ? '✅ Connected' : '❌ Disconnected'}`] : []),
+                `Notifications: ${notifier.describeChannels().filter(channel => channel.configured).map(channel => channel.name).join(', ') || '❌ Not configured'}`
             ]
         }
+    }).loadDirectory(path.join(__dirname, 'commands')) : null;
+
+    // Sends that bypass the queue (media, locations, ... and everything without a queue)
+    const sendNow = createDirectSender({ sendLimiter, suppressionList, trackAcks: features.acks });
+
+    // Track delivery of everything the queue sends
+    if (messageQueue && features.acks) {
+        messageQueue.on('sent', (job) => {
+            ackTracker.recordSent({
+                messageId: job.messageId,
+                sessionId: job.sessionId,
+                to: job.to,
+                jobId: job._id.toString()
+            }).catch((error) => {
+                logger.error('Failed to record sent message', { jobId: job._id.toString(), error: error.message });
+            });
+        });
+    }
+
+    // Behind a proxy (e.g. Render) this makes req.ip the client address, for rate limits and API key IP allowlists
+    if (config.trustProxy) {
+        app.set('trust proxy', /^\d+$/.test(config.trustProxy) ? parseInt(config.trustProxy) : config.trustProxy);
+    }
+
+    // Middleware
+    app.use(helmet());
+    app.use(logger.requestContext());
+    app.use(logger.accessLog());
+    app.use(cors({
+        origin: config.corsOrigin,
+        credentials: true
+    }));
+    app.use(express.json({ limit: '50mb' }));
+    app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+    // Admin dashboard (public/index.html); it signs in with an API key and talks to the API below
+    if (features.dashboard) {
+        app.use(express.static(path.join(__dirname, 'public')));
+    }
+
+    // Rate limiting
+    const limiter = rateLimit({
+        windowMs: config.rateLimit.windowMs,
+        max: config.rateLimit.max,
+        message: 'Too many requests from this IP'
     });
+    app.use('/api/', limiter);
+
+    // API keys - scoped keys stored in MongoDB; API_KEY is a bootstrap key with every scope
+    const requireApiKey = createApiKeyAuth({ bootstrapKey: config.apiKey, storedKeys: features.apiKeys });
 
-    // QR Code event
-    client.on('qr', (qr) => {
-        console.log('QR Code received. Please scan with your phone:');
-        qrcode.generate(qr, { small: true });
-        qrCodeData = qr;
+    // WhatsApp client events (shared by every session)
+    // QR Code event - also sent as a notification
+    sessionManager.on('qr', async (session, qr) => {
+        session.log.info('QR code received, scan it with your phone');
+        // A terminal QR code would break JSON log lines; GET /api/qr still has it
+        if (logger.format === 'pretty') {
+            qrcode.generate(qr, { small: true });
+        }
+
+        await notifier.notify('qr', { sessionId: session.id, qr });
     });
 
     // Ready event
-    client.on('ready', () => {
-        console.log('WhatsApp Client is ready!');
-        isClientReady = true;
-        qrCodeData = null;
+    sessionManager.on('ready', async (session) => {
+        session.log.info('WhatsApp client is ready');
+        if (messageQueue) messageQueue.flush(session.id);
+        await notifier.notify('ready', { sessionId: session.id });
     });
 
     // Authentication events
-    client.on('authenticated', () => {
-        console.log('Client authenticated successfully');
+    sessionManager.on('authenticated', (session) => {
+        session.log.info('Client authenticated');
     });
 
-    client.on('auth_failure', (msg) => {
-        console.error('Authentication failed:', msg);
-        isClientReady = false;
+    sessionManager.on('auth_failure', async (session, msg) => {
+        session.log.error('Authentication failed', { reason: msg });
+        await notifier.notify('auth_failure', { sessionId: session.id, reason: msg });
     });
 
-    client.on('disconnected', (reason) => {
-        console.log('Client disconnected:', reason);
-        isClientReady = false;
-        qrCodeData = null;
-    });
-
-    // Message event for auto-replies
-    client.on('message', async (message) => {
-console.log('Message received from:', JSON.stringify(message, null, 2));
+    // Enhanced disconnection handling
+    sessionManager.on('disconnected', async (session, reason) => {
+        session.log.warn('Client disconnected', { reason });
 
+        await notifier.notify('disconnected', { sessionId: session.id, reason });
 
-        console.log(`Message received from ${message.from}: ${message.body}`);
-        
-        // Auto-reply logic
-        if (message.body.toLowerCase() === '!ping') {
-            await message.reply('🏓 Pong! Bot is active');
-        }
-        
-        if (message.body.toLowerCase() === '!help') {
-            await message.reply(`🤖 *WhatsApp Bot Commands:*
-            
-!ping - Test bot response
-!help - Show this help message
-!time - Get current time
-!info - Get your contact info`);
-        }
-        
-        if (message.body.toLowerCase() === '!time') {
-            await message.reply(`🕐 Current time: ${new Date().toLocaleString()}`);
-        }
-        
-        if (message.body.toLowerCase() === '!info') {
-            const contact = await message.getContact();
-            await message.reply(`👤 *Your Info:*
-Name: ${contact.name || 'Not saved'}
-Number: ${contact.number}
-Chat Type: ${message.from.includes('@g.us') ? 'Group' : 'Individual'}`);
-        }
+        // Auto-reconnect after 30 seconds, unless the session was stopped or deleted meanwhile
+        later(() => {
+            if (sessionManager.get(session.id) !== session || session.status !== 'disconnected') return;
+            session.log.info('Attempting to reconnect');
+            metrics.reconnectAttempts.inc({ session: session.id, trigger: 'disconnected' });
+            sessionManager.start(session.id);
+        }, 30000);
     });
 
-    // Initialize client
-    client.initialize();
-}
+    sessionManager.on('init_error', async (session, error) => {
+        session.log.error('Failed to initialize WhatsApp client', { error });
+        await notifier.notify('init_error', { sessionId: session.id, reason: error.message });
 
-// API Routes
-
-// Health check
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        clientReady: isClientReady
+        later(() => {
+            if (sessionManager.get(session.id) !== session || session.status !== 'failed') return;
+            session.log.info('Retrying initialization');
+            metrics.reconnectAttempts.inc({ session: session.id, trigger: 'init_error' });
+            sessionManager.start(session.id);
+        }, 60000);
     });
-});
 
-// Get QR Code
-app.get('/api/qr', authenticateApiKey, (req, res) => {
-    if (isClientReady) {
-        return res.json({ message: 'Client is already authenticated' });
-    }
-    
-    if (!qrCodeData) {
-        return res.json({ message: 'QR code not available yet. Please wait...' });
-    }
-    
-    res.json({ qr: qrCodeData });
-});
-
-// Get client status
-app.get('/api/status', authenticateApiKey, (req, res) => {
-    res.json({
-        ready: isClientReady,
-        hasQR: !!qrCodeData,
-        timestamp: new Date().toISOString()
+    // Remote session events
+    sessionManager.on('remote_session_saved', (session) => {
+        session.log.info('Session saved to MongoDB');
     });
-});
 
-// Send text message
-app.post('/api/send-message', authenticateApiKey, async (req, res) => {
-    try {
-        if (!isClientReady) {
-            return res.status(503).json({ error: 'WhatsApp client is not ready' });
+    // Forward client events to webhook subscribers and stream clients
+    // (incoming messages are forwarded once their media is stored, acks on state change - see below)
+    if (webhookDispatcher || eventStream) {
+        const eventPayloads = {
+            qr: (qr) => ({ qr }),
+            ready: () => ({}),
+            authenticated: () => ({}),
+            auth_failure: (msg) => ({ message: msg }),
+            disconnected: (reason) => ({ reason }),
+            message_create: serializeMessage,
+            group_join: serializeGroupNotification,
+            group_leave: serializeGroupNotification,
+            group_update: serializeGroupNotification,
+            group_admin_changed: serializeGroupNotification
+        };
+        for (const [event, toPayload] of Object.entries(eventPayloads)) {
+            sessionManager.on(event, (session, ...args) => {
+                publishEvent(event, session.id, toPayload(...args));
+            });
         }
+    }
 
-        const { to, message, delay = 0 } = req.body;
-
-        if (!to || !message) {
-            return res.status(400).json({ error: 'Missing required fields: to, message' });
+    // Archive every message, incoming and outgoing, for search
+    if (features.archive) {
+        for (const event of ['message', 'message_create']) {
+            sessionManager.on(event, (session, message) => {
+                archiveMessage(session.id, message).catch((error) => {
+                    session.log.error('Failed to archive message', { error: error.message });
+                });
+            });
         }
+    }
 
-        // Add delay if specified
-        if (delay > 0) {
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
+    // Message acknowledgement event (pending → server → delivered → read → played)
+    if (features.acks) {
+        sessionManager.on('message_ack', async (session, message, ack) => {
+            if (!message.fromMe) return;
 
-        // Format phone number
-        const chatId = to.includes('@c.us') ? to : `${to}@c.us`;
-        
-        const chat = await client.getChatById(chatId);
-        const sentMessage = await chat.sendMessage(message);
+            try {
+                const record = await ackTracker.recordAck({
+                    messageId: message.id._serialized,
+                    sessionId: session.id,
+                    to: message.to,
+                    ack: ack
+                });
+                if (!record) return;
 
-        res.json({
-            success: true,
-            messageId: sentMessage.id._serialized,
-            to: chatId,
-            message: message,
-            timestamp: new Date().toISOString()
-        });
+                session.log.debug('Message status changed', { messageId: record.messageId, status: record.status });
 
-    } catch (error) {
-        console.error('Error sending message:', error);
-        res.status(500).json({ error: error.message });
+                // Push the transition to webhook subscribers and stream clients
+                await publishEvent('message_ack', session.id, {
+                    messageId: record.messageId,
+                    to: record.to,
+                    jobId: record.jobId,
+                    status: record.status,
+                    ack: record.ack
+                });
+            } catch (error) {
+                session.log.error('Failed to process message ack', { error: error.message });
+            }
+        });
     }
-});
-
-// Send bulk messages
-app.post('/api/send-bulk', authenticateApiKey, async (req, res) => {
-    try {
-        if (!isClientReady) {
-            return res.status(503).json({ error: 'WhatsApp client is not ready' });
-        }
 
-        const { recipients, message, delay = 2000 } = req.body;
+    // Message event
+    sessionManager.on('message', async (session, message) => {
+        session.log.info('Message received', { from: message.from, type: message.type, body: message.body });
 
-        if (!recipients || !Array.isArray(recipients) || !message) {
-            return res.status(400).json({ error: 'Missing required fields: recipients (array), message' });
+        // Store attached media, then forward to webhook subscribers with a signed download URL
+        const payload = serializeMessage(message);
+        if (message.hasMedia && mediaStore) {
+            payload.media = await mediaStore.saveFromMessage(session.id, message);
         }
+        publishEvent('message', session.id, payload);
 
-        const results = [];
-
-        for (const recipient of recipients) {
+        if (suppressionList) {
             try {
-                const chatId = recipient.includes('@c.us') ? recipient : `${recipient}@c.us`;
-                const chat = await client.getChatById(chatId);
-                const sentMessage = await chat.sendMessage(message);
-                
-                results.push({
-                    to: chatId,
-                    success: true,
-                    messageId: sentMessage.id._serialized
-                });
-
-                // Add delay between messages
-                if (delay > 0) {
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-
+                if (await suppressionList.handleMessage(session, message)) return;
             } catch (error) {
-                results.push({
-                    to: recipient,
-                    success: false,
-                    error: error.message
-                });
+                session.log.error('Failed to update the opt-out list', { error: error.message });
             }
         }
 
-        res.json({
-            success: true,
-            results: results,
-            total: recipients.length,
-            successful: results.filter(r => r.success).length,
-            failed: results.filter(r => !r.success).length
-        });
-
-    } catch (error) {
-        console.error('Error sending bulk messages:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Send media message
-app.post('/api/send-media', authenticateApiKey, upload.single('media'), async (req, res) => {
-    try {
-        if (!isClientReady) {
-            return res.status(503).json({ error: 'WhatsApp client is not ready' });
+        if (commands) {
+            try {
+                await commands.handle(session, message);
+            } catch (error) {
+                session.log.error('Failed to handle command', { error: error.message });
+            }
         }
+    });
 
-        const { to, caption = '' } = req.body;
-        const mediaFile = req.file;
+    // Connect MongoDB, start the workers and the WhatsApp sessions; retried every minute on failure
+    async function initialize() {
+        try {
+            if (config.mongodbUri) {
+                await mongoose.connect(config.mongodbUri);
+                logger.info('Connected to MongoDB');
 
-        if (!to || !mediaFile) {
-            return res.status(400).json({ error: 'Missing required fields: to, media file' });
-        }
+                // Initialize MongoDB Store
+                if (config.auth.strategy === 'mongo') {
+                    store = new MongoStore({ mongoose: mongoose });
+                }
+            }
 
-        const chatId = to.includes('@c.us') ? to : `${to}@c.us`;
-        const media = MessageMedia.fromFilePath(mediaFile.path);
-        
-        const chat = await client.getChatById(chatId);
-        const sentMessage = await chat.sendMessage(media, { caption: caption });
+            if (!workersStarted) {
+                if (messageQueue) await messageQueue.start();
+                if (webhookDispatcher) await webhookDispatcher.start();
+                if (scheduler) scheduler.start();
+                if (campaignRunner) campaignRunner.start();
+                workersStarted = true;
+            }
 
-        // Clean up uploaded file
-        fs.unlinkSync(mediaFile.path);
+            // The legacy single webhook becomes a regular subscription
+            if (webhookDispatcher && config.webhooks.legacyUrl) {
+                await webhookDispatcher.ensureSubscription(config.webhooks.legacyUrl, ['message', 'message_ack'], config.webhooks.legacySecret);
+            }
 
-        res.json({
-            success: true,
-            messageId: sentMessage.id._serialized,
-            to: chatId,
-            caption: caption,
-            mediaType: mediaFile.mimetype,
-            timestamp: new Date().toISOString()
-        });
+            // Start the default session and every saved one
+            await sessionManager.restore();
 
-    } catch (error) {
-        console.error('Error sending media:', error);
-        if (req.file) {
-            fs.unlinkSync(req.file.path);
-        }
-        res.status(500).json({ error: error.message });
-    }
-});
+        } catch (error) {
+            logger.error('Failed to initialize WhatsApp client', { error });
+            await notifier.notify('init_error', { sessionId: sessionManager.defaultSessionId, reason: error.message });
 
-// Get chats
-app.get('/api/chats', authenticateApiKey, async (req, res) => {
-    try {
-        if (!isClientReady) {
-            return res.status(503).json({ error: 'WhatsApp client is not ready' });
+            later(() => {
+                logger.info('Retrying initialization');
+                initialize();
+            }, 60000);
         }
+    }
 
-        const chats = await client.getChats();
-        const chatList = chats.map(chat => ({
-            id: chat.id._serialized,
-            name: chat.name,
-            isGroup: chat.isGroup,
-            isReadOnly: chat.isReadOnly,
-            unreadCount: chat.unreadCount,
-            timestamp: chat.timestamp
-        }));
+    async function start() {
+        await notifier.verify();
 
-        res.json({
-            success: true,
-            chats: chatList,
-            total: chatList.length
-        });
+        // Self-ping to prevent sleep
+        if (config.publicUrl) {
+            timers.add(setInterval(async () => {
+                try {
+                    await axios.get(`${config.publicUrl}/health`);
+                    logger.debug('Self-ping successful');
+                } catch (error) {
+                    logger.error('Self-ping failed', { error: error.message });
+                }
+            }, 14 * 60 * 1000));
+        }
 
-    } catch (error) {
-        console.error('Error getting chats:', error);
-        res.status(500).json({ error: error.message });
+        await initialize();
     }
-});
 
-// Get contact info
-app.get('/api/contact/:phoneNumber', authenticateApiKey, async (req, res) => {
-    try {
-        if (!isClientReady) {
-            return res.status(503).json({ error: 'WhatsApp client is not ready' });
-        }
+    // Stop the workers, the WhatsApp clients and the MongoDB connection
+    async function shutdown() {
+        for (const timer of timers) clearTimeout(timer);
+        timers.clear();
+
+        if (messageQueue) messageQueue.stop();
+        if (webhookDispatcher) webhookDispatcher.stop();
+        if (scheduler) scheduler.stop();
+        if (campaignRunner) campaignRunner.stop();
+        await sessionManager.destroyAll();
+        if (mongoose.connection.readyState === 1) await mongoose.connection.close();
+    }
 
-        const { phoneNumber } = req.params;
-        const contactId = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
-        
-        const contact = await client.getContactById(contactId);
+    // API Routes
 
+    // Health check
+    app.get('/health', (req, res) => {
+        const defaultSession = sessionManager.get();
         res.json({
-            success: true,
-            contact: {
-                id: contact.id._serialized,
-                name: contact.name,
-                number: contact.number,
-                isMyContact: contact.isMyContact,
-                isBusiness: contact.isBusiness,
-                profilePicUrl: await contact.getProfilePicUrl().catch(() => null)
-            }
+            status: 'OK',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            clientReady: !!(defaultSession && defaultSession.isReady),
+            sessions: sessionManager.list().map(session => ({ id: session.id, ready: session.isReady })),
+            authStrategy: config.auth.strategy,
+            mongoStatus: !config.mongodbUri ? 'disabled' : mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+            emailConfigured: notifier.channel('email').configured,
+            notificationChannels: notifier.describeChannels().filter(channel => channel.configured).map(channel => channel.name)
         });
+    });
 
-    } catch (error) {
-        console.error('Error getting contact:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Restart client
-app.post('/api/restart', authenticateApiKey, async (req, res) => {
-    try {
-        if (client) {
-            await client.destroy();
-        }
-        
-        isClientReady = false;
-        qrCodeData = null;
-        
-        setTimeout(() => {
-            initializeWhatsAppClient();
-        }, 2000);
+    // Prometheus metrics (keys with the metrics scope, e.g. a scraper sending Authorization: Bearer <key>)
+    app.get('/metrics', requireApiKey('metrics'), metrics.handler);
 
+    // GET /api/rate-limits?key= - Send limit settings and current usage (key filters by API key, session or recipient)
+    app.get('/api/rate-limits', requireApiKey('read'), (req, res) => {
         res.json({
             success: true,
-            message: 'Client restart initiated'
+            ...sendLimiter.status(req.query.key)
         });
+    });
 
-    } catch (error) {
-        console.error('Error restarting client:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ error: 'Something went wrong!' });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({ error: 'Route not found' });
-});
-
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 WhatsApp Bot Server running on port ${PORT}`);
-    console.log(`📱 API Documentation available at http://localhost:${PORT}/health`);
-    
-    // Initialize WhatsApp client
-    initializeWhatsAppClient();
-});
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('Shutting down gracefully...');
-    if (client) {
-        await client.destroy();
-    }
-    process.exit(0);
-});
+    if (eventStream) {
+        // POST /api/events/token - One-minute, single-use token for GET /api/events?token= (browser EventSource cannot send headers)
+        app.post('/api/events/token', requireApiKey('read'), (req, res) => {
+            res.json({
+                success: true,
+                ...eventStream.issueToken(req.apiKey)
+            });
+        });
 
-process.on('SIGTERM', async () => {
-    console.log('Shutting down gracefully...');
-    if (client) {
-        await client.destroy();
-    }
-    process.exit(0);
-});
-const express = require('express');
-const { Client, RemoteAuth, MessageMedia } = require('whatsapp-web.js');
-const { MongoStore } = require('wwebjs-mongo');
-const mongoose = require('mongoose');
-const qrcode = require('qrcode-terminal');
-const QRCode = require('qrcode'); // Add this for QR generation
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const axios = require('axios');
-const nodemailer = require('nodemailer');
-require('dotenv').config();
-
-// Initialize Express app
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// WhatsApp Client
-let client;
-let isClientReady = false;
-let qrCodeData = null;
-let store = null;
-
-// Email configuration - Fixed with proper Gmail setup
-const emailTransporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD
-    },
-    tls: {
-        rejectUnauthorized: false
+        // GET /api/events?events=&chats=&sessionId= - Server-Sent Events stream of client events
+        const authenticateEventStream = (req, res, next) => {
+            if (req.query.token) {
+                req.apiKey = eventStream.redeemToken(req.query.token);
+                if (!req.apiKey) {
+                    return res.status(401).json({ error: 'Invalid or expired stream token' });
+                }
+                return next();
+            }
+            requireApiKey('read')(req, res, next);
+        };
+        app.get('/api/events', authenticateEventStream, eventStream.handler());
     }
-});
-
-// Function to send QR code via email
-async function sendQRCodeEmail(qrCode) {
-    try {
-        if (!process.env.EMAIL_USER || !process.env.NOTIFICATION_EMAIL) {
-            console.warn('⚠️ Email configuration missing. Cannot send QR code.');
-            return;
-        }
 
-        // Generate QR code as base64 image
-        const qrCodeImage = await QRCode.toDataURL(qrCode, {
-            type: 'image/png',
-            quality: 0.92,
-            margin: 1,
-            color: {
-                dark: '#000000',
-                light: '#FFFFFF'
-            }
-        });
+    // Sending: text, bulk, media, location, contact card, poll and contact lookups
+    app.use('/api', createSendRouter({
+        requireApiKey,
+        resolveSession,
+        sendNow,
+        sendLimiter,
+        messageQueue,
+        suppressionList,
+        templates: features.templates
+    }));
+
+    // The original /api/whatsapp routes, on the same sessions
+    app.use('/api/whatsapp', requireApiKey(readOr('send')), resolveSession, createWhatsAppRouter(sendNow));
+
+    // Queued message status
+    if (messageQueue) {
+        app.use('/api/messages', requireApiKey('read'), createMessagesRouter());
+    }
 
-        const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: process.env.NOTIFICATION_EMAIL,
-            subject: '📱 WhatsApp Bot QR Code - Scan to Login',
-            html: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; text-align: center;">
-                    <h2 style="color: #25D366;">📱 WhatsApp Bot QR Code</h2>
-                    <div style="background-color: #f5f5f5; padding: 30px; border-radius: 10px; margin: 20px 0;">
-                        <p style="font-size: 18px; color: #333; margin-bottom: 20px;">
-                            <strong>Scan this QR code with your WhatsApp mobile app to connect:</strong>
-                        </p>
-                        <div style="background-color: white; padding: 20px; border-radius: 10px; display: inline-block;">
-                            <img src="${qrCodeImage}" alt="WhatsApp QR Code" style="max-width: 300px; height: auto;" />
-                        </div>
-                    </div>
-                    <div style="margin-top: 30px; padding: 20px; background-color: #e8f5e8; border-radius: 5px;">
-                        <h3 style="color: #1976d2;">📋 Instructions:</h3>
-                        <ol style="text-align: left; color: #333; line-height: 1.6;">
-                            <li>Open WhatsApp on your phone</li>
-                            <li>Tap <strong>Menu</strong> (three dots) → <strong>Linked devices</strong></li>
-                            <li>Tap <strong>Link a device</strong></li>
-                            <li>Point your phone at this QR code</li>
-                            <li>Wait for connection confirmation</li>
-                        </ol>
-                    </div>
-                    <div style="margin-top: 20px; padding: 15px; background-color: #fff3cd; border-radius: 5px;">
-                        <p style="color: #856404; margin: 0;">
-                            ⏰ <strong>Note:</strong> This QR code will expire in a few minutes. 
-                            If it doesn't work, restart your bot to generate a new one.
-                        </p>
-                    </div>
-                    <hr style="margin: 30px 0;">
-                    <p style="color: #666; font-size: 12px;">
-                        Generated at: ${new Date().toLocaleString()}<br>
-                        Server: ${process.env.RENDER_EXTERNAL_URL || 'Local Development'}
-                    </p>
-                </div>
-            `,
-            attachments: [{
-                filename: 'whatsapp-qr.png',
-                content: qrCodeImage.split('base64,')[1],
-                encoding: 'base64',
-                cid: 'qrcode'
-            }]
-        };
+    // Message templates
+    if (features.templates) {
+        app.use('/api/templates', requireApiKey(readOr('send')), createTemplatesRouter());
+    }
 
-        await emailTransporter.sendMail(mailOptions);
-        console.log('📧 QR Code sent to email successfully');
-    } catch (error) {
-        console.error('❌ Failed to send QR code email:', error.message);
+    // Bulk campaigns
+    if (campaignRunner) {
+        app.use('/api/campaigns', requireApiKey(readOr('send')), resolveSession, createCampaignsRouter(campaignRunner, suppressionList, { templates: features.templates }));
     }
-}
 
-// Function to send logout notification
-async function sendLogoutNotification(reason) {
-    try {
-        if (!process.env.EMAIL_USER || !process.env.NOTIFICATION_EMAIL) {
-            console.warn('⚠️ Email configuration missing. Cannot send logout notification.');
-            return;
-        }
+    // Effective configuration
+    app.use('/api/admin/config', requireApiKey('admin'), createConfigRouter(config));
 
-        const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: process.env.NOTIFICATION_EMAIL,
-            subject: '🚨 WhatsApp Bot Disconnected - Alert',
-            html: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #d32f2f;">🚨 WhatsApp Bot Disconnection Alert</h2>
-                    <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px;">
-                        <p><strong>Timestamp:</strong> ${new Date().toLocaleString()}</p>
-                        <p><strong>Reason:</strong> ${reason || 'Unknown'}</p>
-                        <p><strong>Server:</strong> ${process.env.RENDER_EXTERNAL_URL || 'Local'}</p>
-                    </div>
-                    <div style="margin-top: 20px;">
-                        <h3 style="color: #1976d2;">Recommended Actions:</h3>
-                        <ul>
-                            <li>Check server logs for detailed error information</li>
-                            <li>Verify internet connectivity</li>
-                            <li>Restart the WhatsApp client if necessary</li>
-                            <li>Re-scan QR code if authentication is required</li>
-                        </ul>
-                    </div>
-                    <div style="margin-top: 20px; padding: 15px; background-color: #e3f2fd; border-radius: 5px;">
-                        <p style="color: #1565c0; margin: 0;">
-                            💡 <strong>Tip:</strong> The bot will automatically attempt to reconnect in 30 seconds. 
-                            You'll receive a new QR code via email if needed.
-                        </p>
-                    </div>
-                    <hr style="margin: 30px 0;">
-                    <p style="color: #666; font-size: 12px;">
-                        This is an automated notification from your WhatsApp Bot service.
-                    </p>
-                </div>
-            `
-        };
+    // Notification channels and routing
+    app.use('/api/admin/notifications', requireApiKey('admin'), createNotificationsRouter(notifier));
 
-        await emailTransporter.sendMail(mailOptions);
-        console.log('📧 Logout notification email sent successfully');
-    } catch (error) {
-        console.error('❌ Failed to send logout notification email:', error.message);
+    // API key administration
+    if (features.apiKeys) {
+        app.use('/api/admin/api-keys', requireApiKey('admin'), createApiKeysRouter());
     }
-}
 
-// Function to send ready notification
-async function sendReadyNotification() {
-    try {
-        if (!process.env.EMAIL_USER || !process.env.NOTIFICATION_EMAIL) return;
-
-        const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: process.env.NOTIFICATION_EMAIL,
-            subject: '✅ WhatsApp Bot Connected Successfully',
-            html: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #4caf50;">✅ WhatsApp Bot Connected</h2>
-                    <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px;">
-                        <p><strong>Status:</strong> Successfully Connected & Ready</p>
-                        <p><strong>Timestamp:</strong> ${new Date().toLocaleString()}</p>
-                        <p><strong>Server:</strong> ${process.env.RENDER_EXTERNAL_URL || 'Local'}</p>
-                    </div>
-                    <p style="color: #666; margin-top: 20px;">
-                        🎉 Your WhatsApp bot is now ready to receive and send messages!
-                    </p>
-                </div>
-            `
-        };
-
-        await emailTransporter.sendMail(mailOptions);
-        console.log('📧 Ready notification email sent successfully');
-    } catch (error) {
-        console.error('❌ Failed to send ready notification email:', error.message);
+    // Opt-out list
+    if (suppressionList) {
+        app.use('/api/suppressions', requireApiKey(readOr('admin')), createSuppressionsRouter(suppressionList));
     }
-}
 
-// Test email configuration on startup
-async function testEmailConfiguration() {
-    try {
-        if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
-            console.warn('⚠️ Email credentials not configured in .env file');
-            console.warn('⚠️ Please check EMAIL_USER and EMAIL_PASSWORD variables');
-            return;
-        }
+    // Scheduled and recurring messages
+    if (scheduler) {
+        app.use('/api/schedules', requireApiKey(readOr('send')), resolveSession, createSchedulesRouter(scheduler));
+    }
 
-        console.log('🔍 Testing email configuration...');
-        await emailTransporter.verify();
-        console.log('✅ Email configuration verified successfully');
-    } catch (error) {
-        console.error('❌ Email configuration test failed:', error.message);
-        console.error('❌ Please check your Gmail App Password and 2FA settings');
+    // Message acknowledgements
+    if (features.acks) {
+        app.use('/api/acks', requireApiKey('read'), createAcksRouter());
     }
-}
 
-// Middleware
-app.use(helmet());
-app.use(morgan('combined'));
-app.use(cors({
-    origin: process.env.CORS_ORIGIN || '*',
-    credentials: true
-}));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-    message: 'Too many requests from this IP'
-});
-app.use('/api/', limiter);
-
-// API Key middleware
-const authenticateApiKey = (req, res, next) => {
-    const apiKey = req.headers['x-api-key'] || req.query.api_key;
-    if (!apiKey || apiKey !== process.env.API_KEY) {
-        return res.status(401).json({ error: 'Invalid or missing API key' });
+    // Webhook subscriptions and delivery log
+    if (webhookDispatcher) {
+        app.use('/api/webhooks', requireApiKey('admin'), createWebhooksRouter(webhookDispatcher));
     }
-    next();
-};
-
-// File upload configuration
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        const uploadDir = './uploads';
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir);
-        }
-        cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-        cb(null, Date.now() + '-' + file.originalname);
+
+    // Incoming media (API key or signed URL)
+    if (mediaStore) {
+        app.use('/api/media', createMediaRouter(mediaStore, requireApiKey('read')));
     }
-});
-const upload = multer({ storage: storage, limits: { fileSize: 50 * 1024 * 1024 } });
-
-// Keep-alive mechanism
-const keepAlive = () => {
-    setInterval(() => {
-        console.log('🔄 Keep-alive ping:', new Date().toISOString());
-    }, 14 * 60 * 1000);
-};
-
-// Self-ping to prevent sleep
-if (process.env.RENDER_EXTERNAL_URL) {
-    setInterval(async () => {
+
+    // Get QR Code via email
+    app.get('/api/qr-email', requireApiKey('sessions'), resolveSession, async (req, res) => {
         try {
-            await axios.get(`${process.env.RENDER_EXTERNAL_URL}/health`);
-            console.log('🏓 Self-ping successful');
+            const session = req.waSession;
+            if (session.isReady) {
+                return res.json({ message: 'Client is already authenticated' });
+            }
+
+            if (!session.qrCodeData) {
+                return res.json({ message: 'QR code not available yet. Please wait...' });
+            }
+
+            const result = await notifier.notify('qr', { sessionId: session.id, qr: session.qrCodeData }, { force: true, channels: ['email'] });
+            const [problem] = [...result.failed, ...result.skipped];
+            if (problem) {
+                throw new Error(problem.error || `Email ${problem.reason}`);
+            }
+            res.json({
+                message: 'QR code sent to email successfully',
+                email: config.email.to
+            });
+
         } catch (error) {
-            console.error('❌ Self-ping failed:', error.message);
+            req.log.error('Error sending QR email', { error });
+            res.status(500).json({ error: error.message });
         }
-    }, 14 * 60 * 1000);
-}
-
-// Initialize MongoDB connection and WhatsApp Client
-async function initializeWhatsAppClient() {
-    try {
-        // Connect to MongoDB
-        await mongoose.connect(process.env.MONGODB_URI, {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
-        });
-        console.log('🗄️ Connected to MongoDB successfully');
+    });
 
-        // Initialize MongoDB Store
-        store = new MongoStore({ mongoose: mongoose });
+    // Get QR Code
+    app.get('/api/qr', requireApiKey('sessions'), resolveSession, (req, res) => {
+        const session = req.waSession;
 
-        client = new Client({
-            authStrategy: new RemoteAuth({
-                store: store,
-                backupSyncIntervalMs: 300000,
-                clientId: process.env.CLIENT_ID || 'whatsapp-bot'
-            }),
-            puppeteer: {
-                headless: true,
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--no-zygote',
-                    '--single-process',
-                    '--disable-gpu',
-                    '--disable-extensions'
-                ]
-            }
-        });
+        if (session.isReady) {
+            return res.json({ message: 'Client is already authenticated' });
+        }
 
-        // QR Code event - Now sends via email
-        client.on('qr', async (qr) => {
-            console.log('📱 QR Code received. Sending via email...');
-            qrcode.generate(qr, { small: true });
-            qrCodeData = qr;
-            
-            // Send QR code via email
-            await sendQRCodeEmail(qr);
-        });
+        if (!session.qrCodeData) {
+            return res.json({ message: 'QR code not available yet. Please wait...' });
+        }
 
-        // Ready event
-        client.on('ready', async () => {
-            console.log('✅ WhatsApp Client is ready!');
-            isClientReady = true;
-            qrCodeData = null;
-            await sendReadyNotification();
-        });
+        res.json({ qr: session.qrCodeData });
+    });
 
-        // Authentication events
-        client.on('authenticated', () => {
-            console.log('🔐 Client authenticated successfully');
+    // Get client status
+    app.get('/api/status', requireApiKey('read'), resolveSession, (req, res) => {
+        res.json({
+            sessionId: req.waSession.id,
+            ready: req.waSession.isReady,
+            hasQR: !!req.waSession.qrCodeData,
+            timestamp: new Date().toISOString()
         });
+    });
 
-        client.on('auth_failure', async (msg) => {
-            console.error('❌ Authentication failed:', msg);
-            isClientReady = false;
-            await sendLogoutNotification(`Authentication failure: ${msg}`);
-        });
+    // Restart client
+    app.post('/api/restart', requireApiKey('sessions'), resolveSession, async (req, res) => {
+        try {
+            const sessionId = req.waSession.id;
+            await sessionManager.stop(sessionId);
 
-        // Enhanced disconnection handling
-        client.on('disconnected', async (reason) => {
-            console.log('🔌 Client disconnected:', reason);
-            isClientReady = false;
-            qrCodeData = null;
-            
-            await sendLogoutNotification(reason);
-            
-            // Auto-reconnect after 30 seconds
-            setTimeout(() => {
-                console.log('🔄 Attempting to reconnect...');
-                initializeWhatsAppClient();
-            }, 30000);
-        });
+            later(() => {
+                sessionManager.start(sessionId);
+            }, 2000);
 
-        // Remote session events
-        client.on('remote_session_saved', () => {
-            console.log('💾 Session saved to MongoDB');
-        });
+            res.json({
+                success: true,
+                sessionId: sessionId,
+                message: 'Client restart initiated'
+            });
 
-        // Message event
-        client.on('message', async (message) => {
-            console.log(`📨 Message received from ${message.from}: ${message.body}`);
+        } catch (error) {
+            req.log.error('Error restarting client', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
 
-            // Forward to webhook
-            if (process.env.WebhookUrl) {
-                try {
-                    await axios.post(process.env.WebhookUrl, {
-                        from: message.from,
-                        body: message.body,
-                        timestamp: message.timestamp,
-                        id: message.id._serialized,
-                        type: message.type,
-                        hasMedia: message.hasMedia || false
-                    });
-                    console.log('✅ Message forwarded to webhook');
-                } catch (error) {
-                    console.error('❌ Failed to forward message to webhook:', error.message);
-                }
-            }
+    // Session management
+    app.use('/api/sessions', requireApiKey('sessions'), createSessionsRouter(sessionManager));
 
-            // Auto-reply logic
-            if (message.body.toLowerCase() === '!ping') {
-                await message.reply('🏓 Pong! Bot is active with MongoDB & Email notifications!');
-            }
-            
-            if (message.body.toLowerCase() === '!help') {
-                await message.reply(`🤖 *WhatsApp Bot Commands:*
-                
-!ping - Test bot response
-!help - Show this help message
-!time - Get current time
-!info - Get your contact info
-!status - Get bot status`);
-            }
-            
-            if (message.body.toLowerCase() === '!time') {
-                await message.reply(`🕐 Current time: ${new Date().toLocaleString()}`);
-            }
-            
-            if (message.body.toLowerCase() === '!status') {
-                await message.reply(`📊 *Bot Status:*
-Ready: ${isClientReady ? '✅' : '❌'}
-Database: ${mongoose.connection.readyState === 1 ? '✅ Connected' : '❌ Disconnected'}
-Uptime: ${Math.floor(process.uptime() / 60)} minutes
-Email: ${process.env.EMAIL_USER ? '✅ Configured' : '❌ Not configured'}`);
-            }
-            
-            if (message.body.toLowerCase() === '!info') {
-                const contact = await message.getContact();
-                await message.reply(`👤 *Your Info:*
-Name: ${contact.name || 'Not saved'}
-Number: ${contact.number}
-Chat Type: ${message.from.includes('@g.us') ? 'Group' : 'Individual'}`);
-            }
-        });
+    // Group management
+    app.use('/api/groups', requireApiKey(readOr('send')), resolveSession, createGroupsRouter());
 
-        await client.initialize();
+    // Chats and chat history
+    app.use('/api/chats', requireApiKey('read'), resolveSession, createChatsRouter());
 
-    } catch (error) {
-        console.error('❌ Failed to initialize WhatsApp client:', error);
-        await sendLogoutNotification(`Initialization error: ${error.message}`);
-        
-        setTimeout(() => {
-            console.log('🔄 Retrying initialization...');
-            initializeWhatsAppClient();
-        }, 60000);
+    // Archived message search
+    if (features.archive) {
+        app.use('/api/archive', requireApiKey('read'), createArchiveRouter());
     }
-}
 
-// API Routes
-
-// Health check
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        clientReady: isClientReady,
-        mongoStatus: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-        emailConfigured: !!(process.env.EMAIL_USER && process.env.EMAIL_PASSWORD)
-    });
-});
+    // Test email endpoint
+    app.post('/api/test-email', requireApiKey('admin'), async (req, res) => {
+        try {
+            await notifier.sendTest('email');
+            const sentTo = notifier.channel('email').to;
 
-// Get QR Code via email
-app.get('/api/qr-email', authenticateApiKey, async (req, res) => {
-    try {
-        if (isClientReady) {
-            return res.json({ message: 'Client is already authenticated' });
-        }
-        
-        if (!qrCodeData) {
-            return res.json({ message: 'QR code not available yet. Please wait...' });
+            res.json({
+                success: true,
+                message: 'Test email sent successfully',
+                sentTo: sentTo
+            });
+
+        } catch (error) {
+            req.log.error('Email test failed', { error });
+            res.status(500).json({
+                error: 'Email test failed',
+                details: error.message
+            });
         }
-        
-        await sendQRCodeEmail(qrCodeData);
-        res.json({ 
-            message: 'QR code sent to email successfully',
-            email: process.env.NOTIFICATION_EMAIL 
-        });
-        
-    } catch (error) {
-        console.error('Error sending QR email:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+    });
 
-// Get QR Code (original endpoint)
-app.get('/api/qr', authenticateApiKey, (req, res) => {
-    if (isClientReady) {
-        return res.json({ message: 'Client is already authenticated' });
-    }
-    
-    if (!qrCodeData) {
-        return res.json({ message: 'QR code not available yet. Please wait...' });
-    }
-    
-    res.json({ qr: qrCodeData });
-});
-
-// Test email endpoint
-app.post('/api/test-email', authenticateApiKey, async (req, res) => {
-    try {
-        await testEmailConfiguration();
-        
-        const testMailOptions = {
-            from: process.env.EMAIL_USER,
-            to: process.env.NOTIFICATION_EMAIL,
-            subject: '✅ Email Test - WhatsApp Bot',
-            html: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #4caf50;">✅ Email Configuration Test</h2>
-                    <p>This is a test email from your WhatsApp Bot.</p>
-                    <p><strong>Timestamp:</strong> ${new Date().toLocaleString()}</p>
-                    <p>If you received this email, your configuration is working correctly!</p>
-                </div>
-            `
-        };
-        
-        await emailTransporter.sendMail(testMailOptions);
-        
-        res.json({
-            success: true,
-            message: 'Test email sent successfully',
-            sentTo: process.env.NOTIFICATION_EMAIL
-        });
-        
-    } catch (error) {
-        console.error('Email test failed:', error);
-        res.status(500).json({ 
-            error: 'Email test failed', 
-            details: error.message 
-        });
-    }
-});
-
-// ... [Include all your other existing API routes - they remain unchanged] ...
-
-// Start server
-app.listen(PORT, async () => {
-    console.log(`🚀 WhatsApp Bot Server running on port ${PORT}`);
-    console.log(`📱 Health check: http://localhost:${PORT}/health`);
-    
-    await testEmailConfiguration();
-    keepAlive();
-    initializeWhatsAppClient();
-});
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('Shutting down gracefully...');
-    if (client) await client.destroy();
-    if (mongoose.connection.readyState === 1) await mongoose.connection.close();
-    process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-    console.log('Shutting down gracefully...');
-    if (client) await client.destroy();
-    if (mongoose.connection.readyState === 1) await mongoose.connection.close();
-    process.exit(0);
-});
+    // Error handling middleware
+    app.use((err, req, res, next) => {
+        (req.log || logger).error('Unhandled error', { error: err });
+        res.status(500).json({ error: 'Something went wrong!' });
+    });
+
+    // 404 handler
+    app.use('*', (req, res) => {
+        res.status(404).json({ error: 'Route not found' });
+    });
+
+    return {
+        app,
+        sessionManager,
+        messageQueue,
+        webhookDispatcher,
+        notifier,
+        start,
+        shutdown
+    };
+}
+
+module.exports = createApp;
+
+// `node app.js` used to start a separate LocalAuth server; it now runs the same one as server.js
+if (require.main === module) {
+    require('./server')();
+}
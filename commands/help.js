@@ -0,0 +1,32 @@
+// !help [command] - Generated from the registered commands the sender may use
+module.exports = {
+    name: 'help',
+    aliases: ['commands'],
+    description: 'Show this help message',
+    args: [{ name: 'command' }],
+    execute: async ({ message, args, registry }) => {
+        const { prefix } = registry;
+
+        if (args.command) {
+            const command = registry.find(args.command.replace(prefix, ''));
+            if (!command || registry.denialReason(command, message)) {
+                await message.reply(`❓ Unknown command *${prefix}${args.command}*. Send ${prefix}help for the list of commands.`);
+                return;
+            }
+
+            const lines = [`ℹ️ *${registry.usage(command)}*`, command.description];
+            if (command.aliases && command.aliases.length > 0) {
+                lines.push(`Aliases: ${command.aliases.map(alias => prefix + alias).join(', ')}`);
+            }
+            if (command.cooldownMs) {
+                lines.push(`Cooldown: ${Math.ceil(command.cooldownMs / 1000)}s`);
+            }
+            await message.reply(lines.join('\n'));
+            return;
+        }
+
+        const lines = registry.available(message)
+            .map(command => `${prefix}${command.name} - ${command.description}`);
+        await message.reply(`🤖 *WhatsApp Bot Commands:*\n\n${lines.join('\n')}\n\nSend ${prefix}help <command> for details.`);
+    }
+};
@@ -0,0 +1,13 @@
+// !info - Get your contact info
+module.exports = {
+    name: 'info',
+    description: 'Get your contact info',
+    cooldownMs: 5000,
+    execute: async ({ message }) => {
+        const contact = await message.getContact();
+        await message.reply(`👤 *Your Info:*
+Name: ${contact.name || 'Not saved'}
+Number: ${contact.number}
+Chat Type: ${message.from.includes('@g.us') ? 'Group' : 'Individual'}`);
+    }
+};
@@ -0,0 +1,9 @@
+// !ping - Test bot response
+module.exports = {
+    name: 'ping',
+    description: 'Test bot response',
+    cooldownMs: 3000,
+    execute: async ({ message }) => {
+        await message.reply('🏓 Pong! Bot is active');
+    }
+};
@@ -0,0 +1,15 @@
+// !status - Get bot status; the host server adds its own lines through context.statusLines
+module.exports = {
+    name: 'status',
+    description: 'Get bot status',
+    cooldownMs: 5000,
+    execute: async ({ message, session, context }) => {
+        const lines = [
+            `Session: ${session.id}`,
+            `Ready: ${session.isReady ? '✅' : '❌'}`,
+            `Uptime: ${Math.floor(process.uptime() / 60)} minutes`,
+            ...(context.statusLines ? context.statusLines(session) : [])
+        ];
+        await message.reply(`📊 *Bot Status:*\n${lines.join('\n')}`);
+    }
+};
@@ -0,0 +1,8 @@
+// !time - Get current time
+module.exports = {
+    name: 'time',
+    description: 'Get current time',
+    execute: async ({ message }) => {
+        await message.reply(`🕐 Current time: ${new Date().toLocaleString()}`);
+    }
+};
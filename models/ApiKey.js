@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// What a key may do, also exported as SCOPES by utils/apiKeys.js. admin includes
+// everything; metrics only grants GET /metrics, e.g. for a Prometheus scraper
+const SCOPES = ['send', 'read', 'admin', 'sessions', 'metrics'];
+
+// Named API key; only the SHA-256 of the secret is stored
+const apiKeySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    // First characters of the key, shown so a key can be recognised without its secret
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    scopes: {
+        type: [{ type: String, enum: SCOPES }],
+        default: ['send', 'read']
+    },
+    // IPs or CIDR ranges the key may be used from (empty = anywhere)
+    ipAllowlist: { type: [String], default: [] },
+    expiresAt: Date,
+    revokedAt: Date,
+    rotatedAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String
+}, { timestamps: true });
+
+apiKeySchema.methods.toPublic = function () {
+    return {
+        id: this._id.toString(),
+        name: this.name,
+        prefix: this.prefix,
+        scopes: this.scopes,
+        ipAllowlist: this.ipAllowlist,
+        expiresAt: this.expiresAt,
+        revokedAt: this.revokedAt,
+        rotatedAt: this.rotatedAt,
+        lastUsedAt: this.lastUsedAt,
+        lastUsedIp: this.lastUsedIp,
+        active: !this.revokedAt && !(this.expiresAt && this.expiresAt <= new Date()),
+        createdAt: this.createdAt
+    };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = SCOPES;
+
+module.exports = ApiKey;
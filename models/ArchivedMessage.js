@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Copy of every message seen by a session, for search and conversation review
+const archivedMessageSchema = new mongoose.Schema({
+    messageId: { type: String, required: true, unique: true },
+    sessionId: { type: String, required: true },
+    chatId: { type: String, required: true },
+    from: String,
+    to: String,
+    author: String,
+    fromMe: Boolean,
+    body: String,
+    type: String,
+    hasMedia: Boolean,
+    timestamp: { type: Date, required: true }
+});
+
+archivedMessageSchema.index({ body: 'text' });
+archivedMessageSchema.index({ sessionId: 1, chatId: 1, timestamp: -1 });
+archivedMessageSchema.index({ timestamp: -1 });
+
+archivedMessageSchema.methods.toPublic = function () {
+    return {
+        id: this.messageId,
+        sessionId: this.sessionId,
+        chatId: this.chatId,
+        from: this.from,
+        to: this.to,
+        author: this.author,
+        fromMe: this.fromMe,
+        body: this.body,
+        type: this.type,
+        hasMedia: this.hasMedia,
+        timestamp: this.timestamp
+    };
+};
+
+module.exports = mongoose.model('ArchivedMessage', archivedMessageSchema);
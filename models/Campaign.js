@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Bulk send running in the background; one CampaignRecipient per message
+const campaignSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    sessionId: { type: String, required: true },
+    template: String,
+    status: {
+        type: String,
+        enum: ['running', 'paused', 'completed', 'cancelled'],
+        default: 'running'
+    },
+    messagesPerMinute: { type: Number, default: 20 },
+    // Random extra wait of up to jitterMs between two messages
+    jitterMs: { type: Number, default: 0 },
+    // Most messages sent in any 24 hours (0 = no cap)
+    dailyCap: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    nextSendAt: { type: Date, default: Date.now },
+    lastError: String,
+    completedAt: Date,
+    cancelledAt: Date
+}, { timestamps: true });
+
+campaignSchema.index({ status: 1, nextSendAt: 1 });
+
+campaignSchema.methods.toPublic = function (progress) {
+    return {
+        campaignId: this._id.toString(),
+        name: this.name,
+        sessionId: this.sessionId,
+        template: this.template,
+        status: this.status,
+        messagesPerMinute: this.messagesPerMinute,
+        jitterMs: this.jitterMs,
+        dailyCap: this.dailyCap,
+        total: this.total,
+        progress: progress,
+        nextSendAt: this.status === 'running' ? this.nextSendAt : undefined,
+        lastError: this.lastError,
+        createdAt: this.createdAt,
+        completedAt: this.completedAt,
+        cancelledAt: this.cancelledAt
+    };
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
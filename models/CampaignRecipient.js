@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One recipient of a campaign and the result of its message
+const campaignRecipientSchema = new mongoose.Schema({
+    campaignId: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: true },
+    index: { type: Number, required: true },
+    to: { type: String, required: true },
+    message: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'queued', 'sent', 'failed', 'cancelled', 'skipped'],
+        default: 'pending'
+    },
+    jobId: { type: String, index: true },
+    messageId: String,
+    error: String,
+    queuedAt: Date,
+    sentAt: Date
+});
+
+campaignRecipientSchema.index({ campaignId: 1, status: 1, index: 1 });
+campaignRecipientSchema.index({ campaignId: 1, queuedAt: 1 });
+
+campaignRecipientSchema.methods.toPublic = function () {
+    return {
+        index: this.index,
+        to: this.to,
+        status: this.status,
+        jobId: this.jobId,
+        messageId: this.messageId,
+        error: this.error,
+        queuedAt: this.queuedAt,
+        sentAt: this.sentAt
+    };
+};
+
+module.exports = mongoose.model('CampaignRecipient', campaignRecipientSchema);
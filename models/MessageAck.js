@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Delivery state of an outgoing message, as reported by WhatsApp message_ack events
+const messageAckSchema = new mongoose.Schema({
+    messageId: { type: String, required: true, unique: true },
+    sessionId: String,
+    to: String,
+    jobId: String,
+    ack: { type: Number, default: 0 },
+    status: { type: String, default: 'pending' },
+    history: [{
+        _id: false,
+        ack: Number,
+        status: String,
+        at: { type: Date, default: Date.now }
+    }]
+}, { timestamps: true });
+
+messageAckSchema.methods.toPublic = function () {
+    return {
+        messageId: this.messageId,
+        sessionId: this.sessionId,
+        to: this.to,
+        jobId: this.jobId,
+        status: this.status,
+        ack: this.ack,
+        history: this.history,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = mongoose.model('MessageAck', messageAckSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Outbound message waiting in (or processed by) the send queue
+const messageJobSchema = new mongoose.Schema({
+    sessionId: { type: String, required: true },
+    to: { type: String, required: true },
+    message: { type: String, required: true },
+    // whatsapp-web.js send options, e.g. quotedMessageId and mentions
+    options: { type: mongoose.Schema.Types.Mixed, default: {} },
+    batchId: { type: String, index: true },
+    scheduleId: String,
+    campaignId: String,
+    // X-Request-Id of the API request that queued the message, for log correlation
+    requestId: String,
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'sent', 'failed'],
+        default: 'queued'
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastError: String,
+    messageId: String,
+    sentAt: Date
+}, { timestamps: true });
+
+messageJobSchema.index({ status: 1, sessionId: 1, nextAttemptAt: 1 });
+
+messageJobSchema.methods.toPublic = function () {
+    return {
+        jobId: this._id.toString(),
+        sessionId: this.sessionId,
+        to: this.to,
+        batchId: this.batchId,
+        scheduleId: this.scheduleId,
+        campaignId: this.campaignId,
+        requestId: this.requestId,
+        status: this.status,
+        attempts: this.attempts,
+        maxAttempts: this.maxAttempts,
+        nextAttemptAt: this.status === 'queued' ? this.nextAttemptAt : undefined,
+        lastError: this.lastError,
+        messageId: this.messageId,
+        createdAt: this.createdAt,
+        sentAt: this.sentAt
+    };
+};
+
+module.exports = mongoose.model('MessageJob', messageJobSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Executions kept per schedule, oldest dropped first
+const MAX_HISTORY = 100;
+
+// A message sent once at sendAt, or on every tick of a cron expression
+const scheduleSchema = new mongoose.Schema({
+    sessionId: { type: String, required: true },
+    to: { type: String, required: true },
+    message: { type: String, required: true },
+    // whatsapp-web.js send options, e.g. quotedMessageId and mentions
+    options: { type: mongoose.Schema.Types.Mixed, default: {} },
+    sendAt: Date,
+    cron: String,
+    timezone: { type: String, default: 'UTC' },
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'cancelled'],
+        default: 'active'
+    },
+    nextRunAt: Date,
+    lastRunAt: Date,
+    runCount: { type: Number, default: 0 },
+    history: [{
+        _id: false,
+        scheduledFor: Date,
+        firedAt: { type: Date, default: Date.now },
+        jobId: String,
+        status: {
+            type: String,
+            enum: ['queued', 'sent', 'failed']
+        },
+        messageId: String,
+        error: String
+    }]
+}, { timestamps: true });
+
+scheduleSchema.index({ status: 1, nextRunAt: 1 });
+
+scheduleSchema.methods.toPublic = function ({ includeHistory = false } = {}) {
+    return {
+        scheduleId: this._id.toString(),
+        sessionId: this.sessionId,
+        to: this.to,
+        message: this.message,
+        sendAt: this.sendAt,
+        cron: this.cron,
+        timezone: this.cron ? this.timezone : undefined,
+        status: this.status,
+        nextRunAt: this.status === 'active' ? this.nextRunAt : undefined,
+        lastRunAt: this.lastRunAt,
+        runCount: this.runCount,
+        history: includeHistory ? this.history : undefined,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+Schedule.MAX_HISTORY = MAX_HISTORY;
+
+module.exports = Schedule;
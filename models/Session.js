@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Named WhatsApp sessions, so sessions created through the API survive restarts.
+// The auth data itself lives in the RemoteAuth store under RemoteAuth-<sessionId>.
+const sessionSchema = new mongoose.Schema({
+    sessionId: { type: String, required: true, unique: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A chat that asked not to be messaged; the send paths skip every chat listed here
+const suppressionSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    source: {
+        type: String,
+        enum: ['keyword', 'api', 'import'],
+        required: true
+    },
+    keyword: String,
+    reason: String,
+    sessionId: String
+}, { timestamps: true });
+
+suppressionSchema.methods.toPublic = function () {
+    return {
+        chatId: this.chatId,
+        source: this.source,
+        keyword: this.keyword,
+        reason: this.reason,
+        sessionId: this.sessionId,
+        optedOutAt: this.createdAt
+    };
+};
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Audit trail: every opt-out and opt-in, and how it happened
+const suppressionEventSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, index: true },
+    action: {
+        type: String,
+        enum: ['opt_out', 'opt_in'],
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['keyword', 'api', 'import'],
+        required: true
+    },
+    keyword: String,
+    reason: String,
+    sessionId: String,
+    at: { type: Date, default: Date.now, index: true }
+});
+
+suppressionEventSchema.methods.toPublic = function () {
+    return {
+        chatId: this.chatId,
+        action: this.action,
+        source: this.source,
+        keyword: this.keyword,
+        reason: this.reason,
+        sessionId: this.sessionId,
+        at: this.at
+    };
+};
+
+module.exports = mongoose.model('SuppressionEvent', suppressionEventSchema);
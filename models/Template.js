@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { extractVariables } = require('../utils/templates');
+
+// Reusable message text with {{variable}} placeholders
+const templateSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    body: { type: String, required: true },
+    description: String
+}, { timestamps: true });
+
+templateSchema.methods.toPublic = function () {
+    return {
+        name: this.name,
+        body: this.body,
+        description: this.description,
+        variables: extractVariables(this.body),
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = mongoose.model('Template', templateSchema);
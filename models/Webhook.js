@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Webhook subscription: deliveries for the listed events are POSTed to url, signed with secret
+const webhookSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    secret: { type: String, required: true },
+    events: { type: [String], default: ['*'] },
+    description: String,
+    active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+webhookSchema.methods.toPublic = function ({ includeSecret = false } = {}) {
+    return {
+        id: this._id.toString(),
+        url: this.url,
+        events: this.events,
+        description: this.description,
+        active: this.active,
+        secret: includeSecret ? this.secret : `${this.secret.slice(0, 4)}…`,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
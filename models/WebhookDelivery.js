@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One event delivered (or being delivered) to one webhook subscription
+const webhookDeliverySchema = new mongoose.Schema({
+    deliveryId: { type: String, required: true, unique: true },
+    webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true, index: true },
+    event: { type: String, required: true },
+    sessionId: String,
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    replayOf: String,
+    status: {
+        type: String,
+        enum: ['pending', 'delivering', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastError: String,
+    responseStatus: Number,
+    attemptLog: [{
+        _id: false,
+        at: { type: Date, default: Date.now },
+        responseStatus: Number,
+        error: String,
+        durationMs: Number
+    }],
+    deliveredAt: Date
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+webhookDeliverySchema.methods.toPublic = function () {
+    return {
+        deliveryId: this.deliveryId,
+        webhookId: this.webhookId.toString(),
+        event: this.event,
+        sessionId: this.sessionId,
+        status: this.status,
+        attempts: this.attempts,
+        maxAttempts: this.maxAttempts,
+        nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : undefined,
+        lastError: this.lastError,
+        responseStatus: this.responseStatus,
+        replayOf: this.replayOf,
+        attemptLog: this.attemptLog,
+        payload: this.payload,
+        createdAt: this.createdAt,
+        deliveredAt: this.deliveredAt
+    };
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,437 @@
+// Admin dashboard: plain browser JavaScript talking to the same API as any client.
+// The API key is kept in sessionStorage and sent as X-API-Key; the chosen session as X-Session-Id.
+(function () {
+    'use strict';
+
+    const $ = id => document.getElementById(id);
+    const state = {
+        apiKey: sessionStorage.getItem('apiKey'),
+        sessionId: sessionStorage.getItem('sessionId'),
+        chatId: null,
+        events: null,
+        pollTimer: null
+    };
+
+    // Build an element; children are nodes or text (never parsed as HTML)
+    function el(tag, attributes = {}, ...children) {
+        const element = document.createElement(tag);
+        for (const [name, value] of Object.entries(attributes)) {
+            if (name === 'onclick') element.addEventListener('click', value);
+            else if (name === 'className') element.className = value;
+            else element.setAttribute(name, value);
+        }
+        for (const child of children) {
+            if (child !== null && child !== undefined) {
+                element.append(child instanceof Node ? child : String(child));
+            }
+        }
+        return element;
+    }
+
+    function formatTime(value) {
+        if (!value) return '';
+        const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+        return date.toLocaleString();
+    }
+
+    function badge(element, text, kind) {
+        element.textContent = text;
+        element.className = `badge ${kind || ''}`;
+    }
+
+    async function api(path, { method = 'GET', body, form } = {}) {
+        const headers = { 'X-API-Key': state.apiKey };
+        if (state.sessionId) headers['X-Session-Id'] = state.sessionId;
+        if (body) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(path, {
+            method,
+            headers,
+            body: form || (body ? JSON.stringify(body) : undefined)
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            logout('Your API key is no longer valid.');
+        }
+        if (!response.ok) {
+            const error = new Error(data.error || `${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    // Run a panel refresh, showing its error (e.g. a missing scope) in the panel
+    async function guarded(errorElement, task) {
+        errorElement.textContent = '';
+        try {
+            await task();
+        } catch (error) {
+            errorElement.textContent = error.status === 403 ? `Not allowed: ${error.message}` : error.message;
+        }
+    }
+
+    // --- Sign in ---------------------------------------------------------
+
+    async function login(event) {
+        event.preventDefault();
+        state.apiKey = $('api-key').value.trim();
+        $('login-error').textContent = '';
+
+        try {
+            await api('/api/rate-limits');
+            sessionStorage.setItem('apiKey', state.apiKey);
+            $('api-key').value = '';
+            await showApp();
+        } catch (error) {
+            $('login-error').textContent = error.status === 401 ? 'Invalid API key' : error.message;
+        }
+    }
+
+    function logout(message) {
+        sessionStorage.removeItem('apiKey');
+        state.apiKey = null;
+        if (state.events) state.events.close();
+        clearInterval(state.pollTimer);
+        $('app').classList.add('hidden');
+        $('login').classList.remove('hidden');
+        $('login-error').textContent = message || '';
+    }
+
+    async function showApp() {
+        $('login').classList.add('hidden');
+        $('app').classList.remove('hidden');
+
+        await loadSessions();
+        refreshAll();
+        connectEvents();
+        clearInterval(state.pollTimer);
+        state.pollTimer = setInterval(refreshStatus, 15000);
+    }
+
+    function refreshAll() {
+        refreshStatus();
+        refreshChats();
+        refreshDeliveries();
+        loadTemplateOptions();
+    }
+
+    // --- Sessions and connection -------------------------------------------
+
+    async function loadSessions() {
+        const select = $('session-select');
+        select.replaceChildren();
+
+        try {
+            const { sessions } = await api('/api/sessions');
+            for (const session of sessions) {
+                select.append(el('option', { value: session.id }, session.id + (session.isDefault ? ' (default)' : '')));
+            }
+            if (!sessions.some(session => session.id === state.sessionId)) {
+                const fallback = sessions.find(session => session.isDefault) || sessions[0];
+                state.sessionId = fallback ? fallback.id : null;
+            }
+            select.value = state.sessionId || '';
+            select.disabled = false;
+        } catch (error) {
+            // Keys without the sessions scope work with the default session
+            state.sessionId = null;
+            select.append(el('option', { value: '' }, 'default session'));
+            select.disabled = true;
+        }
+    }
+
+    async function refreshStatus() {
+        const health = await fetch('/health').then(response => response.json()).catch(() => null);
+        if (health) {
+            const mongoOk = health.mongoStatus === 'connected';
+            badge($('mongo-badge'), `MongoDB ${health.mongoStatus}`, mongoOk ? 'ok' : 'bad');
+        }
+
+        await guarded($('status-error'), async () => {
+            const { session } = await api(`/api/sessions/${encodeURIComponent(state.sessionId || defaultSessionId(health))}`);
+            badge($('connection-badge'), session.ready ? 'Connected' : session.status, session.ready ? 'ok' : session.hasQR ? 'warn' : 'bad');
+
+            $('status-details').replaceChildren(el('table', {},
+                el('tr', {}, el('th', {}, 'Session'), el('td', {}, session.id)),
+                el('tr', {}, el('th', {}, 'Status'), el('td', {}, session.status)),
+                el('tr', {}, el('th', {}, 'Ready'), el('td', {}, session.ready ? '✅' : '❌')),
+                el('tr', {}, el('th', {}, 'Created'), el('td', {}, formatTime(session.createdAt))),
+                health ? el('tr', {}, el('th', {}, 'Server uptime'), el('td', {}, `${Math.floor(health.uptime / 60)} minutes`)) : null
+            ));
+
+            await refreshQr(session);
+        });
+    }
+
+    function defaultSessionId(health) {
+        return health && health.sessions && health.sessions[0] ? health.sessions[0].id : 'whatsapp-bot';
+    }
+
+    async function refreshQr(session) {
+        const image = $('qr-image');
+        if (session.ready || !session.hasQR) {
+            image.classList.add('hidden');
+            $('qr-message').textContent = session.ready ? 'Linked – no QR code needed.' : 'Waiting for a QR code…';
+            return;
+        }
+
+        const qr = await api(`/api/sessions/${encodeURIComponent(session.id)}/qr`);
+        if (qr.image) {
+            image.src = qr.image;
+            image.classList.remove('hidden');
+            $('qr-message').textContent = 'Scan with WhatsApp → Linked devices → Link a device.';
+        } else {
+            image.classList.add('hidden');
+            $('qr-message').textContent = qr.message || '';
+        }
+    }
+
+    async function sessionAction(action) {
+        await guarded($('status-error'), async () => {
+            await api(`/api/sessions/${encodeURIComponent(state.sessionId)}/${action}`, { method: 'POST' });
+            await refreshStatus();
+        });
+    }
+
+    // --- Chats ---------------------------------------------------------------
+
+    async function refreshChats() {
+        await guarded($('chats-error'), async () => {
+            const { chats } = await api('/api/chats');
+            const list = $('chat-list');
+            list.replaceChildren(...chats
+                .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+                .slice(0, 200)
+                .map(chat => el('div', {
+                    className: chat.id === state.chatId ? 'active' : '',
+                    'data-chat-id': chat.id,
+                    onclick: () => openChat(chat.id)
+                },
+                el('strong', {}, chat.name || chat.id),
+                chat.unreadCount ? el('span', { className: 'badge ok' }, chat.unreadCount) : null,
+                el('br'),
+                el('small', { className: 'muted' }, `${chat.isGroup ? 'Group · ' : ''}${formatTime(chat.timestamp)}`))));
+
+            if (chats.length === 0) {
+                list.append(el('p', { className: 'muted' }, 'No chats'));
+            }
+        });
+    }
+
+    async function openChat(chatId) {
+        state.chatId = chatId;
+        for (const item of $('chat-list').children) {
+            item.classList.toggle('active', item.dataset.chatId === chatId);
+        }
+        $('send-to').value = chatId;
+        await refreshMessages();
+    }
+
+    async function refreshMessages() {
+        if (!state.chatId) return;
+
+        await guarded($('chats-error'), async () => {
+            const { messages } = await api(`/api/chats/${encodeURIComponent(state.chatId)}/messages?limit=30`);
+            const box = $('messages');
+            box.replaceChildren(...messages.map(message => el('div', { className: `message ${message.fromMe ? 'mine' : ''}` },
+                message.body || `[${message.type}]`,
+                el('small', {}, `${message.author || (message.fromMe ? 'me' : message.from)} · ${formatTime(message.timestamp)}`))));
+            if (messages.length === 0) {
+                box.append(el('p', { className: 'muted' }, 'No messages'));
+            }
+            box.scrollTop = box.scrollHeight;
+        });
+    }
+
+    // --- Send ------------------------------------------------------------------
+
+    async function send(event) {
+        event.preventDefault();
+        const to = $('send-to').value.trim();
+        const text = $('send-text').value;
+        const file = $('send-file').files[0];
+        const url = $('send-url').value.trim();
+        const result = $('send-result');
+        result.classList.remove('hidden');
+
+        try {
+            let response;
+            if (file || url) {
+                const form = new FormData();
+                form.append('to', to);
+                form.append('caption', text);
+                if (file) form.append('media', file);
+                else form.append('url', url);
+                response = await api('/api/send-media', { method: 'POST', form });
+            } else {
+                if (!text) throw new Error('Enter a text, a media file or a media URL');
+                response = await api('/api/send-message', { method: 'POST', body: { to, message: text } });
+            }
+            result.textContent = JSON.stringify(response, null, 2);
+            $('send-text').value = '';
+            $('send-file').value = '';
+            $('send-url').value = '';
+        } catch (error) {
+            result.textContent = `❌ ${error.message}`;
+        }
+    }
+
+    // --- Webhook deliveries --------------------------------------------------
+
+    async function refreshDeliveries() {
+        await guarded($('deliveries-error'), async () => {
+            const status = $('delivery-status').value;
+            const { deliveries } = await api(`/api/webhooks/deliveries?limit=50${status ? `&status=${status}` : ''}`);
+            const rows = [];
+
+            for (const delivery of deliveries) {
+                const kind = delivery.status === 'succeeded' ? 'ok' : delivery.status === 'failed' ? 'bad' : 'warn';
+                const details = el('tr', { className: 'hidden' }, el('td', { colspan: 7 },
+                    delivery.lastError ? el('div', { className: 'error' }, delivery.lastError) : null,
+                    el('pre', {}, JSON.stringify(delivery.attemptLog, null, 2)),
+                    el('pre', {}, JSON.stringify(delivery.payload, null, 2))));
+
+                rows.push(el('tr', { className: 'clickable', onclick: () => details.classList.toggle('hidden') },
+                    el('td', {}, formatTime(delivery.createdAt)),
+                    el('td', {}, delivery.event),
+                    el('td', {}, delivery.sessionId || ''),
+                    el('td', {}, el('span', { className: `badge ${kind}` }, delivery.status)),
+                    el('td', {}, `${delivery.attempts}/${delivery.maxAttempts}`),
+                    el('td', {}, delivery.responseStatus || ''),
+                    el('td', {}, el('button', {
+                        className: 'secondary',
+                        onclick: (event) => {
+                            event.stopPropagation();
+                            replay(delivery.deliveryId);
+                        }
+                    }, 'Replay'))), details);
+            }
+
+            $('deliveries').replaceChildren(...rows);
+            if (deliveries.length === 0) {
+                $('deliveries').append(el('tr', {}, el('td', { colspan: 7, className: 'muted' }, 'No deliveries')));
+            }
+        });
+    }
+
+    async function replay(deliveryId) {
+        await guarded($('deliveries-error'), async () => {
+            await api(`/api/webhooks/deliveries/${encodeURIComponent(deliveryId)}/replay`, { method: 'POST' });
+            await refreshDeliveries();
+        });
+    }
+
+    // --- Notification templates ---------------------------------------------------
+    // Edits here are only previewed; they take effect once saved as
+    // <locale>/<event>.txt and .html in NOTIFY_TEMPLATES_DIR.
+
+    async function loadTemplateOptions() {
+        await guarded($('templates-error'), async () => {
+            const { locale, locales, events } = await api('/api/admin/notifications/templates');
+            $('template-event').replaceChildren(...events.map(event => el('option', { value: event }, event)));
+            $('template-locale').replaceChildren(...locales.map(name => el('option', { value: name }, name)));
+            $('template-locale').value = locale;
+            await loadTemplate();
+        });
+    }
+
+    async function loadTemplate() {
+        await guarded($('templates-error'), async () => {
+            const event = encodeURIComponent($('template-event').value);
+            const locale = encodeURIComponent($('template-locale').value);
+            const { template } = await api(`/api/admin/notifications/templates/${event}?locale=${locale}`);
+
+            $('template-subject').value = template.subject;
+            $('template-text').value = template.text;
+            $('template-html').value = template.html || '';
+            $('template-source').textContent = template.locale === $('template-locale').value
+                ? `From ${template.files.text}`
+                : `No ${$('template-locale').value} template, showing ${template.locale} from ${template.files.text}`;
+            await previewTemplate();
+        });
+    }
+
+    async function previewTemplate() {
+        await guarded($('templates-error'), async () => {
+            const event = encodeURIComponent($('template-event').value);
+            const { preview } = await api(`/api/admin/notifications/templates/${event}/preview`, {
+                method: 'POST',
+                body: {
+                    locale: $('template-locale').value,
+                    subject: $('template-subject').value,
+                    text: $('template-text').value,
+                    html: $('template-html').value
+                }
+            });
+
+            $('preview-subject').textContent = preview.subject;
+            $('preview-text').textContent = preview.text;
+            // Sandboxed without scripts, so the template cannot reach the dashboard
+            $('preview-html').srcdoc = preview.html || '<p style="font-family: Arial, sans-serif; color: #667781;">No HTML part, email is sent as plain text.</p>';
+        });
+    }
+
+    // --- Live events -----------------------------------------------------------
+
+    async function connectEvents() {
+        if (state.events) state.events.close();
+
+        try {
+            const { token } = await api('/api/events/token', { method: 'POST' });
+            const query = state.sessionId ? `&sessionId=${encodeURIComponent(state.sessionId)}` : '';
+            const events = new EventSource(`/api/events?token=${encodeURIComponent(token)}${query}`);
+            state.events = events;
+
+            events.onopen = () => badge($('stream-badge'), 'Live', 'ok');
+            events.onerror = () => {
+                // Tokens are single-use, so reconnect with a fresh one
+                badge($('stream-badge'), 'Live: reconnecting', 'warn');
+                events.close();
+                setTimeout(() => { if (state.apiKey && state.events === events) connectEvents(); }, 5000);
+            };
+
+            for (const name of ['qr', 'ready', 'authenticated', 'auth_failure', 'disconnected']) {
+                events.addEventListener(name, refreshStatus);
+            }
+            for (const name of ['message', 'message_create']) {
+                events.addEventListener(name, (event) => {
+                    const { data } = JSON.parse(event.data);
+                    const chatId = data.fromMe ? data.to : data.from;
+                    if (chatId === state.chatId) refreshMessages();
+                });
+            }
+        } catch (error) {
+            badge($('stream-badge'), 'Live: off', 'bad');
+        }
+    }
+
+    // --- Wiring ------------------------------------------------------------------
+
+    $('login-form').addEventListener('submit', login);
+    $('logout').addEventListener('click', () => logout());
+    $('session-select').addEventListener('change', (event) => {
+        state.sessionId = event.target.value;
+        state.chatId = null;
+        sessionStorage.setItem('sessionId', state.sessionId);
+        $('messages').replaceChildren(el('p', { className: 'muted' }, 'Select a chat'));
+        refreshAll();
+        connectEvents();
+    });
+    $('refresh-status').addEventListener('click', refreshStatus);
+    $('start-session').addEventListener('click', () => sessionAction('start'));
+    $('stop-session').addEventListener('click', () => sessionAction('stop'));
+    $('refresh-chats').addEventListener('click', refreshChats);
+    $('refresh-deliveries').addEventListener('click', refreshDeliveries);
+    $('delivery-status').addEventListener('change', refreshDeliveries);
+    $('send-form').addEventListener('submit', send);
+    $('template-event').addEventListener('change', loadTemplate);
+    $('template-locale').addEventListener('change', loadTemplate);
+    $('load-template').addEventListener('click', loadTemplate);
+    $('preview-template').addEventListener('click', previewTemplate);
+
+    if (state.apiKey) {
+        showApp();
+    }
+})();
@@ -0,0 +1,28 @@
+const express = require('express');
+const { getAck } = require('../utils/ackTracker');
+
+// Delivery acknowledgement routes, mounted under /api/acks
+module.exports = function createAcksRouter() {
+    const router = express.Router();
+
+    // GET /api/acks/:messageId - Current ack state and its history
+    router.get('/:messageId', async (req, res) => {
+        try {
+            const record = await getAck(req.params.messageId);
+            if (!record) {
+                return res.status(404).json({ error: 'No acknowledgement recorded for this message' });
+            }
+
+            res.json({
+                success: true,
+                ack: record.toPublic()
+            });
+
+        } catch (error) {
+            req.log.error('Error getting message ack', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,175 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { SCOPES, invalidAllowlistEntry, createApiKey, rotateApiKey } = require('../utils/apiKeys');
+
+// Returns an error message for invalid key settings, or null
+function validateKeySettings({ scopes, ipAllowlist, expiresAt }) {
+    if (scopes !== undefined) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return 'scopes must be a non-empty array';
+        }
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (unknown.length > 0) {
+            return `Unknown scopes: ${unknown.join(', ')}. Supported: ${SCOPES.join(', ')}`;
+        }
+    }
+
+    if (ipAllowlist !== undefined) {
+        if (!Array.isArray(ipAllowlist)) {
+            return 'ipAllowlist must be an array of IPs or CIDR ranges';
+        }
+        const invalid = invalidAllowlistEntry(ipAllowlist);
+        if (invalid) return invalid;
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(new Date(expiresAt).getTime())) {
+        return 'expiresAt must be an ISO 8601 date';
+    }
+
+    return null;
+}
+
+// API key administration, mounted under /api/admin/api-keys (admin scope)
+module.exports = function createApiKeysRouter() {
+    const router = express.Router();
+
+    // GET /api/admin/api-keys
+    router.get('/', async (req, res) => {
+        try {
+            const apiKeys = await ApiKey.find().sort({ createdAt: 1 });
+            res.json({
+                success: true,
+                apiKeys: apiKeys.map(apiKey => apiKey.toPublic()),
+                scopes: SCOPES
+            });
+        } catch (error) {
+            req.log.error('Error listing API keys', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/admin/api-keys - { name, scopes, ipAllowlist, expiresAt }; the key is only returned here
+    router.post('/', async (req, res) => {
+        try {
+            const { name, scopes, ipAllowlist, expiresAt } = req.body;
+
+            if (!name) {
+                return res.status(400).json({ error: 'Missing required field: name' });
+            }
+            const validationError = validateKeySettings({ scopes, ipAllowlist, expiresAt });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const { apiKey, key } = await createApiKey({
+                name,
+                scopes,
+                ipAllowlist,
+                expiresAt: expiresAt ? new Date(expiresAt) : undefined
+            });
+            req.log.info('API key created', { name: apiKey.name, prefix: apiKey.prefix, by: req.apiKey.name });
+
+            res.status(201).json({
+                success: true,
+                key: key,
+                apiKey: apiKey.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error creating API key', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Load :keyId as req.storedKey for the routes below
+    router.param('keyId', async (req, res, next, keyId) => {
+        try {
+            const apiKey = mongoose.isValidObjectId(keyId) ? await ApiKey.findById(keyId) : null;
+            if (!apiKey) {
+                return res.status(404).json({ error: 'API key not found' });
+            }
+            req.storedKey = apiKey;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/admin/api-keys/:keyId
+    router.get('/:keyId', (req, res) => {
+        res.json({
+            success: true,
+            apiKey: req.storedKey.toPublic()
+        });
+    });
+
+    // PATCH /api/admin/api-keys/:keyId - Update name, scopes, ipAllowlist or expiresAt (null clears it)
+    router.patch('/:keyId', async (req, res) => {
+        try {
+            const { name, scopes, ipAllowlist, expiresAt } = req.body;
+
+            const validationError = validateKeySettings({ scopes, ipAllowlist, expiresAt });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const apiKey = req.storedKey;
+            if (name !== undefined) apiKey.name = name;
+            if (scopes !== undefined) apiKey.scopes = scopes;
+            if (ipAllowlist !== undefined) apiKey.ipAllowlist = ipAllowlist;
+            if (expiresAt !== undefined) apiKey.expiresAt = expiresAt ? new Date(expiresAt) : undefined;
+            await apiKey.save();
+
+            res.json({
+                success: true,
+                apiKey: apiKey.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error updating API key', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/admin/api-keys/:keyId/rotate - New secret, the old one stops working now
+    router.post('/:keyId/rotate', async (req, res) => {
+        try {
+            if (req.storedKey.revokedAt) {
+                return res.status(409).json({ error: 'API key is revoked' });
+            }
+
+            const { apiKey, key } = await rotateApiKey(req.storedKey);
+            req.log.info('API key rotated', { name: apiKey.name, prefix: apiKey.prefix, by: req.apiKey.name });
+
+            res.json({
+                success: true,
+                key: key,
+                apiKey: apiKey.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error rotating API key', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // DELETE /api/admin/api-keys/:keyId - Revoke (the record is kept)
+    router.delete('/:keyId', async (req, res) => {
+        try {
+            const apiKey = req.storedKey;
+            if (!apiKey.revokedAt) {
+                apiKey.revokedAt = new Date();
+                await apiKey.save();
+                req.log.info('API key revoked', { name: apiKey.name, prefix: apiKey.prefix, by: req.apiKey.name });
+            }
+
+            res.json({
+                success: true,
+                apiKey: apiKey.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error revoking API key', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
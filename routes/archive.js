@@ -0,0 +1,23 @@
+const express = require('express');
+const { searchArchive } = require('../utils/messageArchive');
+
+// Message archive routes, mounted under /api/archive
+module.exports = function createArchiveRouter() {
+    const router = express.Router();
+
+    // GET /api/archive/messages?q=&chatId=&type=&fromMe=&since=&until=&sessionId=&page=&limit=
+    router.get('/messages', async (req, res) => {
+        try {
+            const result = await searchArchive(req.query);
+            res.json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            req.log.error('Error searching message archive', { error });
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
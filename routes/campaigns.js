@@ -0,0 +1,259 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Template = require('../models/Template');
+const { campaignProgress } = require('../utils/campaignRunner');
+const { renderForRecipients } = require('../utils/templates');
+const { parseCsvObjects, toCsv } = require('../utils/csv');
+const { badRequest } = require('../utils/errors');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// CSV columns that hold the phone number; every other column is a template variable
+const PHONE_COLUMNS = ['to', 'phone', 'number', 'phoneNumber'];
+
+// Recipients from a CSV upload (field "recipients") or the JSON recipients array
+function readRecipients(req) {
+    if (req.file) {
+        const rows = parseCsvObjects(req.file.buffer.toString('utf8'));
+        if (rows.length === 0) {
+            throw badRequest('The CSV file has no recipients');
+        }
+        const phoneColumn = PHONE_COLUMNS.find(column => column in rows[0]);
+        if (!phoneColumn) {
+            throw badRequest(`The CSV file needs a phone number column: ${PHONE_COLUMNS.join(', ')}`);
+        }
+
+        return rows.map(({ [phoneColumn]: to, ...variables }) => ({ to, variables }));
+    }
+
+    const { recipients } = req.body;
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+        throw badRequest('Missing recipients: upload a CSV file or provide a recipients array');
+    }
+    return recipients;
+}
+
+// Multipart fields arrive as strings
+function numberField(value, name, { min, fallback }) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (Number.isNaN(number) || number < min) {
+        throw badRequest(`${name} must be a number >= ${min}`);
+    }
+    return number;
+}
+
+function objectField(value, name) {
+    if (value === undefined || value === '') return {};
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (error) {
+            throw badRequest(`${name} must be a JSON object`);
+        }
+    }
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw badRequest(`${name} must be an object`);
+    }
+    return value;
+}
+
+// Bulk campaign routes, mounted under /api/campaigns after resolveSession.
+// suppressionList is optional; without one no recipient is skipped as opted out.
+// Stored templates can only be named when the templates feature is on.
+module.exports = function createCampaignsRouter(campaignRunner, suppressionList, { templates = false } = {}) {
+    const router = express.Router();
+
+    // GET /api/campaigns?status= - Newest first
+    router.get('/', async (req, res) => {
+        try {
+            const { status } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+            const campaigns = await Campaign.find(status ? { status } : {}).sort({ createdAt: -1 }).limit(limit);
+            res.json({
+                success: true,
+                campaigns: await Promise.all(campaigns.map(async campaign => campaign.toPublic(await campaignProgress(campaign)))),
+                total: campaigns.length
+            });
+        } catch (error) {
+            req.log.error('Error listing campaigns', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/campaigns - JSON { name, message | template, recipients, variables, messagesPerMinute, jitterMs, dailyCap }
+    // or multipart with the same fields and a "recipients" CSV file
+    router.post('/', upload.single('recipients'), async (req, res) => {
+        try {
+            const { name, message, template } = req.body;
+
+            if (!name || (!message && !template)) {
+                return res.status(400).json({ error: 'Missing required fields: name, message or template' });
+            }
+            if (message && template) {
+                return res.status(400).json({ error: 'Provide only one of: message, template' });
+            }
+
+            const recipients = readRecipients(req);
+            const variables = objectField(req.body.variables, 'variables');
+            const messagesPerMinute = numberField(req.body.messagesPerMinute, 'messagesPerMinute', { min: 0.1, fallback: 20 });
+            const jitterMs = numberField(req.body.jitterMs, 'jitterMs', { min: 0, fallback: 0 });
+            const dailyCap = numberField(req.body.dailyCap, 'dailyCap', { min: 0, fallback: 0 });
+
+            let body = message;
+            if (template) {
+                if (!templates) {
+                    throw badRequest('Templates are disabled on this server, send a message instead');
+                }
+                const stored = await Template.findOne({ name: template });
+                if (!stored) {
+                    return res.status(404).json({ error: `Template not found: ${template}` });
+                }
+                body = stored.body;
+            }
+
+            const { messages, errors } = renderForRecipients(body, recipients, variables);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: `${errors.length} of ${recipients.length} messages could not be rendered, the campaign was not created`,
+                    errors: errors.slice(0, 100)
+                });
+            }
+
+            const campaign = await campaignRunner.create({
+                name,
+                sessionId: req.waSession.id,
+                template,
+                messages,
+                suppressed: suppressionList ? await suppressionList.suppressedAmong(messages.map(item => item.to)) : new Set(),
+                messagesPerMinute,
+                jitterMs: Math.floor(jitterMs),
+                dailyCap: Math.floor(dailyCap)
+            });
+
+            res.status(201).json({
+                success: true,
+                campaign: campaign.toPublic(await campaignProgress(campaign))
+            });
+        } catch (error) {
+            req.log.error('Error creating campaign', { error });
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    // Load :campaignId as req.campaign for the routes below
+    router.param('campaignId', async (req, res, next, campaignId) => {
+        try {
+            const campaign = mongoose.isValidObjectId(campaignId) ? await Campaign.findById(campaignId) : null;
+            if (!campaign) {
+                return res.status(404).json({ error: 'Campaign not found' });
+            }
+            req.campaign = campaign;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/campaigns/:campaignId - Campaign with live progress
+    router.get('/:campaignId', async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                campaign: req.campaign.toPublic(await campaignProgress(req.campaign))
+            });
+        } catch (error) {
+            req.log.error('Error getting campaign', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/campaigns/:campaignId/recipients?status=&page=&limit=
+    router.get('/:campaignId/recipients', async (req, res) => {
+        try {
+            const { status } = req.query;
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+            const filter = { campaignId: req.campaign._id };
+            if (status) filter.status = status;
+
+            const [recipients, total] = await Promise.all([
+                CampaignRecipient.find(filter).sort({ index: 1 }).skip((page - 1) * limit).limit(limit),
+                CampaignRecipient.countDocuments(filter)
+            ]);
+
+            res.json({
+                success: true,
+                recipients: recipients.map(recipient => recipient.toPublic()),
+                page: page,
+                limit: limit,
+                total: total
+            });
+        } catch (error) {
+            req.log.error('Error listing campaign recipients', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/campaigns/:campaignId/results.csv - Per-recipient results
+    router.get('/:campaignId/results.csv', async (req, res) => {
+        try {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="campaign-${req.campaign._id}-results.csv"`);
+            res.write(toCsv([['index', 'to', 'status', 'messageId', 'error', 'queuedAt', 'sentAt']]));
+
+            const cursor = CampaignRecipient.find({ campaignId: req.campaign._id }).sort({ index: 1 }).cursor();
+            for await (const recipient of cursor) {
+                res.write(toCsv([[
+                    recipient.index,
+                    recipient.to,
+                    recipient.status,
+                    recipient.messageId,
+                    recipient.error,
+                    recipient.queuedAt,
+                    recipient.sentAt
+                ]]));
+            }
+            res.end();
+        } catch (error) {
+            req.log.error('Error exporting campaign results', { error });
+            if (res.headersSent) {
+                res.destroy(error);
+            } else {
+                res.status(500).json({ error: error.message });
+            }
+        }
+    });
+
+    // POST /api/campaigns/:campaignId/(pause|resume|cancel)
+    const transitions = {
+        pause: { from: ['running'], run: campaign => campaignRunner.pause(campaign) },
+        resume: { from: ['paused'], run: campaign => campaignRunner.resume(campaign) },
+        cancel: { from: ['running', 'paused'], run: campaign => campaignRunner.cancel(campaign) }
+    };
+    for (const [action, transition] of Object.entries(transitions)) {
+        router.post(`/:campaignId/${action}`, async (req, res) => {
+            try {
+                if (!transition.from.includes(req.campaign.status)) {
+                    return res.status(409).json({ error: `Cannot ${action} a ${req.campaign.status} campaign` });
+                }
+
+                const campaign = await transition.run(req.campaign);
+                res.json({
+                    success: true,
+                    campaign: campaign.toPublic(await campaignProgress(campaign))
+                });
+            } catch (error) {
+                req.log.error('Error changing campaign status', { action, campaignId: req.campaign.id, error });
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+
+    return router;
+};
@@ -0,0 +1,99 @@
+const express = require('express');
+const SessionManager = require('../utils/sessionManager');
+const { toChatId } = require('../utils/chatId');
+const { serializeMessage } = require('../utils/serialize');
+
+// fetchMessages only loads the newest N messages, so paging back means loading a bigger window
+const MAX_HISTORY_WINDOW = 2000;
+
+/**
+ * One page of a chat's history, oldest first.
+ * @param {string} [before] - message id cursor; only messages older than it are returned
+ */
+async function fetchHistoryPage(chat, limit, before) {
+    if (!before) {
+        const messages = await chat.fetchMessages({ limit });
+        return { messages, hasMore: messages.length === limit };
+    }
+
+    for (let size = limit * 2; ; size = Math.min(size * 2, MAX_HISTORY_WINDOW)) {
+        const messages = await chat.fetchMessages({ limit: size });
+        const cursor = messages.findIndex(message => message.id._serialized === before);
+        const exhausted = messages.length < size;
+
+        if (cursor >= 0 && (cursor >= limit || exhausted)) {
+            return {
+                messages: messages.slice(Math.max(0, cursor - limit), cursor),
+                hasMore: cursor > limit || !exhausted
+            };
+        }
+        if (exhausted || size >= MAX_HISTORY_WINDOW) {
+            return null;
+        }
+    }
+}
+
+// Chat routes, mounted under /api/chats after resolveSession
+module.exports = function createChatsRouter() {
+    const router = express.Router();
+
+    router.use(SessionManager.requireReady);
+
+    // GET /api/chats - Get chats
+    router.get('/', async (req, res) => {
+        try {
+            const chats = await req.waSession.client.getChats();
+            const chatList = chats.map(chat => ({
+                id: chat.id._serialized,
+                name: chat.name,
+                isGroup: chat.isGroup,
+                isReadOnly: chat.isReadOnly,
+                unreadCount: chat.unreadCount,
+                timestamp: chat.timestamp
+            }));
+
+            res.json({
+                success: true,
+                chats: chatList,
+                total: chatList.length
+            });
+
+        } catch (error) {
+            req.log.error('Error getting chats', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/chats/:chatId/messages?limit=50&before=<messageId> - Message history, oldest first
+    router.get('/:chatId/messages', async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+            const { before } = req.query;
+
+            const chat = await req.waSession.client.getChatById(toChatId(req.params.chatId)).catch(() => null);
+            if (!chat) {
+                return res.status(404).json({ error: `Chat not found: ${req.params.chatId}` });
+            }
+
+            const page = await fetchHistoryPage(chat, limit, before);
+            if (!page) {
+                return res.status(400).json({ error: 'Cursor "before" not found in the loadable history' });
+            }
+
+            res.json({
+                success: true,
+                chatId: chat.id._serialized,
+                messages: page.messages.map(serializeMessage),
+                total: page.messages.length,
+                hasMore: page.hasMore,
+                nextBefore: page.hasMore && page.messages.length > 0 ? page.messages[0].id._serialized : null
+            });
+
+        } catch (error) {
+            req.log.error('Error getting chat messages', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
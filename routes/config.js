@@ -0,0 +1,22 @@
+const express = require('express');
+const { redactConfig } = require('../utils/config');
+
+// Effective configuration, mounted under /api/admin/config (admin scope)
+module.exports = function createConfigRouter(config) {
+    const router = express.Router();
+
+    // GET /api/admin/config - Settings in use with secrets redacted, and where each came from
+    router.get('/', (req, res) => {
+        const { file, sources, disabledFeatures, warnings } = config.diagnostics;
+        res.json({
+            success: true,
+            config: redactConfig(config),
+            file,
+            sources,
+            disabledFeatures,
+            warnings
+        });
+    });
+
+    return router;
+};
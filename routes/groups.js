@@ -0,0 +1,264 @@
+const express = require('express');
+const SessionManager = require('../utils/sessionManager');
+const { toChatId, toGroupId } = require('../utils/chatId');
+
+// Parse a participants array of phone numbers / ids from the request body
+function participantIds(req, res) {
+    const { participants } = req.body;
+    if (!Array.isArray(participants) || participants.length === 0) {
+        res.status(400).json({ error: 'Missing required field: participants (non-empty array)' });
+        return null;
+    }
+    return participants.map(toChatId);
+}
+
+function groupInfo(chat) {
+    return {
+        id: chat.id._serialized,
+        name: chat.name,
+        description: chat.description,
+        owner: chat.owner ? chat.owner._serialized : null,
+        createdAt: chat.createdAt,
+        messagesAdminsOnly: !!(chat.groupMetadata && chat.groupMetadata.announce),
+        infoAdminsOnly: !!(chat.groupMetadata && chat.groupMetadata.restrict),
+        participants: (chat.participants || []).map(participant => ({
+            id: participant.id._serialized,
+            isAdmin: participant.isAdmin,
+            isSuperAdmin: participant.isSuperAdmin
+        }))
+    };
+}
+
+// Group management routes, mounted under /api/groups after resolveSession
+module.exports = function createGroupsRouter() {
+    const router = express.Router();
+
+    router.use(SessionManager.requireReady);
+
+    // GET /api/groups - Groups this account is in
+    router.get('/', async (req, res) => {
+        try {
+            const chats = await req.waSession.client.getChats();
+            const groups = chats.filter(chat => chat.isGroup).map(chat => ({
+                id: chat.id._serialized,
+                name: chat.name,
+                participants: (chat.participants || []).length,
+                unreadCount: chat.unreadCount,
+                timestamp: chat.timestamp
+            }));
+
+            res.json({
+                success: true,
+                groups: groups,
+                total: groups.length
+            });
+        } catch (error) {
+            req.log.error('Error listing groups', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/groups - Create a group { name, participants }
+    router.post('/', async (req, res) => {
+        try {
+            const { name } = req.body;
+            if (!name) {
+                return res.status(400).json({ error: 'Missing required fields: name, participants' });
+            }
+            const participants = participantIds(req, res);
+            if (!participants) return;
+
+            const result = await req.waSession.client.createGroup(name, participants);
+            if (typeof result === 'string') {
+                return res.status(400).json({ error: result });
+            }
+
+            res.status(201).json({
+                success: true,
+                groupId: result.gid._serialized,
+                name: result.title,
+                participants: result.participants
+            });
+        } catch (error) {
+            req.log.error('Error creating group', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/groups/join - Join a group by invite code or chat.whatsapp.com link
+    router.post('/join', async (req, res) => {
+        try {
+            const { inviteCode } = req.body;
+            if (!inviteCode) {
+                return res.status(400).json({ error: 'Missing required field: inviteCode' });
+            }
+            if (typeof inviteCode !== 'string') {
+                return res.status(400).json({ error: 'inviteCode must be a string' });
+            }
+
+            const code = inviteCode.trim().replace(/^https?:\/\/chat\.whatsapp\.com\//, '');
+            const groupId = await req.waSession.client.acceptInvite(code);
+
+            res.json({
+                success: true,
+                groupId: groupId
+            });
+        } catch (error) {
+            req.log.error('Error joining group', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Load :groupId as req.group for the per-group routes below
+    router.param('groupId', async (req, res, next, groupId) => {
+        try {
+            const chat = await req.waSession.client.getChatById(toGroupId(groupId)).catch(() => null);
+            if (!chat || !chat.isGroup) {
+                return res.status(404).json({ error: `Group not found: ${groupId}` });
+            }
+            req.group = chat;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/groups/:groupId - Group info and participants
+    router.get('/:groupId', (req, res) => {
+        res.json({
+            success: true,
+            group: groupInfo(req.group)
+        });
+    });
+
+    // PATCH /api/groups/:groupId - { subject, description, messagesAdminsOnly, infoAdminsOnly }
+    router.patch('/:groupId', async (req, res) => {
+        try {
+            const { subject, description, messagesAdminsOnly, infoAdminsOnly } = req.body;
+            const group = req.group;
+            for (const [name, value] of Object.entries({ subject, description })) {
+                if (value !== undefined && typeof value !== 'string') {
+                    return res.status(400).json({ error: `${name} must be a string` });
+                }
+            }
+            // "false" must not lock the group to admins
+            for (const [name, value] of Object.entries({ messagesAdminsOnly, infoAdminsOnly })) {
+                if (value !== undefined && typeof value !== 'boolean') {
+                    return res.status(400).json({ error: `${name} must be true or false` });
+                }
+            }
+
+            const failed = [];
+            if (subject !== undefined && !(await group.setSubject(subject))) failed.push('subject');
+            if (description !== undefined && !(await group.setDescription(description))) failed.push('description');
+            if (messagesAdminsOnly !== undefined && !(await group.setMessagesAdminsOnly(messagesAdminsOnly))) failed.push('messagesAdminsOnly');
+            if (infoAdminsOnly !== undefined && !(await group.setInfoAdminsOnly(infoAdminsOnly))) failed.push('infoAdminsOnly');
+
+            if (failed.length > 0) {
+                return res.status(403).json({ error: `Could not update: ${failed.join(', ')}. Admin rights are required.` });
+            }
+
+            res.json({
+                success: true,
+                group: groupInfo(await req.waSession.client.getChatById(group.id._serialized))
+            });
+        } catch (error) {
+            req.log.error('Error updating group', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/groups/:groupId/participants - Add participants
+    router.post('/:groupId/participants', async (req, res) => {
+        try {
+            const participants = participantIds(req, res);
+            if (!participants) return;
+
+            const result = await req.group.addParticipants(participants);
+            if (typeof result === 'string') {
+                return res.status(400).json({ error: result });
+            }
+
+            res.json({
+                success: true,
+                results: result
+            });
+        } catch (error) {
+            req.log.error('Error adding group participants', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/groups/:groupId/participants/(remove|promote|demote)
+    const participantActions = {
+        remove: 'removeParticipants',
+        promote: 'promoteParticipants',
+        demote: 'demoteParticipants'
+    };
+    for (const [action, method] of Object.entries(participantActions)) {
+        router.post(`/:groupId/participants/${action}`, async (req, res) => {
+            try {
+                const participants = participantIds(req, res);
+                if (!participants) return;
+
+                const result = await req.group[method](participants);
+
+                res.json({
+                    success: result.status === 200,
+                    action: action,
+                    participants: participants,
+                    result: result
+                });
+            } catch (error) {
+                req.log.error('Error changing group participants', { action, error });
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+
+    // GET /api/groups/:groupId/invite - Current invite code and link
+    router.get('/:groupId/invite', async (req, res) => {
+        try {
+            const inviteCode = await req.group.getInviteCode();
+            res.json({
+                success: true,
+                inviteCode: inviteCode,
+                inviteLink: `https://chat.whatsapp.com/${inviteCode}`
+            });
+        } catch (error) {
+            req.log.error('Error getting group invite', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/groups/:groupId/invite/revoke - Invalidate the link and get a new one
+    router.post('/:groupId/invite/revoke', async (req, res) => {
+        try {
+            const inviteCode = await req.group.revokeInvite();
+            res.json({
+                success: true,
+                inviteCode: inviteCode,
+                inviteLink: `https://chat.whatsapp.com/${inviteCode}`
+            });
+        } catch (error) {
+            req.log.error('Error revoking group invite', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/groups/:groupId/leave
+    router.post('/:groupId/leave', async (req, res) => {
+        try {
+            await req.group.leave();
+            res.json({
+                success: true,
+                message: `Left group ${req.group.id._serialized}`
+            });
+        } catch (error) {
+            req.log.error('Error leaving group', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
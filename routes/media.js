@@ -0,0 +1,58 @@
+const express = require('express');
+const contentDisposition = require('content-disposition');
+
+// Media that browsers display without running anything; the rest (HTML, SVG, PDF, ...)
+// came from an untrusted sender and is only offered as a download
+const INLINE_TYPE = /^(image\/(png|jpeg|gif|webp|bmp)|audio\/[\w.+-]+|video\/[\w.+-]+)$/;
+
+// Stored incoming media, mounted under /api/media.
+// Accepts either the API key or a signed URL (?expires=&signature=) from a webhook payload.
+module.exports = function createMediaRouter(mediaStore, authenticateApiKey) {
+    const router = express.Router();
+
+    const authenticateMedia = (req, res, next) => {
+        const { expires, signature } = req.query;
+        if (signature) {
+            if (!mediaStore.verifySignature(req.params.messageId, expires, signature)) {
+                return res.status(403).json({ error: 'Invalid or expired media URL' });
+            }
+            return next();
+        }
+        authenticateApiKey(req, res, next);
+    };
+
+    // GET /api/media/:messageId - Download the media of an incoming message
+    router.get('/:messageId', authenticateMedia, async (req, res) => {
+        try {
+            const file = await mediaStore.findFile(req.params.messageId);
+            if (!file) {
+                return res.status(404).json({ error: 'Media not found' });
+            }
+
+            // An ASCII filename plus filename* (RFC 5987) with the real name in UTF-8
+            const filename = file.metadata.filename || file.filename;
+            const mimetype = file.metadata.mimetype || 'application/octet-stream';
+            const inline = INLINE_TYPE.test(mimetype.split(';')[0].trim().toLowerCase());
+            res.set({
+                'Content-Type': mimetype,
+                'Content-Length': file.length,
+                'Content-Disposition': contentDisposition(filename, { type: inline ? 'inline' : 'attachment', fallback: filename.replace(/[^\x20-\x7e]/g, '?') }),
+                'X-Content-Type-Options': 'nosniff',
+                'Content-Security-Policy': 'sandbox'
+            });
+
+            mediaStore.openDownloadStream(file)
+                .on('error', (error) => {
+                    req.log.error('Error streaming media', { error });
+                    res.destroy(error);
+                })
+                .pipe(res);
+
+        } catch (error) {
+            req.log.error('Error getting media', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,61 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const MessageJob = require('../models/MessageJob');
+const { getAck } = require('../utils/ackTracker');
+
+// Outbound queue status routes, mounted under /api/messages
+module.exports = function createMessagesRouter() {
+    const router = express.Router();
+
+    // GET /api/messages?batchId=... - Jobs of one bulk send
+    router.get('/', async (req, res) => {
+        try {
+            const { batchId } = req.query;
+
+            if (!batchId) {
+                return res.status(400).json({ error: 'Missing required query parameter: batchId' });
+            }
+
+            const jobs = await MessageJob.find({ batchId }).sort({ createdAt: 1 });
+            res.json({
+                success: true,
+                batchId: batchId,
+                jobs: jobs.map(job => job.toPublic()),
+                total: jobs.length,
+                sent: jobs.filter(job => job.status === 'sent').length,
+                failed: jobs.filter(job => job.status === 'failed').length
+            });
+
+        } catch (error) {
+            req.log.error('Error listing message jobs', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/messages/:jobId - State of a queued message
+    router.get('/:jobId', async (req, res) => {
+        try {
+            const { jobId } = req.params;
+
+            const job = mongoose.isValidObjectId(jobId) ? await MessageJob.findById(jobId) : null;
+            if (!job) {
+                return res.status(404).json({ error: 'Message job not found' });
+            }
+
+            // Include the delivery state once the message went out
+            const ack = job.messageId ? await getAck(job.messageId) : null;
+
+            res.json({
+                success: true,
+                job: job.toPublic(),
+                ack: ack ? ack.toPublic() : null
+            });
+
+        } catch (error) {
+            req.log.error('Error getting message job', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,82 @@
+const express = require('express');
+const NotificationTemplates = require('../utils/notificationTemplates');
+const { badRequest } = require('../utils/errors');
+
+// Parts of a template that a preview can replace with a draft
+const DRAFT_FIELDS = ['subject', 'text', 'html'];
+
+// Notification channels and templates, mounted under /api/admin/notifications (admin scope)
+module.exports = function createNotificationsRouter(notifier) {
+    const router = express.Router();
+    const { templates } = notifier;
+
+    // GET /api/admin/notifications - Channels, which events go to them and the dedup window
+    router.get('/', (req, res) => {
+        res.json({
+            success: true,
+            channels: notifier.describeChannels(),
+            routes: notifier.routes,
+            dedupWindowMs: notifier.dedupWindowMs
+        });
+    });
+
+    // POST /api/admin/notifications/test - Send a test notification through one channel
+    router.post('/test', async (req, res) => {
+        try {
+            const { channel } = req.body;
+            if (!channel) {
+                throw badRequest('Missing required field: channel');
+            }
+
+            await notifier.sendTest(channel);
+            res.json({ success: true, channel });
+        } catch (error) {
+            req.log.error('Test notification failed', { error: error.message });
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/admin/notifications/templates - Events and locales with templates
+    router.get('/templates', (req, res) => {
+        res.json({
+            success: true,
+            locale: templates.locale,
+            locales: templates.locales(),
+            events: NotificationTemplates.EVENTS
+        });
+    });
+
+    // GET /api/admin/notifications/templates/:event?locale=es - The template in use for an event
+    router.get('/templates/:event', (req, res) => {
+        try {
+            const template = templates.source(req.params.event, req.query.locale || templates.locale);
+            res.json({ success: true, template });
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/admin/notifications/templates/:event/preview - Render with sample data
+    // Body (all optional): locale, data (overrides the sample values) and a draft
+    // subject, text or html to try instead of the template files
+    router.post('/templates/:event/preview', async (req, res) => {
+        try {
+            const { locale, data } = req.body;
+            const draft = {};
+            for (const field of DRAFT_FIELDS) {
+                if (req.body[field] === undefined) continue;
+                if (typeof req.body[field] !== 'string') {
+                    throw badRequest(`${field} must be a string`);
+                }
+                draft[field] = req.body[field];
+            }
+
+            const { qrImage, ...preview } = await templates.preview(req.params.event, { locale, data, draft });
+            res.json({ success: true, preview });
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message, missing: error.missing });
+        }
+    });
+
+    return router;
+};
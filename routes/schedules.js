@@ -0,0 +1,140 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const { messageOptions } = require('../utils/richMessages');
+const { toChatId } = require('../utils/chatId');
+
+// Scheduled and recurring message routes, mounted under /api/schedules after resolveSession
+module.exports = function createSchedulesRouter(scheduler) {
+    const router = express.Router();
+
+    // GET /api/schedules?status=&sessionId= - List schedules, newest first
+    router.get('/', async (req, res) => {
+        try {
+            const { status, sessionId } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+            const filter = {};
+            if (status) filter.status = status;
+            if (sessionId) filter.sessionId = sessionId;
+
+            const schedules = await Schedule.find(filter).sort({ createdAt: -1 }).limit(limit);
+            res.json({
+                success: true,
+                schedules: schedules.map(schedule => schedule.toPublic()),
+                total: schedules.length
+            });
+        } catch (error) {
+            req.log.error('Error listing schedules', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/schedules - { to, message, sendAt } or { to, message, cron, timezone }
+    router.post('/', async (req, res) => {
+        try {
+            const { to, message, sendAt, cron, timezone } = req.body;
+
+            if (!to || !message) {
+                return res.status(400).json({ error: 'Missing required fields: to, message' });
+            }
+
+            const schedule = await scheduler.create({
+                sessionId: req.waSession.id,
+                to: toChatId(to),
+                message: message,
+                options: messageOptions(req.body, message),
+                sendAt,
+                cron,
+                timezone
+            });
+
+            res.status(201).json({
+                success: true,
+                schedule: schedule.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error creating schedule', { error });
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    // Load :scheduleId as req.schedule for the routes below
+    router.param('scheduleId', async (req, res, next, scheduleId) => {
+        try {
+            const schedule = mongoose.isValidObjectId(scheduleId) ? await Schedule.findById(scheduleId) : null;
+            if (!schedule) {
+                return res.status(404).json({ error: 'Schedule not found' });
+            }
+            req.schedule = schedule;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/schedules/:scheduleId - Schedule with its execution history
+    router.get('/:scheduleId', (req, res) => {
+        res.json({
+            success: true,
+            schedule: req.schedule.toPublic({ includeHistory: true })
+        });
+    });
+
+    // PATCH /api/schedules/:scheduleId - Change to, message, mentions or timing of an active schedule
+    router.patch('/:scheduleId', async (req, res) => {
+        try {
+            const { to, message, sendAt, cron, timezone, quotedMessageId, mentions } = req.body;
+            const schedule = req.schedule;
+
+            if (schedule.status !== 'active') {
+                return res.status(409).json({ error: `Schedule is ${schedule.status}` });
+            }
+
+            const text = message !== undefined ? message : schedule.message;
+            const options = message !== undefined || quotedMessageId !== undefined || mentions !== undefined
+                ? messageOptions({
+                    quotedMessageId: quotedMessageId !== undefined ? quotedMessageId : schedule.options.quotedMessageId,
+                    mentions: mentions !== undefined ? mentions : schedule.options.mentions
+                }, text)
+                : undefined;
+
+            await scheduler.update(schedule, {
+                to: to !== undefined ? toChatId(to) : undefined,
+                message,
+                options,
+                sendAt,
+                cron,
+                timezone
+            });
+
+            res.json({
+                success: true,
+                schedule: schedule.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error updating schedule', { error });
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    // DELETE /api/schedules/:scheduleId - Cancel; the schedule and its history are kept
+    router.delete('/:scheduleId', async (req, res) => {
+        try {
+            if (req.schedule.status !== 'active') {
+                return res.status(409).json({ error: `Schedule is already ${req.schedule.status}` });
+            }
+
+            await scheduler.cancel(req.schedule);
+            res.json({
+                success: true,
+                schedule: req.schedule.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error cancelling schedule', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,417 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Template = require('../models/Template');
+const SessionManager = require('../utils/sessionManager');
+const { assertNotSuppressed, sendLimitError } = require('../utils/directSend');
+const { badRequest } = require('../utils/errors');
+const { renderForRecipients } = require('../utils/templates');
+const { loadMedia, mediaSendOptions, cleanupUploadOnClose, MAX_MEDIA_BYTES } = require('../utils/outgoingMedia');
+const { messageOptions, buildLocation, buildVCard, buildPoll } = require('../utils/richMessages');
+const { toChatId } = require('../utils/chatId');
+
+// File upload configuration
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        const uploadDir = './uploads';
+        if (!fs.existsSync(uploadDir)) {
+            fs.mkdirSync(uploadDir);
+        }
+        cb(null, uploadDir);
+    },
+    filename: function (req, file, cb) {
+        cb(null, Date.now() + '-' + file.originalname);
+    }
+});
+const upload = multer({ storage: storage, limits: { fileSize: MAX_MEDIA_BYTES } });
+
+// Answer with an error's status, plus Retry-After and the extra fields it carries
+function sendFailed(res, error) {
+    if (error.retryAfterMs) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(error.status || 500).json({ error: error.message, ...error.details });
+}
+
+/**
+ * Send routes, mounted under /api: send-message, send-bulk, send-media, send-location,
+ * send-contact, send-poll and contact lookups. With a message queue, text and bulk
+ * messages are queued (202 with job ids to poll); everything else, and everything
+ * without a queue, is sent right away and needs a ready session.
+ *
+ * @param {Object} options
+ * @param {Function} options.requireApiKey - from createApiKeyAuth()
+ * @param {Function} options.resolveSession - from sessionManager.resolveSession()
+ * @param {Function} options.sendNow - from createDirectSender() in utils/directSend.js
+ * @param {SendLimiter} options.sendLimiter
+ * @param {MessageQueue} [options.messageQueue]
+ * @param {SuppressionList} [options.suppressionList] - opted-out recipients are refused
+ * @param {boolean} [options.templates] - whether send-bulk may name a stored template
+ */
+module.exports = function createSendRouter({ requireApiKey, resolveSession, sendNow, sendLimiter, messageQueue, suppressionList, templates = false }) {
+    const router = express.Router();
+    const requireReady = SessionManager.requireReady;
+    // Queued messages wait for their session; direct sends need it ready now
+    const readyUnlessQueued = messageQueue ? [] : [requireReady];
+
+    // Send text message - queued when there is a queue (poll /api/messages/:jobId), otherwise sent right away
+    router.post('/send-message', requireApiKey('send'), resolveSession, readyUnlessQueued, async (req, res) => {
+        try {
+            const { to, message, delay = 0 } = req.body;
+
+            if (!to || !message) {
+                return res.status(400).json({ error: 'Missing required fields: to, message' });
+            }
+
+            // Format phone number
+            const chatId = toChatId(to);
+
+            // Reply to quotedMessageId and mention @numbers found in the text
+            const options = messageOptions(req.body, message);
+
+            if (!messageQueue) {
+                // Add delay if specified
+                if (delay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+
+                const sentMessage = await sendNow(req, chatId, message, options);
+                req.log.info('Message sent', { type: 'text', to: chatId, messageId: sentMessage.id._serialized });
+
+                return res.json({
+                    success: true,
+                    messageId: sentMessage.id._serialized,
+                    to: chatId,
+                    message: message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await assertNotSuppressed(suppressionList, chatId);
+
+            // Over a send limit: reject, or queue it for when the limit allows it
+            const limited = sendLimiter.mode === 'reject'
+                ? sendLimiter.check({ apiKeyId: req.apiKey.id, sessionId: req.waSession.id, to: chatId })
+                : sendLimiter.check({ apiKeyId: req.apiKey.id });
+            if (limited.retryAfterMs > 0 && sendLimiter.mode === 'reject') {
+                throw sendLimitError(limited);
+            }
+
+            const sendDelay = Math.max(parseInt(delay) || 0, limited.retryAfterMs);
+            sendLimiter.record({ apiKeyId: req.apiKey.id }, sendDelay);
+
+            const job = await messageQueue.enqueue({
+                sessionId: req.waSession.id,
+                to: chatId,
+                message: message,
+                options: options,
+                requestId: req.id,
+                delay: sendDelay
+            });
+            messageQueue.flush(req.waSession.id);
+            req.log.info('Message queued', { to: chatId, jobId: job._id.toString(), heldBackBy: limited.retryAfterMs > 0 ? limited.type : undefined });
+
+            res.status(202).json({
+                success: true,
+                jobId: job._id.toString(),
+                status: job.status,
+                to: chatId,
+                message: message,
+                heldBackBy: limited.retryAfterMs > 0 ? limited.type : undefined,
+                scheduledFor: job.nextAttemptAt,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            req.log.error('Error sending message', { error });
+            sendFailed(res, error);
+        }
+    });
+
+    // Send bulk messages - one message per recipient, spaced by delay.
+    // recipients are phone numbers or { to, variables }; the text is `message` or a stored `template`
+    // whose {{placeholders}} are filled per recipient. dryRun returns the rendered messages without sending.
+    router.post('/send-bulk', requireApiKey('send'), resolveSession, async (req, res) => {
+        try {
+            const { recipients, message, template, variables = {}, delay = 2000, dryRun = false } = req.body;
+            const isDryRun = dryRun === true || dryRun === 'true';
+
+            if (!messageQueue && !isDryRun && !req.waSession.isReady) {
+                return res.status(503).json({ error: 'WhatsApp client is not ready' });
+            }
+            if (!recipients || !Array.isArray(recipients) || (!message && !template)) {
+                return res.status(400).json({ error: 'Missing required fields: recipients (array), message or template' });
+            }
+            if (message && template) {
+                return res.status(400).json({ error: 'Provide only one of: message, template' });
+            }
+
+            let body = message;
+            if (template) {
+                if (!templates) {
+                    throw badRequest('Templates are disabled on this server, send a message instead');
+                }
+                const stored = await Template.findOne({ name: template });
+                if (!stored) {
+                    return res.status(404).json({ error: `Template not found: ${template}` });
+                }
+                body = stored.body;
+            }
+
+            // Render everything up front so one bad recipient does not leave a half-sent batch
+            const rendered = renderForRecipients(body, recipients, variables);
+            if (rendered.errors.length > 0) {
+                return res.status(400).json({
+                    error: `${rendered.errors.length} of ${recipients.length} messages could not be rendered, nothing was sent`,
+                    errors: rendered.errors
+                });
+            }
+
+            // Opted-out recipients are left out and reported
+            const suppressed = suppressionList
+                ? await suppressionList.suppressedAmong(rendered.messages.map(item => item.to))
+                : new Set();
+            const messages = rendered.messages.filter(item => !suppressed.has(item.to));
+            const skipped = rendered.messages
+                .filter(item => suppressed.has(item.to))
+                .map(item => ({ to: item.to, reason: 'opted_out' }));
+
+            if (isDryRun) {
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    messages: messages,
+                    skipped: skipped,
+                    total: messages.length
+                });
+            }
+
+            if (!messageQueue) {
+                const results = [];
+
+                for (const [index, item] of messages.entries()) {
+                    // Add delay between messages
+                    if (index > 0 && delay > 0) {
+                        await new Promise(resolve => setTimeout(resolve, delay));
+                    }
+
+                    try {
+                        const sentMessage = await sendNow(req, item.to, item.message, {}, { bulk: true });
+                        results.push({
+                            to: item.to,
+                            success: true,
+                            messageId: sentMessage.id._serialized
+                        });
+                    } catch (error) {
+                        results.push({
+                            to: item.to,
+                            success: false,
+                            error: error.message
+                        });
+                    }
+                }
+
+                const successful = results.filter(r => r.success).length;
+                req.log.info('Bulk messages sent', { total: messages.length, successful, failed: results.length - successful, skipped: skipped.length });
+
+                return res.json({
+                    success: true,
+                    results: results,
+                    skipped: skipped,
+                    total: messages.length,
+                    successful: successful,
+                    failed: results.length - successful
+                });
+            }
+
+            // In reject mode a bulk send is refused while the session's bulk budget is used up;
+            // otherwise the queue spreads the messages out within the limits
+            if (sendLimiter.mode === 'reject') {
+                const limited = sendLimiter.check({ sessionId: req.waSession.id, bulk: true });
+                if (limited.retryAfterMs > 0) {
+                    throw sendLimitError(limited);
+                }
+            }
+
+            const batchId = new mongoose.Types.ObjectId().toString();
+            const jobs = [];
+
+            for (const [index, item] of messages.entries()) {
+                const job = await messageQueue.enqueue({
+                    sessionId: req.waSession.id,
+                    to: item.to,
+                    message: item.message,
+                    batchId: batchId,
+                    requestId: req.id,
+                    delay: index * (parseInt(delay) || 0)
+                });
+                jobs.push({ to: item.to, jobId: job._id.toString() });
+            }
+            messageQueue.flush(req.waSession.id);
+            req.log.info('Bulk messages queued', { batchId, total: jobs.length, skipped: skipped.length });
+
+            res.status(202).json({
+                success: true,
+                batchId: batchId,
+                jobs: jobs,
+                skipped: skipped,
+                total: jobs.length
+            });
+
+        } catch (error) {
+            req.log.error('Error sending bulk messages', { error });
+            sendFailed(res, error);
+        }
+    });
+
+    // Send media message - sent right away (media is not queued): multipart "media" upload, or JSON with url or base64
+    router.post('/send-media', requireApiKey('send'), upload.single('media'), cleanupUploadOnClose, resolveSession, requireReady, async (req, res) => {
+        try {
+            const { to, url, base64, mimetype, filename } = req.body;
+
+            if (!to) {
+                return res.status(400).json({ error: 'Missing required fields: to, media (file, url or base64)' });
+            }
+
+            const chatId = toChatId(to);
+            const media = await loadMedia({ file: req.file, url, base64, mimetype, filename });
+            const options = { ...mediaSendOptions(req.body), ...messageOptions(req.body, req.body.caption) };
+
+            const sentMessage = await sendNow(req, chatId, media, options);
+            req.log.info('Message sent', { type: 'media', to: chatId, messageId: sentMessage.id._serialized, mediaType: media.mimetype });
+
+            res.json({
+                success: true,
+                messageId: sentMessage.id._serialized,
+                to: chatId,
+                caption: options.caption,
+                mediaType: media.mimetype,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            req.log.error('Error sending media', { error });
+            sendFailed(res, error);
+        }
+    });
+
+    // Send location pin
+    router.post('/send-location', requireApiKey('send'), resolveSession, requireReady, async (req, res) => {
+        try {
+            const { to } = req.body;
+
+            if (!to) {
+                return res.status(400).json({ error: 'Missing required fields: to, latitude, longitude' });
+            }
+
+            const chatId = toChatId(to);
+            const location = buildLocation(req.body);
+
+            const sentMessage = await sendNow(req, chatId, location, messageOptions(req.body));
+            req.log.info('Message sent', { type: 'location', to: chatId, messageId: sentMessage.id._serialized });
+
+            res.json({
+                success: true,
+                messageId: sentMessage.id._serialized,
+                to: chatId,
+                location: {
+                    latitude: location.latitude,
+                    longitude: location.longitude,
+                    name: location.name,
+                    address: location.address
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            req.log.error('Error sending location', { error });
+            sendFailed(res, error);
+        }
+    });
+
+    // Send contact card (vCard)
+    router.post('/send-contact', requireApiKey('send'), resolveSession, requireReady, async (req, res) => {
+        try {
+            const { to, contact } = req.body;
+
+            if (!to || !contact) {
+                return res.status(400).json({ error: 'Missing required fields: to, contact { name, phone }' });
+            }
+
+            const chatId = toChatId(to);
+            const vCard = buildVCard(contact);
+
+            const sentMessage = await sendNow(req, chatId, vCard, { ...messageOptions(req.body), parseVCards: true });
+            req.log.info('Message sent', { type: 'contact', to: chatId, messageId: sentMessage.id._serialized });
+
+            res.json({
+                success: true,
+                messageId: sentMessage.id._serialized,
+                to: chatId,
+                contact: { name: contact.name, phone: contact.phone },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            req.log.error('Error sending contact', { error });
+            sendFailed(res, error);
+        }
+    });
+
+    // Send poll
+    router.post('/send-poll', requireApiKey('send'), resolveSession, requireReady, async (req, res) => {
+        try {
+            const { to } = req.body;
+
+            if (!to) {
+                return res.status(400).json({ error: 'Missing required fields: to, question, options' });
+            }
+
+            const chatId = toChatId(to);
+            const poll = buildPoll(req.body);
+
+            const sentMessage = await sendNow(req, chatId, poll, messageOptions(req.body));
+            req.log.info('Message sent', { type: 'poll', to: chatId, messageId: sentMessage.id._serialized });
+
+            res.json({
+                success: true,
+                messageId: sentMessage.id._serialized,
+                to: chatId,
+                question: poll.pollName,
+                options: poll.pollOptions.map(option => option.name),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            req.log.error('Error sending poll', { error });
+            sendFailed(res, error);
+        }
+    });
+
+    // Get contact info
+    router.get('/contact/:phoneNumber', requireApiKey('read'), resolveSession, requireReady, async (req, res) => {
+        try {
+            const contactId = toChatId(req.params.phoneNumber);
+            const contact = await req.waSession.client.getContactById(contactId);
+
+            res.json({
+                success: true,
+                contact: {
+                    id: contact.id._serialized,
+                    name: contact.name,
+                    number: contact.number,
+                    isMyContact: contact.isMyContact,
+                    isBusiness: contact.isBusiness,
+                    profilePicUrl: await contact.getProfilePicUrl().catch(() => null)
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Error getting contact', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,130 @@
+const express = require('express');
+const QRCode = require('qrcode');
+
+// Session management routes, mounted under /api/sessions
+module.exports = function createSessionsRouter(sessionManager) {
+    const router = express.Router();
+
+    // GET /api/sessions - List all sessions
+    router.get('/', (req, res) => {
+        const sessions = sessionManager.list().map(session => sessionManager.toJSON(session));
+        res.json({
+            success: true,
+            sessions: sessions,
+            total: sessions.length
+        });
+    });
+
+    // POST /api/sessions - Create a named session (starts it unless start is false)
+    router.post('/', async (req, res) => {
+        try {
+            const { sessionId, start = true } = req.body;
+
+            if (!sessionId) {
+                return res.status(400).json({ error: 'Missing required field: sessionId' });
+            }
+            if (sessionManager.get(sessionId)) {
+                return res.status(409).json({ error: `Session already exists: ${sessionId}` });
+            }
+
+            const session = await sessionManager.create(sessionId, { start: start !== false });
+            res.status(201).json({
+                success: true,
+                session: sessionManager.toJSON(session)
+            });
+
+        } catch (error) {
+            req.log.error('Error creating session', { error });
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Resolve :sessionId for the per-session routes below
+    router.param('sessionId', (req, res, next, sessionId) => {
+        const session = sessionManager.get(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: `Session not found: ${sessionId}` });
+        }
+        req.waSession = session;
+        next();
+    });
+
+    // GET /api/sessions/:sessionId - Session status
+    router.get('/:sessionId', (req, res) => {
+        res.json({
+            success: true,
+            session: sessionManager.toJSON(req.waSession)
+        });
+    });
+
+    // GET /api/sessions/:sessionId/qr - QR code of a session waiting to be linked, also as a PNG data URL
+    router.get('/:sessionId/qr', async (req, res) => {
+        try {
+            const session = req.waSession;
+
+            if (session.isReady) {
+                return res.json({ message: 'Client is already authenticated' });
+            }
+
+            if (!session.qrCodeData) {
+                return res.json({ message: 'QR code not available yet. Please wait...' });
+            }
+
+            res.json({
+                qr: session.qrCodeData,
+                image: await QRCode.toDataURL(session.qrCodeData, { margin: 1, width: 300 })
+            });
+        } catch (error) {
+            req.log.error('Error rendering QR code', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/sessions/:sessionId/start
+    router.post('/:sessionId/start', (req, res) => {
+        try {
+            const session = sessionManager.start(req.waSession.id);
+            res.json({
+                success: true,
+                session: sessionManager.toJSON(session)
+            });
+        } catch (error) {
+            req.log.error('Error starting session', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/sessions/:sessionId/stop
+    router.post('/:sessionId/stop', async (req, res) => {
+        try {
+            const session = await sessionManager.stop(req.waSession.id);
+            res.json({
+                success: true,
+                session: sessionManager.toJSON(session)
+            });
+        } catch (error) {
+            req.log.error('Error stopping session', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // DELETE /api/sessions/:sessionId - Log out, remove auth data and forget the session
+    router.delete('/:sessionId', async (req, res) => {
+        try {
+            if (req.waSession.id === sessionManager.defaultSessionId) {
+                return res.status(400).json({ error: 'The default session cannot be deleted' });
+            }
+
+            await sessionManager.delete(req.waSession.id);
+            res.json({
+                success: true,
+                message: `Session ${req.waSession.id} deleted`
+            });
+        } catch (error) {
+            req.log.error('Error deleting session', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
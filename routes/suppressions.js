@@ -0,0 +1,199 @@
+const express = require('express');
+const multer = require('multer');
+const Suppression = require('../models/Suppression');
+const SuppressionEvent = require('../models/SuppressionEvent');
+const { toChatId } = require('../utils/chatId');
+const { parseCsvObjects, toCsv } = require('../utils/csv');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// CSV columns accepted as the phone number on import
+const PHONE_COLUMNS = ['chatId', 'to', 'phone', 'number', 'phoneNumber'];
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Opt-out (suppression) list routes, mounted under /api/suppressions
+module.exports = function createSuppressionsRouter(suppressionList) {
+    const router = express.Router();
+
+    // GET /api/suppressions?q=&page=&limit= - Suppressed chats, newest first; q matches part of the number
+    router.get('/', async (req, res) => {
+        try {
+            if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+                return res.status(400).json({ error: 'q must be a single value' });
+            }
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+            const filter = req.query.q ? { chatId: { $regex: escapeRegex(req.query.q) } } : {};
+
+            const [entries, total] = await Promise.all([
+                Suppression.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+                Suppression.countDocuments(filter)
+            ]);
+
+            res.json({
+                success: true,
+                suppressions: entries.map(entry => entry.toPublic()),
+                page: page,
+                limit: limit,
+                total: total
+            });
+        } catch (error) {
+            req.log.error('Error listing suppressions', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/suppressions - Opt numbers out { numbers: [...], reason }
+    router.post('/', async (req, res) => {
+        try {
+            const { numbers, reason } = req.body;
+            if (!Array.isArray(numbers) || numbers.length === 0) {
+                return res.status(400).json({ error: 'Missing required field: numbers (non-empty array)' });
+            }
+
+            let added = 0;
+            for (const number of numbers) {
+                if (await suppressionList.optOut(number, { source: 'api', reason })) added++;
+            }
+
+            res.status(201).json({
+                success: true,
+                added: added,
+                alreadySuppressed: numbers.length - added
+            });
+        } catch (error) {
+            req.log.error('Error adding suppressions', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/suppressions/import - CSV upload (field "file") or JSON { numbers }, with an optional reason
+    router.post('/import', upload.single('file'), async (req, res) => {
+        try {
+            let numbers = req.body.numbers;
+
+            if (req.file) {
+                const rows = parseCsvObjects(req.file.buffer.toString('utf8'));
+                const phoneColumn = rows.length > 0 && PHONE_COLUMNS.find(column => column in rows[0]);
+                if (!phoneColumn) {
+                    return res.status(400).json({ error: `The CSV file needs a phone number column: ${PHONE_COLUMNS.join(', ')}` });
+                }
+                numbers = rows.map(row => row[phoneColumn]).filter(Boolean);
+            }
+
+            if (!Array.isArray(numbers) || numbers.length === 0) {
+                return res.status(400).json({ error: 'Missing numbers: upload a CSV file or provide a numbers array' });
+            }
+
+            let added = 0;
+            for (const number of numbers) {
+                if (await suppressionList.optOut(number, { source: 'import', reason: req.body.reason })) added++;
+            }
+
+            res.json({
+                success: true,
+                imported: added,
+                alreadySuppressed: numbers.length - added
+            });
+        } catch (error) {
+            req.log.error('Error importing suppressions', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/suppressions/export?format=csv|json - The whole list
+    router.get('/export', async (req, res) => {
+        try {
+            const entries = await Suppression.find().sort({ createdAt: 1 });
+
+            if (req.query.format === 'json') {
+                return res.json({
+                    success: true,
+                    suppressions: entries.map(entry => entry.toPublic()),
+                    total: entries.length
+                });
+            }
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', 'attachment; filename="suppressions.csv"');
+            res.send(toCsv([
+                ['chatId', 'source', 'keyword', 'reason', 'sessionId', 'optedOutAt'],
+                ...entries.map(entry => [entry.chatId, entry.source, entry.keyword, entry.reason, entry.sessionId, entry.createdAt])
+            ]));
+        } catch (error) {
+            req.log.error('Error exporting suppressions', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/suppressions/audit?number=&action=&limit= - Opt-out / opt-in history, newest first
+    router.get('/audit', async (req, res) => {
+        try {
+            const { number, action } = req.query;
+            if ((number !== undefined && typeof number !== 'string') || (action !== undefined && typeof action !== 'string')) {
+                return res.status(400).json({ error: 'number and action must be single values' });
+            }
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+            const filter = {};
+            if (number) filter.chatId = toChatId(number);
+            if (action) filter.action = action;
+
+            const events = await SuppressionEvent.find(filter).sort({ at: -1 }).limit(limit);
+            res.json({
+                success: true,
+                events: events.map(event => event.toPublic()),
+                total: events.length
+            });
+        } catch (error) {
+            req.log.error('Error listing suppression audit trail', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/suppressions/:number - Whether a number is suppressed, with its history
+    router.get('/:number', async (req, res) => {
+        try {
+            const chatId = toChatId(req.params.number);
+            const [entry, events] = await Promise.all([
+                Suppression.findOne({ chatId }),
+                SuppressionEvent.find({ chatId }).sort({ at: -1 })
+            ]);
+
+            res.json({
+                success: true,
+                chatId: chatId,
+                suppressed: !!entry,
+                suppression: entry ? entry.toPublic() : null,
+                history: events.map(event => event.toPublic())
+            });
+        } catch (error) {
+            req.log.error('Error getting suppression', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // DELETE /api/suppressions/:number - Opt a number back in
+    router.delete('/:number', async (req, res) => {
+        try {
+            const removed = await suppressionList.optIn(req.params.number, { source: 'api', reason: req.body && req.body.reason });
+            if (!removed) {
+                return res.status(404).json({ error: `Not suppressed: ${req.params.number}` });
+            }
+
+            res.json({
+                success: true,
+                chatId: toChatId(req.params.number),
+                message: 'Number opted back in'
+            });
+        } catch (error) {
+            req.log.error('Error removing suppression', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
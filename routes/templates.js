@@ -0,0 +1,123 @@
+const express = require('express');
+const Template = require('../models/Template');
+const { TEMPLATE_NAME_PATTERN, render } = require('../utils/templates');
+
+// Message template routes, mounted under /api/templates
+module.exports = function createTemplatesRouter() {
+    const router = express.Router();
+
+    // GET /api/templates
+    router.get('/', async (req, res) => {
+        try {
+            const templates = await Template.find().sort({ name: 1 });
+            res.json({
+                success: true,
+                templates: templates.map(template => template.toPublic()),
+                total: templates.length
+            });
+        } catch (error) {
+            req.log.error('Error listing templates', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/templates - { name, body, description }
+    router.post('/', async (req, res) => {
+        try {
+            const { name, body, description } = req.body;
+
+            if (!name || !body) {
+                return res.status(400).json({ error: 'Missing required fields: name, body' });
+            }
+            if (!TEMPLATE_NAME_PATTERN.test(name)) {
+                return res.status(400).json({ error: 'Invalid template name. Use 1-64 letters, digits, "-" or "_".' });
+            }
+            if (await Template.exists({ name })) {
+                return res.status(409).json({ error: `Template already exists: ${name}` });
+            }
+
+            const template = await Template.create({ name, body, description });
+            res.status(201).json({
+                success: true,
+                template: template.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error creating template', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Load :name as req.template for the routes below
+    router.param('name', async (req, res, next, name) => {
+        try {
+            const template = await Template.findOne({ name });
+            if (!template) {
+                return res.status(404).json({ error: `Template not found: ${name}` });
+            }
+            req.template = template;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/templates/:name
+    router.get('/:name', (req, res) => {
+        res.json({
+            success: true,
+            template: req.template.toPublic()
+        });
+    });
+
+    // PATCH /api/templates/:name - Update body or description
+    router.patch('/:name', async (req, res) => {
+        try {
+            const { body, description } = req.body;
+
+            if (body !== undefined && !body) {
+                return res.status(400).json({ error: 'body cannot be empty' });
+            }
+
+            const template = req.template;
+            if (body !== undefined) template.body = body;
+            if (description !== undefined) template.description = description;
+            await template.save();
+
+            res.json({
+                success: true,
+                template: template.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error updating template', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // DELETE /api/templates/:name
+    router.delete('/:name', async (req, res) => {
+        try {
+            await req.template.deleteOne();
+            res.json({
+                success: true,
+                message: `Template ${req.template.name} deleted`
+            });
+        } catch (error) {
+            req.log.error('Error deleting template', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/templates/:name/render - Preview with { variables }
+    router.post('/:name/render', (req, res) => {
+        try {
+            res.json({
+                success: true,
+                message: render(req.template.body, req.body.variables)
+            });
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message, missing: error.missing });
+        }
+    });
+
+    return router;
+};
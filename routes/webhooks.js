@@ -0,0 +1,218 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS } = require('../utils/webhookDispatcher');
+
+// Returns an error message for invalid subscription fields, or null
+function validateSubscription({ url, events, secret, active }) {
+    if (url !== undefined) {
+        try {
+            const { protocol } = new URL(url);
+            if (protocol !== 'http:' && protocol !== 'https:') throw new Error();
+        } catch (error) {
+            return 'url must be a valid http(s) URL';
+        }
+    }
+
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return 'events must be a non-empty array';
+        }
+        const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            return `Unknown events: ${unknown.join(', ')}. Supported: *, ${WEBHOOK_EVENTS.join(', ')}`;
+        }
+    }
+
+    // The secret is an HMAC key, anything but a string would only fail at delivery time
+    if (secret !== undefined && (typeof secret !== 'string' || secret === '')) {
+        return 'secret must be a non-empty string';
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+        return 'active must be true or false';
+    }
+
+    return null;
+}
+
+// Webhook subscription and delivery log routes, mounted under /api/webhooks
+module.exports = function createWebhooksRouter(webhookDispatcher) {
+    const router = express.Router();
+
+    // GET /api/webhooks - List subscriptions
+    router.get('/', async (req, res) => {
+        try {
+            const webhooks = await Webhook.find().sort({ createdAt: 1 });
+            res.json({
+                success: true,
+                webhooks: webhooks.map(webhook => webhook.toPublic()),
+                events: WEBHOOK_EVENTS
+            });
+        } catch (error) {
+            req.log.error('Error listing webhooks', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/webhooks - Create a subscription (the secret is only returned here)
+    router.post('/', async (req, res) => {
+        try {
+            const { url, secret, events = ['*'], description } = req.body;
+
+            if (!url) {
+                return res.status(400).json({ error: 'Missing required field: url' });
+            }
+            const validationError = validateSubscription({ url, events, secret });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const webhook = await Webhook.create({
+                url,
+                events,
+                description,
+                secret: secret || crypto.randomBytes(24).toString('hex')
+            });
+
+            res.status(201).json({
+                success: true,
+                webhook: webhook.toPublic({ includeSecret: true })
+            });
+        } catch (error) {
+            req.log.error('Error creating webhook', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/webhooks/deliveries - Delivery log, newest first
+    router.get('/deliveries', async (req, res) => {
+        try {
+            const { webhookId, status, event } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const filter = {};
+
+            if (webhookId) {
+                if (!mongoose.isValidObjectId(webhookId)) {
+                    return res.status(400).json({ error: 'Invalid webhookId' });
+                }
+                filter.webhookId = webhookId;
+            }
+            if (status) filter.status = status;
+            if (event) filter.event = event;
+
+            const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+            res.json({
+                success: true,
+                deliveries: deliveries.map(delivery => delivery.toPublic()),
+                total: deliveries.length
+            });
+        } catch (error) {
+            req.log.error('Error listing webhook deliveries', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/webhooks/deliveries/:deliveryId
+    router.get('/deliveries/:deliveryId', async (req, res) => {
+        try {
+            const delivery = await WebhookDelivery.findOne({ deliveryId: req.params.deliveryId });
+            if (!delivery) {
+                return res.status(404).json({ error: 'Delivery not found' });
+            }
+
+            res.json({
+                success: true,
+                delivery: delivery.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error getting webhook delivery', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/webhooks/deliveries/:deliveryId/replay - Send the same payload again as a new delivery
+    router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+        try {
+            const delivery = await webhookDispatcher.replay(req.params.deliveryId);
+            if (!delivery) {
+                return res.status(404).json({ error: 'Delivery not found' });
+            }
+
+            res.status(202).json({
+                success: true,
+                delivery: delivery.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error replaying webhook delivery', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Resolve :webhookId for the per-subscription routes below
+    router.param('webhookId', async (req, res, next, webhookId) => {
+        try {
+            const webhook = mongoose.isValidObjectId(webhookId) ? await Webhook.findById(webhookId) : null;
+            if (!webhook) {
+                return res.status(404).json({ error: 'Webhook not found' });
+            }
+            req.webhook = webhook;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/webhooks/:webhookId
+    router.get('/:webhookId', (req, res) => {
+        res.json({
+            success: true,
+            webhook: req.webhook.toPublic()
+        });
+    });
+
+    // PATCH /api/webhooks/:webhookId - Update url, secret, events, description or active
+    router.patch('/:webhookId', async (req, res) => {
+        try {
+            const { url, secret, events, description, active } = req.body;
+
+            const validationError = validateSubscription({ url, events, secret, active });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const webhook = req.webhook;
+            if (url !== undefined) webhook.url = url;
+            if (secret !== undefined) webhook.secret = secret;
+            if (events !== undefined) webhook.events = events;
+            if (description !== undefined) webhook.description = description;
+            if (active !== undefined) webhook.active = active;
+            await webhook.save();
+
+            res.json({
+                success: true,
+                webhook: webhook.toPublic()
+            });
+        } catch (error) {
+            req.log.error('Error updating webhook', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // DELETE /api/webhooks/:webhookId - Remove a subscription (its delivery log is kept)
+    router.delete('/:webhookId', async (req, res) => {
+        try {
+            await req.webhook.deleteOne();
+            res.json({
+                success: true,
+                message: 'Webhook deleted'
+            });
+        } catch (error) {
+            req.log.error('Error deleting webhook', { error });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,565 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEY, useTestEnvironment, listen, waitFor, uploadedFiles, mediaForm } = require('./helpers');
+
+useTestEnvironment();
+const createApp = require('../app');
+const { loadConfig } = require('../utils/config');
+
+// Without MONGODB_URI: LocalAuth sessions, direct sends and no MongoDB features
+describe('app.js without MongoDB', () => {
+    const server = createApp(loadConfig());
+    const { sessionManager } = server;
+    let api;
+    let client;
+
+    before(async () => {
+        await server.start();
+        client = sessionManager.get().client;
+        api = await listen(server.app);
+    });
+
+    after(async () => {
+        await api.close();
+        await server.shutdown();
+    });
+
+    describe('without authentication', () => {
+        it('serves /health', async () => {
+            const { status, body } = await api.request('GET', '/health', { apiKey: null });
+            assert.equal(status, 200);
+            assert.equal(body.status, 'OK');
+            assert.equal(body.clientReady, false);
+            assert.deepEqual(body.sessions, [{ id: 'whatsapp-bot', ready: false }]);
+            assert.equal(body.authStrategy, 'local');
+            assert.equal(body.mongoStatus, 'disabled');
+        });
+
+        it('rejects a missing API key', async () => {
+            const { status, body } = await api.request('GET', '/api/status', { apiKey: null });
+            assert.equal(status, 401);
+            assert.match(body.error, /API key/);
+        });
+
+        it('rejects a wrong API key', async () => {
+            const { status } = await api.request('POST', '/api/send-message', { apiKey: 'wrong', body: { to: '15551234567', message: 'hi' } });
+            assert.equal(status, 401);
+            assert.equal(client.sent.length, 0);
+        });
+
+        it('ignores an API key in the query string', async () => {
+            const { status } = await api.request('GET', `/api/status?apiKey=${API_KEY}`, { apiKey: null });
+            assert.equal(status, 401);
+        });
+
+        it('protects /metrics', async () => {
+            const { status } = await api.request('GET', '/metrics', { apiKey: null });
+            assert.equal(status, 401);
+        });
+
+        it('protects the /api/whatsapp routes', async () => {
+            const { status } = await api.request('POST', '/api/whatsapp/send', { apiKey: null, body: { number: '15551234567', message: 'hi' } });
+            assert.equal(status, 401);
+        });
+    });
+
+    describe('features', () => {
+        for (const url of ['/api/messages?batchId=x', '/api/templates', '/api/campaigns', '/api/admin/api-keys', '/api/suppressions', '/api/schedules', '/api/webhooks', '/api/archive/messages']) {
+            it(`does not mount ${url} without MongoDB`, async () => {
+                const { status } = await api.request('GET', url);
+                assert.equal(status, 404);
+            });
+        }
+
+        it('streams events', async () => {
+            const { status, body } = await api.request('POST', '/api/events/token');
+            assert.equal(status, 200);
+            assert.ok(body.token);
+        });
+
+        it('refuses stored templates in bulk sends', async () => {
+            const { status, body } = await api.request('POST', '/api/send-bulk', { body: { recipients: ['15551110001'], template: 'greeting', dryRun: true } });
+            assert.equal(status, 400);
+            assert.match(body.error, /Templates are disabled/);
+        });
+    });
+
+    describe('before the client is ready', () => {
+        it('has no QR code until one is generated', async () => {
+            const { body } = await api.request('GET', '/api/qr');
+            assert.match(body.message, /not available yet/);
+        });
+
+        it('returns the QR code once generated', async () => {
+            const qr = client.emitQr('fake-qr-1');
+            const { body } = await api.request('GET', '/api/qr');
+            assert.equal(body.qr, qr);
+
+            const session = await api.request('GET', '/api/sessions/whatsapp-bot/qr');
+            assert.equal(session.body.qr, qr);
+            assert.match(session.body.image, /^data:image\/png;base64,/);
+        });
+
+        it('reports the status', async () => {
+            const { status, body } = await api.request('GET', '/api/status');
+            assert.equal(status, 200);
+            assert.equal(body.sessionId, 'whatsapp-bot');
+            assert.equal(body.ready, false);
+            assert.equal(body.hasQR, true);
+        });
+
+        for (const [method, url, body] of [
+            ['POST', '/api/send-message', { to: '15551234567', message: 'hi' }],
+            ['POST', '/api/send-bulk', { recipients: ['15551234567'], message: 'hi' }],
+            ['POST', '/api/send-location', { to: '15551234567', latitude: 1, longitude: 2 }],
+            ['POST', '/api/send-contact', { to: '15551234567', contact: { name: 'Ann', phone: '15557654321' } }],
+            ['POST', '/api/send-poll', { to: '15551234567', question: 'Lunch?', options: ['Yes', 'No'] }],
+            ['GET', '/api/contact/15551234567'],
+            ['GET', '/api/groups'],
+            ['GET', '/api/chats']
+        ]) {
+            it(`answers 503 on ${method} ${url}`, async () => {
+                const response = await api.request(method, url, { body });
+                assert.equal(response.status, 503);
+                assert.match(response.body.error, /not ready/);
+            });
+        }
+
+        it('answers 503 on a media upload and removes the uploaded file', async () => {
+            const { status } = await api.request('POST', '/api/send-media', { form: mediaForm({ to: '15551234567' }) });
+            assert.equal(status, 503);
+            await waitFor(() => uploadedFiles().length === 0, { message: 'the upload to be removed' });
+        });
+    });
+
+    describe('once the client is ready', () => {
+        before(() => {
+            client.emitReady();
+        });
+
+        it('reports ready', async () => {
+            const { body } = await api.request('GET', '/api/qr');
+            assert.match(body.message, /already authenticated/);
+
+            const health = await api.request('GET', '/health', { apiKey: null });
+            assert.equal(health.body.clientReady, true);
+        });
+
+        it('validates send-message', async () => {
+            const { status } = await api.request('POST', '/api/send-message', { body: { to: '15551234567' } });
+            assert.equal(status, 400);
+        });
+
+        it('sends a text message with quote and mentions', async () => {
+            const { status, body } = await api.request('POST', '/api/send-message', {
+                body: { to: '+1 555-123 4567', message: 'Hello @15557654321', quotedMessageId: 'false_x@c.us_ABC' }
+            });
+            assert.equal(status, 200);
+            assert.equal(body.to, '15551234567@c.us');
+
+            const sent = client.sent[client.sent.length - 1];
+            assert.equal(sent.to, '15551234567@c.us');
+            assert.equal(sent.content, 'Hello @15557654321');
+            assert.deepEqual(sent.options, { mentions: ['15557654321@c.us'], quotedMessageId: 'false_x@c.us_ABC' });
+            assert.equal(body.messageId, sent.message.id._serialized);
+        });
+
+        it('reports a failed send', async () => {
+            client.failNextSend(new Error('Evaluation failed'));
+            const { status, body } = await api.request('POST', '/api/send-message', { body: { to: '15551234567', message: 'hi' } });
+            assert.equal(status, 500);
+            assert.equal(body.error, 'Evaluation failed');
+        });
+
+        it('renders a bulk dry run with variables', async () => {
+            const { status, body } = await api.request('POST', '/api/send-bulk', {
+                body: { recipients: [{ to: '15551110001', variables: { name: 'Ana' } }], message: 'Hi {{name}}', dryRun: true }
+            });
+            assert.equal(status, 200);
+            assert.deepEqual(body.messages.map(item => item.message), ['Hi Ana']);
+        });
+
+        it('sends through the /api/whatsapp routes', async () => {
+            const { status, body } = await api.request('POST', '/api/whatsapp/send', { body: { number: '15551234567', message: 'legacy' } });
+            assert.equal(status, 200);
+            assert.equal(body.success, true);
+            assert.equal(client.sent[client.sent.length - 1].content, 'legacy');
+        });
+
+        it('sends bulk messages and reports failures per recipient', async () => {
+            const { status, body } = await api.request('POST', '/api/send-bulk', {
+                body: { recipients: ['15551110001', 'not-a-number', '15551110002'], message: 'Bulk', delay: 0 }
+            });
+            assert.equal(status, 200);
+            assert.equal(body.total, 3);
+            assert.equal(body.successful, 2);
+            assert.equal(body.failed, 1);
+            assert.equal(body.results[1].success, false);
+        });
+
+        it('validates send-bulk', async () => {
+            const { status } = await api.request('POST', '/api/send-bulk', { body: { recipients: '15551110001', message: 'Bulk' } });
+            assert.equal(status, 400);
+        });
+
+        it('sends an uploaded media file and removes the upload', async () => {
+            const { status, body } = await api.request('POST', '/api/send-media', {
+                form: mediaForm({ to: '15551234567', caption: 'A photo' })
+            });
+            assert.equal(status, 200);
+            assert.equal(body.mediaType, 'image/png');
+            assert.equal(body.caption, 'A photo');
+
+            const sent = client.sent[client.sent.length - 1];
+            assert.equal(sent.message.type, 'image');
+            assert.equal(sent.content.filename, 'photo.png');
+            assert.equal(Buffer.from(sent.content.data, 'base64').toString(), 'fake image bytes');
+            await waitFor(() => uploadedFiles().length === 0, { message: 'the upload to be removed' });
+        });
+
+        it('sends base64 media as a document', async () => {
+            const { status } = await api.request('POST', '/api/send-media', {
+                body: { to: '15551234567', base64: Buffer.from('%PDF').toString('base64'), mimetype: 'application/pdf', filename: 'a.pdf' }
+            });
+            assert.equal(status, 200);
+            assert.equal(client.sent[client.sent.length - 1].message.type, 'document');
+        });
+
+        it('rejects media from two sources and removes the upload', async () => {
+            const { status, body } = await api.request('POST', '/api/send-media', {
+                form: mediaForm({ to: '15551234567', base64: 'AAAA', mimetype: 'image/png' })
+            });
+            assert.equal(status, 400);
+            assert.match(body.error, /only one of/);
+            await waitFor(() => uploadedFiles().length === 0, { message: 'the upload to be removed' });
+        });
+
+        it('rejects send-media without media', async () => {
+            const { status } = await api.request('POST', '/api/send-media', { body: { to: '15551234567' } });
+            assert.equal(status, 400);
+        });
+
+        it('refuses media urls on private addresses', async () => {
+            for (const url of [`${api.baseUrl}/health`, 'http://localhost:9/a.png', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/a.png']) {
+                const { status, body } = await api.request('POST', '/api/send-media', { body: { to: '15551234567', url } });
+                assert.equal(status, 400);
+                assert.match(body.error, /is not a public address/);
+            }
+
+            const ftp = await api.request('POST', '/api/send-media', { body: { to: '15551234567', url: 'ftp://example.com/a.png' } });
+            assert.equal(ftp.status, 400);
+        });
+
+        it('sends a location', async () => {
+            const { status, body } = await api.request('POST', '/api/send-location', {
+                body: { to: '15551234567', latitude: 52.52, longitude: 13.405, name: 'Berlin' }
+            });
+            assert.equal(status, 200);
+            assert.equal(body.location.latitude, 52.52);
+            assert.equal(client.sent[client.sent.length - 1].message.type, 'location');
+
+            const invalid = await api.request('POST', '/api/send-location', { body: { to: '15551234567', latitude: 91, longitude: 0 } });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('sends a contact card', async () => {
+            const { status } = await api.request('POST', '/api/send-contact', {
+                body: { to: '15551234567', contact: { name: 'Ann', phone: '+1 555 765 4321' } }
+            });
+            assert.equal(status, 200);
+            const sent = client.sent[client.sent.length - 1];
+            assert.equal(sent.message.type, 'vcard');
+            assert.match(sent.content, /waid=15557654321/);
+
+            const invalid = await api.request('POST', '/api/send-contact', { body: { to: '15551234567' } });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('sends a poll', async () => {
+            const { status, body } = await api.request('POST', '/api/send-poll', {
+                body: { to: '15551234567', question: 'Lunch?', options: ['Pizza', 'Salad'] }
+            });
+            assert.equal(status, 200);
+            assert.deepEqual(body.options, ['Pizza', 'Salad']);
+            assert.equal(client.sent[client.sent.length - 1].message.type, 'poll_creation');
+
+            const invalid = await api.request('POST', '/api/send-poll', { body: { to: '15551234567', question: 'Lunch?', options: ['Pizza'] } });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('looks up a contact', async () => {
+            const { status, body } = await api.request('GET', '/api/contact/15551234567');
+            assert.equal(status, 200);
+            assert.equal(body.contact.id, '15551234567@c.us');
+            assert.equal(body.contact.number, '15551234567');
+        });
+
+        it('answers bot commands', async () => {
+            const sentBefore = client.sent.length;
+            await client.receiveMessage({ from: '15552223333@c.us', body: '!ping' });
+            await waitFor(() => client.sent.length > sentBefore, { message: 'the command reply' });
+
+            const reply = client.sent[client.sent.length - 1];
+            assert.equal(reply.to, '15552223333@c.us');
+            assert.ok(reply.options.quotedMessageId);
+        });
+
+        it('survives a command reply that fails', async () => {
+            client.failNextSend(new Error('Session closed'));
+            await client.receiveMessage({ from: '15552224444@c.us', body: '!nosuchcommand' });
+
+            const sentBefore = client.sent.length;
+            await client.receiveMessage({ from: '15552224444@c.us', body: '!ping' });
+            await waitFor(() => client.sent.length > sentBefore, { message: 'the command reply' });
+        });
+    });
+
+    describe('chats', () => {
+        it('lists chats', async () => {
+            const { status, body } = await api.request('GET', '/api/chats');
+            assert.equal(status, 200);
+            assert.ok(body.chats.some(chat => chat.id === '15551234567@c.us'));
+        });
+
+        it('pages through chat history', async () => {
+            for (const text of ['one', 'two', 'three']) {
+                await client.receiveMessage({ from: '15559990000@c.us', body: text });
+            }
+
+            const first = await api.request('GET', '/api/chats/15559990000/messages?limit=2');
+            assert.equal(first.status, 200);
+            assert.deepEqual(first.body.messages.map(message => message.body), ['two', 'three']);
+            assert.equal(first.body.hasMore, true);
+
+            const second = await api.request('GET', `/api/chats/15559990000/messages?limit=2&before=${encodeURIComponent(first.body.nextBefore)}`);
+            assert.deepEqual(second.body.messages.map(message => message.body), ['one']);
+            assert.equal(second.body.hasMore, false);
+        });
+
+        it('answers 404 for an unknown chat', async () => {
+            const { status } = await api.request('GET', '/api/chats/not%20a%20chat@c.us/messages');
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('groups', () => {
+        let groupId;
+
+        it('creates a group', async () => {
+            const { status, body } = await api.request('POST', '/api/groups', { body: { name: 'Team', participants: ['15551110001'] } });
+            assert.equal(status, 201);
+            assert.equal(body.name, 'Team');
+            groupId = body.groupId;
+
+            const invalid = await api.request('POST', '/api/groups', { body: { name: 'Team' } });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('lists and reads groups', async () => {
+            const list = await api.request('GET', '/api/groups');
+            assert.deepEqual(list.body.groups.map(group => group.id), [groupId]);
+
+            const { body } = await api.request('GET', `/api/groups/${groupId}`);
+            assert.equal(body.group.name, 'Team');
+            assert.equal(body.group.participants.length, 2);
+        });
+
+        it('updates group settings', async () => {
+            const { status, body } = await api.request('PATCH', `/api/groups/${groupId}`, {
+                body: { subject: 'Team 2', description: 'About', messagesAdminsOnly: true }
+            });
+            assert.equal(status, 200);
+            assert.equal(body.group.name, 'Team 2');
+            assert.equal(body.group.description, 'About');
+            assert.equal(body.group.messagesAdminsOnly, true);
+
+            for (const invalid of [{ messagesAdminsOnly: 'false' }, { infoAdminsOnly: 1 }, { subject: 42 }, { description: { text: 'x' } }]) {
+                assert.equal((await api.request('PATCH', `/api/groups/${groupId}`, { body: invalid })).status, 400);
+            }
+        });
+
+        it('manages participants', async () => {
+            const added = await api.request('POST', `/api/groups/${groupId}/participants`, { body: { participants: ['15551110002'] } });
+            assert.equal(added.status, 200);
+
+            for (const action of ['promote', 'demote', 'remove']) {
+                const { status, body } = await api.request('POST', `/api/groups/${groupId}/participants/${action}`, {
+                    body: { participants: ['15551110002'] }
+                });
+                assert.equal(status, 200);
+                assert.equal(body.success, true);
+            }
+
+            const { body } = await api.request('GET', `/api/groups/${groupId}`);
+            assert.equal(body.group.participants.length, 2);
+        });
+
+        it('reads and revokes the invite link', async () => {
+            const invite = await api.request('GET', `/api/groups/${groupId}/invite`);
+            assert.match(invite.body.inviteLink, /^https:\/\/chat\.whatsapp\.com\//);
+
+            const revoked = await api.request('POST', `/api/groups/${groupId}/invite/revoke`);
+            assert.notEqual(revoked.body.inviteCode, invite.body.inviteCode);
+        });
+
+        it('joins a group by invite link', async () => {
+            const { status, body } = await api.request('POST', '/api/groups/join', { body: { inviteCode: 'https://chat.whatsapp.com/ABC123' } });
+            assert.equal(status, 200);
+            assert.match(body.groupId, /@g\.us$/);
+
+            const invalid = await api.request('POST', '/api/groups/join', { body: { inviteCode: 123 } });
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.error, 'inviteCode must be a string');
+        });
+
+        it('leaves a group', async () => {
+            const { status } = await api.request('POST', `/api/groups/${groupId}/leave`);
+            assert.equal(status, 200);
+
+            const gone = await api.request('GET', `/api/groups/${groupId}`);
+            assert.equal(gone.status, 404);
+        });
+    });
+
+    describe('sessions', () => {
+        it('lists sessions', async () => {
+            const { body } = await api.request('GET', '/api/sessions');
+            assert.deepEqual(body.sessions.map(session => session.id), ['whatsapp-bot']);
+        });
+
+        it('creates, starts, stops and deletes a session', async () => {
+            const created = await api.request('POST', '/api/sessions', { body: { sessionId: 'second', start: false } });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.session.status, 'stopped');
+
+            const duplicate = await api.request('POST', '/api/sessions', { body: { sessionId: 'second' } });
+            assert.equal(duplicate.status, 409);
+
+            const started = await api.request('POST', '/api/sessions/second/start');
+            assert.equal(started.body.session.status, 'starting');
+
+            // Requests pick a session with X-Session-Id
+            sessionManager.get('second').client.emitReady('15550000002');
+            const status = await api.request('GET', '/api/status', { headers: { 'X-Session-Id': 'second' } });
+            assert.equal(status.body.sessionId, 'second');
+            assert.equal(status.body.ready, true);
+
+            const stopped = await api.request('POST', '/api/sessions/second/stop');
+            assert.equal(stopped.body.session.status, 'stopped');
+
+            const deleted = await api.request('DELETE', '/api/sessions/second');
+            assert.equal(deleted.status, 200);
+            assert.equal((await api.request('GET', '/api/sessions/second')).status, 404);
+        });
+
+        it('keeps the default session', async () => {
+            const { status } = await api.request('DELETE', '/api/sessions/whatsapp-bot');
+            assert.equal(status, 400);
+        });
+
+        it('answers 404 for an unknown session', async () => {
+            const { status } = await api.request('GET', '/api/status', { headers: { 'X-Session-Id': 'missing' } });
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('admin config', () => {
+        it('shows the effective configuration with secrets redacted', async () => {
+            const { status, body } = await api.request('GET', '/api/admin/config');
+            assert.equal(status, 200);
+            assert.equal(body.config.apiKey, '[redacted]');
+            assert.equal(body.config.media.urlSecret, '[redacted]');
+            assert.equal(body.config.mongodbUri, null);
+            assert.equal(body.config.rateLimit.max, 100000);
+            assert.deepEqual(body.config.features, ['events', 'commands', 'dashboard']);
+            assert.equal(body.sources.apiKey, 'env');
+            assert.equal(body.sources.port, 'default');
+            assert.ok(body.disabledFeatures.some(item => item.feature === 'queue' && item.reason === 'needs MONGODB_URI'));
+            assert.ok(body.disabledFeatures.some(item => item.feature === 'emailNotifications'));
+            assert.ok(!JSON.stringify(body).includes(API_KEY));
+        });
+
+        it('is for admin keys only', async () => {
+            const { status } = await api.request('GET', '/api/admin/config', { apiKey: null });
+            assert.equal(status, 401);
+        });
+    });
+
+    describe('notifications', () => {
+        it('lists the channels and their routes', async () => {
+            const { status, body } = await api.request('GET', '/api/admin/notifications');
+            assert.equal(status, 200);
+            assert.deepEqual(body.channels.map(channel => [channel.name, channel.configured]), [
+                ['email', false], ['chat', false], ['http', false], ['whatsapp', false]
+            ]);
+            assert.deepEqual(body.routes.qr, ['email', 'http', 'whatsapp']);
+        });
+
+        it('lists the template events and locales', async () => {
+            const { status, body } = await api.request('GET', '/api/admin/notifications/templates');
+            assert.equal(status, 200);
+            assert.equal(body.locale, 'en');
+            assert.deepEqual(body.locales, ['en', 'es']);
+            assert.ok(body.events.includes('auth_failure'));
+
+            const template = await api.request('GET', '/api/admin/notifications/templates/ready?locale=es');
+            assert.equal(template.body.template.locale, 'es');
+            assert.match(template.body.template.html, /\{\{sessionId\}\}/);
+        });
+
+        it('previews a template with sample data', async () => {
+            const { status, body } = await api.request('POST', '/api/admin/notifications/templates/qr/preview', { body: { locale: 'es', data: { sessionId: 'sales' } } });
+            assert.equal(status, 200);
+            assert.match(body.preview.subject, /Código QR.*\(sales\)/);
+            assert.match(body.preview.text, /Sesión: sales/);
+            assert.match(body.preview.html, /src="data:image\/png;base64,/);
+
+            const draft = await api.request('POST', '/api/admin/notifications/templates/ready/preview', { body: { text: 'Ready: {{sessionId}} {{nickname}}' } });
+            assert.equal(draft.status, 400);
+            assert.deepEqual(draft.body.missing, ['nickname']);
+
+            const unknown = await api.request('POST', '/api/admin/notifications/templates/paged/preview', { body: {} });
+            assert.equal(unknown.status, 404);
+        });
+
+        it('refuses to test a channel that is not configured', async () => {
+            const { status, body } = await api.request('POST', '/api/admin/notifications/test', { body: { channel: 'chat' } });
+            assert.equal(status, 400);
+            assert.match(body.error, /NOTIFY_CHAT_WEBHOOK_URL/);
+        });
+    });
+
+    describe('metrics', () => {
+        it('exposes Prometheus metrics', async () => {
+            const { status, body } = await api.request('GET', '/metrics');
+            assert.equal(status, 200);
+            assert.match(body, /whatsapp_session_ready\{session="whatsapp-bot"\} 1/);
+            assert.match(body, /whatsapp_messages_sent_total\{session="whatsapp-bot",type="chat"\}/);
+            assert.match(body, /whatsapp_send_failures_total\{session="whatsapp-bot",reason="other"\} 1/);
+            assert.match(body, /whatsapp_qr_generated_total\{session="whatsapp-bot"\} 1/);
+        });
+    });
+
+    describe('disconnect and restart', () => {
+        it('answers 503 again after a disconnect', async () => {
+            client.disconnect('LOGOUT');
+            const { status } = await api.request('POST', '/api/send-message', { body: { to: '15551234567', message: 'hi' } });
+            assert.equal(status, 503);
+        });
+
+        it('restarts the client', async () => {
+            const { status, body } = await api.request('POST', '/api/restart');
+            assert.equal(status, 200);
+            assert.equal(body.sessionId, 'whatsapp-bot');
+
+            const session = await waitFor(() => sessionManager.get().client, { timeoutMs: 5000, message: 'the restarted client' });
+            assert.notEqual(session, client);
+            assert.equal(session.initialized, true);
+        });
+    });
+
+    it('answers 404 for unknown routes', async () => {
+        const { status } = await api.request('GET', '/api/nothing-here');
+        assert.equal(status, 404);
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useTestEnvironment, listen } = require('./helpers');
+
+useTestEnvironment();
+const logger = require('../utils/logger');
+const createCampaignsRouter = require('../routes/campaigns');
+
+describe('routes/campaigns.js', () => {
+    let api;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use(logger.requestContext());
+        app.use((req, res, next) => {
+            req.waSession = { id: 'default' };
+            next();
+        });
+        // Without the templates feature; nothing here reaches MongoDB
+        app.use('/api/campaigns', createCampaignsRouter({}, null));
+        api = await listen(app);
+    });
+
+    after(() => api.close());
+
+    it('refuses stored templates when templates are disabled', async () => {
+        const { status, body } = await api.request('POST', '/api/campaigns', {
+            body: { name: 'Launch', template: 'greeting', recipients: ['15551110001'] }
+        });
+        assert.equal(status, 400);
+        assert.match(body.error, /Templates are disabled/);
+    });
+});
@@ -0,0 +1,19 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsvObjects, toCsv } = require('../utils/csv');
+
+describe('utils/csv.js', () => {
+    it('quotes fields with commas, quotes and line breaks', () => {
+        const csv = toCsv([['to', 'error'], ['15551234567@c.us', 'Said "no", twice\nand left'], [1, null]]);
+        assert.equal(csv, 'to,error\r\n15551234567@c.us,"Said ""no"", twice\nand left"\r\n1,\r\n');
+        assert.deepEqual(parseCsvObjects(csv), [
+            { to: '15551234567@c.us', error: 'Said "no", twice\nand left' },
+            { to: '1', error: '' }
+        ]);
+    });
+
+    it('keeps spreadsheets from running text as a formula', () => {
+        const csv = toCsv([['=HYPERLINK("http://evil.example","x")', '+1555', '-2+3', '@SUM(A1)', 'plain', -5]]);
+        assert.equal(csv, '"\'=HYPERLINK(""http://evil.example"",""x"")",\'+1555,\'-2+3,\'@SUM(A1),plain,-5\r\n');
+    });
+});
@@ -0,0 +1,111 @@
+// Shared setup for the integration tests: the entry points run in-process against
+// FakeClient (utils/fakeClient.js) and are called over HTTP on a random port.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const API_KEY = 'test-api-key-0123456789';
+
+/**
+ * Environment for an entry point under test; call before requiring it.
+ * Uploads and auth data end up in a scratch directory, which is returned.
+ */
+function useTestEnvironment(env = {}) {
+    Object.assign(process.env, {
+        API_KEY,
+        WHATSAPP_CLIENT: 'fake',
+        LOG_LEVEL: 'silent',
+        RATE_LIMIT_MAX_REQUESTS: '100000',
+        SEND_LIMIT_PER_API_KEY: 'off',
+        SEND_LIMIT_PER_SESSION: 'off',
+        SEND_LIMIT_PER_RECIPIENT: 'off',
+        ...env
+    });
+
+    // Quiet from the start; server.js would configure the logger from LOG_LEVEL
+    require('../utils/logger').configure({ level: process.env.LOG_LEVEL });
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-bot-test-'));
+    process.chdir(directory);
+    process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+// Start an express app on a free port: { request, close }
+async function listen(app) {
+    const server = await new Promise(resolve => {
+        const started = app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * @param {string} method
+     * @param {string} url - path, e.g. /api/status
+     * @param {Object} [options] - body (JSON), form (FormData), headers, apiKey (null sends none)
+     * @returns {Promise<{ status, headers, body }>} body parsed as JSON when possible
+     */
+    async function request(method, url, { body, form, headers = {}, apiKey = API_KEY } = {}) {
+        const requestHeaders = { ...headers };
+        if (apiKey) requestHeaders['X-API-Key'] = apiKey;
+        if (body !== undefined) requestHeaders['Content-Type'] = 'application/json';
+
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: requestHeaders,
+            body: form || (body !== undefined ? JSON.stringify(body) : undefined)
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON (e.g. /metrics), keep the text
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    return {
+        baseUrl,
+        request,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+// Resolve once condition() returns something truthy, polling every 10ms
+async function waitFor(condition, { timeoutMs = 3000, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await condition();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Timed out waiting for ${message}`);
+}
+
+// Files multer left in the scratch directory's uploads folder
+function uploadedFiles() {
+    const directory = path.join(process.cwd(), 'uploads');
+    return fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+}
+
+// A multipart body with one file field
+function mediaForm(fields, { name = 'photo.png', type = 'image/png', content = 'fake image bytes' } = {}) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(fields)) {
+        form.append(key, value);
+    }
+    form.append('media', new Blob([content], { type }), name);
+    return form;
+}
+
+module.exports = {
+    API_KEY,
+    useTestEnvironment,
+    listen,
+    waitFor,
+    uploadedFiles,
+    mediaForm
+};
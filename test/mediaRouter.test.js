@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const express = require('express');
+const { useTestEnvironment, listen } = require('./helpers');
+
+useTestEnvironment();
+const logger = require('../utils/logger');
+const createMediaRouter = require('../routes/media');
+
+describe('routes/media.js', () => {
+    // A media store holding a few files, without MongoDB
+    const files = {
+        'photo-1': { filename: 'photo-1', length: 5, metadata: { filename: 'Café menü 東京.pdf', mimetype: 'application/pdf' } },
+        'photo-2': { filename: 'photo-2', length: 5, metadata: { filename: 'say "hi".jpg', mimetype: 'image/jpeg' } },
+        'voice-1': { filename: 'voice-1', length: 5, metadata: { filename: 'voice.ogg', mimetype: 'audio/ogg; codecs=opus' } },
+        'page-1': { filename: 'page-1', length: 5, metadata: { filename: 'page.html', mimetype: 'text/html' } },
+        'drawing-1': { filename: 'drawing-1', length: 5, metadata: { filename: 'drawing.svg', mimetype: 'image/svg+xml' } }
+    };
+    const mediaStore = {
+        findFile: async messageId => files[messageId] || null,
+        openDownloadStream: () => Readable.from([Buffer.from('hello')]),
+        verifySignature: () => false
+    };
+    let api;
+
+    before(async () => {
+        const app = express();
+        app.use(logger.requestContext());
+        app.use('/api/media', createMediaRouter(mediaStore, (req, res, next) => next()));
+        api = await listen(app);
+    });
+
+    after(() => api.close());
+
+    it('serves files with non-ASCII names', async () => {
+        const { status, headers, body } = await api.request('GET', '/api/media/photo-1');
+        assert.equal(status, 200);
+        assert.equal(body, 'hello');
+        assert.equal(headers.get('Content-Disposition'),
+            'attachment; filename="Caf? men? ??.pdf"; filename*=UTF-8\'\'Caf%C3%A9%20men%C3%BC%20%E6%9D%B1%E4%BA%AC.pdf');
+    });
+
+    it('quotes the filename', async () => {
+        const { headers } = await api.request('GET', '/api/media/photo-2');
+        assert.equal(headers.get('Content-Disposition'), 'inline; filename="say \\"hi\\".jpg"');
+    });
+
+    it('shows images, audio and video inline and offers anything else as a download', async () => {
+        for (const [messageId, type] of [['voice-1', 'inline'], ['page-1', 'attachment'], ['drawing-1', 'attachment']]) {
+            const { headers } = await api.request('GET', `/api/media/${messageId}`);
+            assert.equal(headers.get('Content-Disposition').split(';')[0], type);
+            assert.equal(headers.get('X-Content-Type-Options'), 'nosniff');
+            assert.equal(headers.get('Content-Security-Policy'), 'sandbox');
+        }
+    });
+
+    it('answers 404 for unknown media', async () => {
+        assert.equal((await api.request('GET', '/api/media/unknown')).status, 404);
+    });
+});
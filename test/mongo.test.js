@@ -0,0 +1,191 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEY, useTestEnvironment, listen, waitFor, uploadedFiles, mediaForm } = require('./helpers');
+
+// With MongoDB every feature is on (queue, keys, templates, acks, ...), so this suite
+// needs a disposable database: TEST_MONGODB_URI=mongodb://127.0.0.1/whatsapp-bot-test npm test
+const MONGODB_URI = process.env.TEST_MONGODB_URI;
+
+describe('app.js with MongoDB', { skip: !MONGODB_URI && 'set TEST_MONGODB_URI to run' }, () => {
+    let server;
+    let client;
+    let api;
+
+    before(async () => {
+        useTestEnvironment({ MONGODB_URI, EMAIL_USER: '', EMAIL_PASSWORD: '', WebhookUrl: '' });
+        const createApp = require('../app');
+        const { loadConfig } = require('../utils/config');
+        server = createApp(loadConfig());
+
+        const mongoose = require('mongoose');
+        await server.start();
+        await mongoose.connection.db.dropDatabase();
+
+        client = server.sessionManager.get().client;
+        api = await listen(server.app);
+    });
+
+    after(async () => {
+        if (api) await api.close();
+        if (server) await server.shutdown();
+    });
+
+    it('answers the health check without a key', async () => {
+        const { status, body } = await api.request('GET', '/health', { apiKey: null });
+        assert.equal(status, 200);
+        assert.equal(body.status, 'OK');
+        assert.equal(body.mongoStatus, 'connected');
+        assert.equal(body.authStrategy, 'mongo');
+        assert.equal(body.clientReady, false);
+    });
+
+    describe('authentication', () => {
+        it('rejects a missing or wrong key', async () => {
+            assert.equal((await api.request('GET', '/api/rate-limits', { apiKey: null })).status, 401);
+            assert.equal((await api.request('GET', '/api/rate-limits', { apiKey: 'wrong' })).status, 401);
+        });
+
+        it('enforces scopes on managed keys', async () => {
+            const created = await api.request('POST', '/api/admin/api-keys', { body: { name: 'reader', scopes: ['read'] } });
+            assert.equal(created.status, 201);
+
+            const reader = created.body.key;
+            assert.equal((await api.request('GET', '/api/rate-limits', { apiKey: reader })).status, 200);
+            assert.equal((await api.request('POST', '/api/send-message', { apiKey: reader, body: { to: '15551234567', message: 'hi' } })).status, 403);
+            assert.equal((await api.request('GET', '/api/admin/api-keys', { apiKey: reader })).status, 403);
+        });
+    });
+
+    describe('before the client is ready', () => {
+        it('serves the QR code', async () => {
+            const qr = client.emitQr();
+            const { body } = await api.request('GET', '/api/qr');
+            assert.equal(body.qr, qr);
+        });
+
+        it('answers 503 on send-media and removes the upload', async () => {
+            const { status } = await api.request('POST', '/api/send-media', { form: mediaForm({ to: '15551234567' }) });
+            assert.equal(status, 503);
+            await waitFor(() => uploadedFiles().length === 0, { message: 'the upload to be removed' });
+        });
+    });
+
+    describe('once the client is ready', () => {
+        before(async () => {
+            client.emitAuthenticated();
+            client.emitReady();
+            await waitFor(() => server.sessionManager.get().isReady, { message: 'the session to be ready' });
+        });
+
+        it('reports ready', async () => {
+            const { body } = await api.request('GET', '/api/qr');
+            assert.equal(body.message, 'Client is already authenticated');
+        });
+
+        it('queues a message and sends it', async () => {
+            const { status, body } = await api.request('POST', '/api/send-message', { body: { to: '15551234567', message: 'hello' } });
+            assert.equal(status, 202);
+            assert.equal(body.to, '15551234567@c.us');
+
+            const job = await waitFor(async () => {
+                const { body: polled } = await api.request('GET', `/api/messages/${body.jobId}`);
+                return polled.job.status === 'sent' && polled;
+            }, { message: 'the job to be sent' });
+            assert.equal(client.sent.at(-1).content, 'hello');
+            assert.equal(job.ack.status, 'pending');
+
+            // Delivery acks are tracked per message
+            client.emitAck(job.job.messageId, 2);
+            const ack = await waitFor(async () => {
+                const { body: polled } = await api.request('GET', `/api/acks/${encodeURIComponent(job.job.messageId)}`);
+                return polled.ack && polled.ack.status === 'delivered' && polled.ack;
+            }, { message: 'the delivered ack' });
+            assert.deepEqual(ack.history.map(entry => entry.status), ['pending', 'delivered']);
+        });
+
+        it('answers 404 for an unknown job', async () => {
+            assert.equal((await api.request('GET', '/api/messages/000000000000000000000000')).status, 404);
+            assert.equal((await api.request('GET', '/api/messages/not-an-id')).status, 404);
+        });
+
+        it('renders bulk sends from a template', async () => {
+            const created = await api.request('POST', '/api/templates', { body: { name: 'greeting', body: 'Hi {{name}}' } });
+            assert.equal(created.status, 201);
+            assert.equal((await api.request('POST', '/api/templates', { body: { name: 'greeting', body: 'again' } })).status, 409);
+
+            const { status, body } = await api.request('POST', '/api/send-bulk', {
+                body: { recipients: [{ to: '15551110000', variables: { name: 'Ana' } }], template: 'greeting', dryRun: true }
+            });
+            assert.equal(status, 200);
+            assert.deepEqual(body.messages.map(item => item.message), ['Hi Ana']);
+
+            assert.equal((await api.request('POST', '/api/send-bulk', { body: { recipients: ['15551110000'], template: 'missing' } })).status, 404);
+        });
+
+        it('opts out a sender who replies STOP', async () => {
+            await client.receiveMessage({ from: '15559990000@c.us', body: 'STOP' });
+            const entry = await waitFor(async () => {
+                const { body } = await api.request('GET', '/api/suppressions/15559990000');
+                return body.suppressed && body;
+            }, { message: 'the opt-out' });
+            assert.equal(entry.chatId, '15559990000@c.us');
+
+            const { status } = await api.request('POST', '/api/send-message', { body: { to: '15559990000', message: 'hi' } });
+            assert.equal(status, 403);
+        });
+
+        it('validates webhook subscriptions', async () => {
+            assert.equal((await api.request('POST', '/api/webhooks', { body: { url: 'ftp://example.com' } })).status, 400);
+
+            const { status, body } = await api.request('POST', '/api/webhooks', { body: { url: 'http://127.0.0.1:9/hook', events: ['message'] } });
+            assert.equal(status, 201);
+            assert.ok(body.webhook.secret);
+
+            assert.equal((await api.request('POST', '/api/webhooks', { body: { url: 'http://127.0.0.1:9/hook', secret: 12345 } })).status, 400);
+            const url = `/api/webhooks/${body.webhook.id}`;
+            assert.equal((await api.request('PATCH', url, { body: { secret: { key: 'x' } } })).status, 400);
+            assert.equal((await api.request('PATCH', url, { body: { active: 'false' } })).status, 400);
+            assert.equal((await api.request('PATCH', url, { body: { active: false } })).body.webhook.active, false);
+        });
+
+        it('issues single-use event stream tokens', async () => {
+            const { body } = await api.request('POST', '/api/events/token');
+            assert.ok(body.token);
+            assert.equal((await api.request('GET', '/api/events?token=invalid', { apiKey: null })).status, 401);
+        });
+
+        it('refuses query operators in archive searches', async () => {
+            const { status, body } = await api.request('GET', '/api/archive/messages?sessionId[$ne]=x');
+            assert.equal(status, 400);
+            assert.equal(body.error, 'sessionId must be a single value');
+        });
+
+        it('refuses repeated or nested suppression search parameters', async () => {
+            assert.equal((await api.request('GET', '/api/suppressions?q=1555&q=1666')).status, 400);
+            assert.equal((await api.request('GET', '/api/suppressions/audit?action[$ne]=opt_out')).status, 400);
+        });
+
+        it('answers 404 for unknown media', async () => {
+            assert.equal((await api.request('GET', '/api/media/unknown')).status, 404);
+        });
+
+        it('exposes metrics to the master key', async () => {
+            const { status, body } = await api.request('GET', '/metrics', { headers: { Authorization: `Bearer ${API_KEY}` }, apiKey: null });
+            assert.equal(status, 200);
+            assert.match(body, /whatsapp_messages_sent_total\{session="default",type="chat"\} 1/);
+        });
+
+        it('fails the email test when email is not configured', async () => {
+            const { status, body } = await api.request('POST', '/api/test-email');
+            assert.equal(status, 500);
+            assert.equal(body.error, 'Email test failed');
+        });
+    });
+
+    it('answers 503 on send-media after a disconnect', async () => {
+        client.disconnect();
+        await waitFor(() => !server.sessionManager.get().isReady, { message: 'the session to disconnect' });
+        const { status } = await api.request('POST', '/api/send-media', { body: { to: '15551234567', url: 'http://127.0.0.1:9/a.png' } });
+        assert.equal(status, 503);
+    });
+});
@@ -0,0 +1,230 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { useTestEnvironment, listen } = require('./helpers');
+
+const directory = useTestEnvironment();
+const Notifier = require('../utils/notifier');
+const NotificationTemplates = require('../utils/notificationTemplates');
+const WebhookDispatcher = require('../utils/webhookDispatcher');
+const { HttpCallbackChannel, ChatWebhookChannel } = require('../utils/notificationChannels');
+
+// A channel remembering what it was given; fail makes every send throw
+function recordingChannel(name, { configured = true, fail = false } = {}) {
+    return {
+        name,
+        configured,
+        reason: configured ? undefined : `needs ${name.toUpperCase()}_URL`,
+        sent: [],
+        async send(notification) {
+            if (fail) throw new Error(`${name} is down`);
+            this.sent.push(notification);
+        }
+    };
+}
+
+describe('utils/notifier.js', () => {
+    it('routes each event to its channels', async () => {
+        const email = recordingChannel('email');
+        const chat = recordingChannel('chat');
+        const notifier = new Notifier({ channels: [email, chat], routes: { qr: ['email'], disconnected: ['email', 'chat'] } });
+
+        await notifier.notify('qr', { sessionId: 'sales', qr: '2@abc' });
+        await notifier.notify('disconnected', { sessionId: 'sales', reason: 'NAVIGATION' });
+
+        assert.deepEqual(email.sent.map(item => item.event), ['qr', 'disconnected']);
+        assert.deepEqual(chat.sent.map(item => item.event), ['disconnected']);
+        assert.equal(email.sent[0].qr, '2@abc');
+        assert.match(chat.sent[0].subject, /Disconnected.*\(sales\)/);
+        assert.match(chat.sent[0].text, /NAVIGATION/);
+    });
+
+    it('sends the same event for a session once per window', async () => {
+        const email = recordingChannel('email');
+        const notifier = new Notifier({ channels: [email], routes: { disconnected: ['email'], ready: ['email'] } });
+
+        await notifier.notify('disconnected', { sessionId: 'sales', reason: 'first' });
+        const repeated = await notifier.notify('disconnected', { sessionId: 'sales', reason: 'second' });
+        await notifier.notify('disconnected', { sessionId: 'support', reason: 'other session' });
+        await notifier.notify('ready', { sessionId: 'sales' });
+        await notifier.notify('disconnected', { sessionId: 'sales', reason: 'forced' }, { force: true });
+
+        assert.equal(repeated.deduplicated, true);
+        assert.deepEqual(email.sent.map(item => item.reason), ['first', 'other session', null, 'forced']);
+    });
+
+    it('sends one QR code per session and window while the codes keep changing', async () => {
+        const email = recordingChannel('email');
+        const notifier = new Notifier({ channels: [email], routes: { qr: ['email'] } });
+
+        await notifier.notify('qr', { sessionId: 'sales', qr: '2@first' });
+        const second = await notifier.notify('qr', { sessionId: 'sales', qr: '2@second' });
+        await notifier.notify('qr', { sessionId: 'sales', qr: '2@third' });
+
+        assert.equal(second.deduplicated, true);
+        assert.deepEqual(email.sent.map(item => item.qr), ['2@first']);
+    });
+
+    it('sends everything with a window of 0', async () => {
+        const email = recordingChannel('email');
+        const notifier = new Notifier({ channels: [email], routes: { ready: ['email'] }, dedupWindowMs: 0 });
+
+        await notifier.notify('ready', { sessionId: 'sales' });
+        await notifier.notify('ready', { sessionId: 'sales' });
+        assert.equal(email.sent.length, 2);
+    });
+
+    it('reports skipped and failed channels without throwing', async () => {
+        const notifier = new Notifier({
+            channels: [recordingChannel('email', { fail: true }), recordingChannel('chat', { configured: false }), recordingChannel('http')],
+            routes: { init_error: ['email', 'chat', 'http'] }
+        });
+
+        const result = await notifier.notify('init_error', { sessionId: 'sales', reason: 'Chrome crashed' });
+        assert.deepEqual(result.sent, ['http']);
+        assert.deepEqual(result.failed, [{ channel: 'email', error: 'email is down' }]);
+        assert.deepEqual(result.skipped, [{ channel: 'chat', reason: 'needs CHAT_URL' }]);
+    });
+
+    it('throws from sendTest for unknown, unconfigured and failing channels', async () => {
+        const http = recordingChannel('http');
+        const notifier = new Notifier({
+            channels: [recordingChannel('email', { fail: true }), recordingChannel('chat', { configured: false }), http],
+            routes: {}
+        });
+
+        await assert.rejects(notifier.sendTest('pager'), { status: 400, message: /Unknown channel "pager"/ });
+        await assert.rejects(notifier.sendTest('chat'), { status: 400, message: 'The chat channel is not configured, it needs CHAT_URL' });
+        await assert.rejects(notifier.sendTest('email'), /email is down/);
+        await notifier.sendTest('http');
+        assert.equal(http.sent[0].event, 'test');
+    });
+
+    describe('HTTP channels', () => {
+        const received = [];
+        let api;
+
+        before(async () => {
+            const app = express();
+            app.use(express.text({ type: '*/*' }));
+            app.post('/hook', (req, res) => {
+                received.push({ body: req.body, signature: req.get('X-Notification-Signature') });
+                res.sendStatus(204);
+            });
+            api = await listen(app);
+        });
+
+        after(() => api.close());
+
+        it('posts signed JSON to the HTTP callback', async () => {
+            const channel = new HttpCallbackChannel({ url: `${api.baseUrl}/hook`, secret: 'callback-secret' });
+            const notifier = new Notifier({
+                channels: [channel],
+                routes: { qr: ['http'] },
+                templates: new NotificationTemplates({ publicUrl: 'https://bot.example.com' })
+            });
+
+            await notifier.notify('qr', { sessionId: 'sales', qr: '2@abc' });
+
+            const { body, signature } = received.pop();
+            const payload = JSON.parse(body);
+            assert.equal(payload.event, 'qr');
+            assert.equal(payload.qr, '2@abc');
+            assert.equal(payload.server, 'https://bot.example.com');
+            assert.match(payload.text, /Server: https:\/\/bot\.example\.com/);
+            assert.equal(payload.html, undefined);
+            assert.equal(signature, WebhookDispatcher.sign('callback-secret', body));
+        });
+
+        it('posts text to a chat webhook', async () => {
+            const channel = new ChatWebhookChannel({ url: `${api.baseUrl}/hook` });
+            await channel.send(await new Notifier({ channels: [], routes: {} }).build('ready', { sessionId: 'sales' }));
+
+            const { body, signature } = received.pop();
+            assert.match(JSON.parse(body).text, /^✅ WhatsApp Bot Connected Successfully \(sales\)\nSession sales is connected/);
+            assert.equal(signature, undefined);
+        });
+
+        it('is not configured without a URL', () => {
+            const channel = new ChatWebhookChannel({});
+            assert.equal(channel.configured, false);
+            assert.equal(channel.reason, 'needs NOTIFY_CHAT_WEBHOOK_URL');
+        });
+    });
+
+    describe('templates', () => {
+        // Custom templates: a German ready event and a broken disconnected one in English
+        const custom = path.join(directory, 'notification-templates');
+        fs.mkdirSync(path.join(custom, 'de'), { recursive: true });
+        fs.mkdirSync(path.join(custom, 'en'), { recursive: true });
+        fs.writeFileSync(path.join(custom, 'de', 'ready.txt'), 'Subject: ✅ Sitzung {{sessionId}} verbunden\n\nDie Sitzung {{sessionId}} ist bereit.\n');
+        fs.writeFileSync(path.join(custom, 'en', 'disconnected.txt'), 'Session {{sessionId}} is gone\n');
+
+        it('renders the subject, plain text and HTML with the data', async () => {
+            const templates = new NotificationTemplates({ publicUrl: 'https://bot.example.com' });
+            const content = await templates.render('disconnected', { sessionId: 'sales', reason: '<script>' }, { date: new Date('2024-05-01T10:00:00Z') });
+
+            assert.equal(content.locale, 'en');
+            assert.equal(content.subject, '🚨 WhatsApp Bot Disconnected - Alert (sales)');
+            assert.match(content.text, /^Session sales disconnected\./);
+            assert.match(content.text, /Reason: <script>/);
+            assert.match(content.html, /<strong>Reason:<\/strong> &lt;script&gt;/);
+            assert.match(content.html, /https:\/\/bot\.example\.com/);
+            assert.equal(content.qrImage, null);
+        });
+
+        it('puts the QR code image into the HTML', async () => {
+            const content = await new NotificationTemplates().render('qr', { sessionId: 'sales', qr: '2@abc' });
+            assert.match(content.qrImage, /^data:image\/png;base64,/);
+            assert.ok(content.html.includes(`src="${content.qrImage}"`));
+        });
+
+        it('picks the locale and falls back to English per event', async () => {
+            const templates = new NotificationTemplates({ directory: custom, locale: 'de' });
+            assert.deepEqual(templates.locales(), ['de', 'en', 'es']);
+
+            const ready = await templates.render('ready', { sessionId: 'sales' });
+            assert.equal(ready.locale, 'de');
+            assert.equal(ready.subject, '✅ Sitzung sales verbunden');
+            assert.equal(ready.html, null);
+
+            const qr = await templates.render('qr', { sessionId: 'sales', qr: '2@abc' });
+            assert.equal(qr.locale, 'en');
+
+            const spanish = await templates.render('ready', { sessionId: 'sales' }, { locale: 'es' });
+            assert.match(spanish.subject, /^✅ Bot de WhatsApp conectado/);
+        });
+
+        it('rejects unknown events, invalid locales and templates without a subject', () => {
+            const templates = new NotificationTemplates({ directory: custom });
+            assert.throws(() => templates.source('paged'), { status: 404 });
+            assert.throws(() => templates.source('ready', '../en'), { status: 400 });
+            assert.throws(() => templates.source('disconnected'), /disconnected\.txt must start with a "Subject:" line/);
+        });
+
+        it('previews drafts with sample data', async () => {
+            const templates = new NotificationTemplates();
+            const preview = await templates.preview('disconnected', { draft: { subject: 'Down: {{sessionId}}', html: '' }, data: { sessionId: 'support' } });
+            assert.equal(preview.subject, 'Down: support');
+            assert.match(preview.text, /Reason: NAVIGATION/);
+            assert.equal(preview.html, null);
+
+            await assert.rejects(templates.preview('ready', { draft: { text: 'Hi {{name}}' } }), { status: 400, missing: ['name'] });
+        });
+
+        it('falls back to the built-in template when a custom one is broken', async () => {
+            const email = recordingChannel('email');
+            const notifier = new Notifier({
+                channels: [email],
+                routes: { disconnected: ['email'] },
+                templates: new NotificationTemplates({ directory: custom })
+            });
+
+            const result = await notifier.notify('disconnected', { sessionId: 'sales', reason: 'LOGOUT' });
+            assert.deepEqual(result.sent, ['email']);
+            assert.match(email.sent[0].subject, /Disconnected - Alert \(sales\)/);
+        });
+    });
+});
@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { useTestEnvironment } = require('./helpers');
+
+useTestEnvironment();
+const Scheduler = require('../utils/scheduler');
+
+describe('utils/scheduler.js', () => {
+    // Invalid timing is refused before anything is stored, so no MongoDB is needed
+    const scheduler = new Scheduler({ messageQueue: new EventEmitter() });
+
+    it('refuses cron expressions with a seconds field', async () => {
+        await assert.rejects(
+            scheduler.create({ sessionId: 'default', to: '15551234567', message: 'hi', cron: '* * * * * *' }),
+            { status: 400, message: /seconds are not supported/ }
+        );
+    });
+
+    it('refuses invalid cron expressions and timezones', async () => {
+        await assert.rejects(scheduler.create({ to: '15551234567', message: 'hi', cron: '61 * * * *' }), { status: 400, message: /Invalid cron expression/ });
+        await assert.rejects(scheduler.create({ to: '15551234567', message: 'hi', cron: '0 9 * * *', timezone: 'Mars/Olympus' }), { status: 400 });
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useTestEnvironment, listen } = require('./helpers');
+
+useTestEnvironment();
+const FakeClient = require('../utils/fakeClient');
+const SessionManager = require('../utils/sessionManager');
+const SendLimiter = require('../utils/sendLimiter');
+const logger = require('../utils/logger');
+const { createDirectSender } = require('../utils/directSend');
+const createWhatsAppRouter = require('../routes/whatsapp');
+
+describe('routes/whatsapp.js', () => {
+    const client = new FakeClient();
+    const sessionManager = new SessionManager({
+        createAuthStrategy: () => null,
+        createClient: () => client
+    });
+    let api;
+
+    before(async () => {
+        await sessionManager.restore();
+
+        const app = express();
+        app.use(express.json());
+        app.use(logger.requestContext());
+        app.use((req, res, next) => {
+            req.apiKey = { id: 'test', name: 'test', scopes: ['admin'] };
+            next();
+        });
+        app.use('/api/whatsapp', sessionManager.resolveSession(), createWhatsAppRouter(createDirectSender({ sendLimiter: new SendLimiter() })));
+        api = await listen(app);
+    });
+
+    after(async () => {
+        await api.close();
+        await sessionManager.destroyAll();
+    });
+
+    it('runs on the session manager\'s client', () => {
+        assert.equal(client.initialized, true);
+    });
+
+    describe('before the client is ready', () => {
+        it('reports not ready', async () => {
+            const { status, body } = await api.request('GET', '/api/whatsapp/status');
+            assert.equal(status, 200);
+            assert.equal(body.ready, false);
+        });
+
+        it('points to /api/qr for the QR code', async () => {
+            client.emitQr();
+            const { body } = await api.request('GET', '/api/whatsapp/qr');
+            assert.match(body.message, /\/api\/qr/);
+        });
+
+        it('answers 503 on send', async () => {
+            const { status, body } = await api.request('POST', '/api/whatsapp/send', { body: { number: '15551234567', message: 'hi' } });
+            assert.equal(status, 503);
+            assert.equal(body.success, false);
+            assert.equal(client.sent.length, 0);
+        });
+    });
+
+    describe('once the client is ready', () => {
+        before(() => {
+            client.emitAuthenticated();
+            client.emitReady();
+        });
+
+        it('reports ready', async () => {
+            const status = await api.request('GET', '/api/whatsapp/status');
+            assert.equal(status.body.ready, true);
+
+            const qr = await api.request('GET', '/api/whatsapp/qr');
+            assert.equal(qr.body.message, 'Already authenticated');
+        });
+
+        it('validates send', async () => {
+            const { status } = await api.request('POST', '/api/whatsapp/send', { body: { number: '15551234567' } });
+            assert.equal(status, 400);
+        });
+
+        it('sends a message', async () => {
+            const { status, body } = await api.request('POST', '/api/whatsapp/send', { body: { number: '15551234567', message: 'hi' } });
+            assert.equal(status, 200);
+            assert.equal(body.to, '15551234567');
+            assert.deepEqual(client.sent.map(item => [item.to, item.content]), [['15551234567@c.us', 'hi']]);
+        });
+
+        it('reports a failed send', async () => {
+            client.failNextSend(new Error('Evaluation failed'));
+            const { status, body } = await api.request('POST', '/api/whatsapp/send', { body: { number: '15551234567', message: 'hi' } });
+            assert.equal(status, 500);
+            assert.equal(body.error, 'Evaluation failed');
+        });
+    });
+
+    it('answers 503 again after a disconnect', async () => {
+        client.disconnect();
+        const { status } = await api.request('POST', '/api/whatsapp/send', { body: { number: '15551234567', message: 'hi' } });
+        assert.equal(status, 503);
+    });
+});
@@ -0,0 +1,67 @@
+const MessageAck = require('../models/MessageAck');
+
+// whatsapp-web.js MessageAck values
+const ACK_STATUS = {
+    '-1': 'error',
+    0: 'pending',
+    1: 'server',
+    2: 'delivered',
+    3: 'read',
+    4: 'played'
+};
+
+function ackStatus(ack) {
+    return ACK_STATUS[ack] || 'unknown';
+}
+
+// Start tracking a message we just sent (acks may already have arrived)
+async function recordSent({ messageId, sessionId, to, jobId }) {
+    await MessageAck.updateOne(
+        { messageId },
+        {
+            $set: { sessionId, to, jobId },
+            $setOnInsert: { ack: 0, status: 'pending', history: [{ ack: 0, status: 'pending' }] }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Record an ack for a message. Acks can arrive out of order, so a state only
+ * moves forward; an error is only accepted while the message is still pending.
+ * @returns {Promise<Object|null>} the updated record, or null if nothing changed
+ */
+async function recordAck({ messageId, sessionId, to, ack }) {
+    const status = ackStatus(ack);
+    const filter = ack === -1
+        ? { messageId, ack: 0 }
+        : { messageId, ack: { $lt: ack } };
+
+    try {
+        return await MessageAck.findOneAndUpdate(
+            filter,
+            {
+                $set: { ack, status },
+                $setOnInsert: { sessionId, to },
+                $push: { history: { ack, status, at: new Date() } }
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // The record exists but is already at this state or further along
+        if (error.code === 11000) return null;
+        throw error;
+    }
+}
+
+async function getAck(messageId) {
+    return MessageAck.findOne({ messageId });
+}
+
+module.exports = {
+    ACK_STATUS,
+    ackStatus,
+    recordSent,
+    recordAck,
+    getAck
+};
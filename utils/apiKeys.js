@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const net = require('net');
+const ApiKey = require('../models/ApiKey');
+const logger = require('./logger');
+
+// Defined with the model, which validates them
+const SCOPES = ApiKey.SCOPES;
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60000;
+
+function generateKey() {
+    return `wak_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+// Error message for an invalid allowlist entry, or null
+function invalidAllowlistEntry(entries) {
+    for (const entry of entries) {
+        const [address, prefix] = String(entry).split('/');
+        const version = net.isIP(address);
+        const maxPrefix = version === 6 ? 128 : 32;
+        if (!version || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+            return `Invalid IP or CIDR range: ${entry}`;
+        }
+    }
+    return null;
+}
+
+function ipAllowed(ip, allowlist) {
+    if (!allowlist || allowlist.length === 0) return true;
+
+    const address = normalizeIp(ip);
+    const version = net.isIP(address);
+    if (!version) return false;
+
+    const blockList = new net.BlockList();
+    for (const entry of allowlist) {
+        const [network, prefix] = entry.split('/');
+        const type = net.isIP(network) === 6 ? 'ipv6' : 'ipv4';
+        if (prefix !== undefined) {
+            blockList.addSubnet(network, Number(prefix), type);
+        } else {
+            blockList.addAddress(network, type);
+        }
+    }
+    return blockList.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+// The key sent as "X-API-Key: <key>" or "Authorization: Bearer <key>" (never the query string, which gets logged)
+function presentedKey(req) {
+    const header = req.headers['x-api-key'];
+    if (header) return header;
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+function timingSafeEqualStrings(a, b) {
+    const left = Buffer.from(hashKey(a));
+    const right = Buffer.from(hashKey(b));
+    return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Create a key. The plain key is only returned here; store it, it cannot be recovered.
+ * @returns {Promise<{ apiKey: ApiKey, key: string }>}
+ */
+async function createApiKey({ name, scopes, ipAllowlist, expiresAt }) {
+    const key = generateKey();
+    const apiKey = await ApiKey.create({
+        name,
+        scopes,
+        ipAllowlist,
+        expiresAt,
+        prefix: key.slice(0, 12),
+        keyHash: hashKey(key)
+    });
+    return { apiKey, key };
+}
+
+// Replace the secret of a key; the old secret stops working immediately
+async function rotateApiKey(apiKey) {
+    const key = generateKey();
+    apiKey.prefix = key.slice(0, 12);
+    apiKey.keyHash = hashKey(key);
+    apiKey.rotatedAt = new Date();
+    await apiKey.save();
+    return { apiKey, key };
+}
+
+/**
+ * Express middleware factory: requireApiKey(scope) only lets requests through whose key
+ * has that scope (admin keys have every scope). scope may be a function of the request.
+ * The API_KEY environment variable keeps working as a bootstrap key with every scope,
+ * so the first stored keys can be created. With storedKeys false (no MongoDB) it is
+ * the only accepted key.
+ * Sets req.apiKey = { id, name, scopes }.
+ */
+function createApiKeyAuth({ bootstrapKey, storedKeys = true } = {}) {
+    return function requireApiKey(scope) {
+        return async (req, res, next) => {
+            try {
+                const key = presentedKey(req);
+                if (!key) {
+                    return res.status(401).json({ error: 'Missing API key. Send it in the X-API-Key header.' });
+                }
+
+                let identity = null;
+                if (bootstrapKey && timingSafeEqualStrings(key, bootstrapKey)) {
+                    identity = { id: 'env', name: 'API_KEY', scopes: SCOPES };
+                } else if (!storedKeys) {
+                    return res.status(401).json({ error: 'Invalid API key' });
+                } else {
+                    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+                    const now = new Date();
+
+                    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+                        return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+                    }
+                    if (!ipAllowed(req.ip, apiKey.ipAllowlist)) {
+                        return res.status(403).json({ error: `API key not allowed from ${normalizeIp(req.ip)}` });
+                    }
+
+                    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+                        ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: normalizeIp(req.ip) } })
+                            .catch(error => logger.error('Failed to record API key use', { apiKeyId: apiKey.id, error: error.message }));
+                    }
+                    identity = { id: apiKey._id.toString(), name: apiKey.name, scopes: apiKey.scopes };
+                }
+
+                const required = typeof scope === 'function' ? scope(req) : scope;
+                if (required && !identity.scopes.includes(required) && !identity.scopes.includes('admin')) {
+                    return res.status(403).json({ error: `API key lacks the "${required}" scope` });
+                }
+
+                req.apiKey = identity;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    };
+}
+
+// Scope for routers mixing reads and writes: GET/HEAD need "read", anything else writeScope
+function readOr(writeScope) {
+    return req => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : writeScope);
+}
+
+module.exports = {
+    SCOPES,
+    hashKey,
+    ipAllowed,
+    invalidAllowlistEntry,
+    createApiKey,
+    rotateApiKey,
+    createApiKeyAuth,
+    readOr
+};
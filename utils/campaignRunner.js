@@ -0,0 +1,244 @@
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const MessageJob = require('../models/MessageJob');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recipient counts by status, plus completion percentage and a rough finish estimate
+async function campaignProgress(campaign) {
+    const counts = { pending: 0, queued: 0, sent: 0, failed: 0, cancelled: 0, skipped: 0 };
+    const groups = await CampaignRecipient.aggregate([
+        { $match: { campaignId: campaign._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    for (const group of groups) {
+        counts[group._id] = group.count;
+    }
+
+    const done = counts.sent + counts.failed + counts.cancelled + counts.skipped;
+    const remaining = counts.pending + counts.queued;
+    const progress = {
+        ...counts,
+        percent: campaign.total > 0 ? Math.round((done / campaign.total) * 1000) / 10 : 100
+    };
+
+    if (campaign.status === 'running' && remaining > 0) {
+        const averageGapMs = 60000 / campaign.messagesPerMinute + campaign.jitterMs / 2;
+        progress.estimatedCompletionAt = new Date(Math.max(Date.now(), campaign.nextSendAt.getTime()) + averageGapMs * (remaining - 1));
+    }
+    return progress;
+}
+
+/**
+ * Feeds running campaigns into the message queue, one message at a time per campaign:
+ * the next one is queued only after the previous one was sent or failed, at most
+ * messagesPerMinute (plus jitter) and dailyCap per 24 hours, and only while the session is ready.
+ */
+class CampaignRunner {
+    /**
+     * @param {Object} options
+     * @param {SessionManager} options.sessionManager
+     * @param {MessageQueue} options.messageQueue
+     * @param {number} [options.pollIntervalMs] - how often running campaigns are checked
+     */
+    constructor({ sessionManager, messageQueue, pollIntervalMs = 2000 }) {
+        this.sessionManager = sessionManager;
+        this.messageQueue = messageQueue;
+        this.pollIntervalMs = pollIntervalMs;
+        this.timer = null;
+        this.processing = false;
+
+        messageQueue.on('sent', job => this.recordResult(job));
+        messageQueue.on('failed', job => this.recordResult(job));
+    }
+
+    start() {
+        this.timer = setInterval(() => this.process(), this.pollIntervalMs);
+        this.process();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Create a running campaign from rendered { to, message } pairs; suppressed chat ids are skipped
+    async create({ name, sessionId, template, messages, suppressed = new Set(), messagesPerMinute, jitterMs, dailyCap }) {
+        const campaign = await Campaign.create({
+            name,
+            sessionId,
+            template,
+            messagesPerMinute,
+            jitterMs,
+            dailyCap,
+            total: messages.length
+        });
+
+        try {
+            await CampaignRecipient.insertMany(messages.map((item, index) => ({
+                campaignId: campaign._id,
+                index: index,
+                to: item.to,
+                message: item.message,
+                ...(suppressed.has(item.to) && { status: 'skipped', error: 'Recipient has opted out' })
+            })));
+        } catch (error) {
+            await CampaignRecipient.deleteMany({ campaignId: campaign._id });
+            await campaign.deleteOne();
+            throw error;
+        }
+
+        this.process();
+        return campaign;
+    }
+
+    async pause(campaign) {
+        campaign.status = 'paused';
+        return campaign.save();
+    }
+
+    async resume(campaign) {
+        campaign.status = 'running';
+        campaign.nextSendAt = new Date();
+        campaign.lastError = undefined;
+        await campaign.save();
+        this.process();
+        return campaign;
+    }
+
+    // Stop for good: nothing pending is sent, a message still waiting in the queue is dropped
+    async cancel(campaign) {
+        campaign.status = 'cancelled';
+        campaign.cancelledAt = new Date();
+        await campaign.save();
+
+        const campaignId = campaign._id.toString();
+        await MessageJob.updateMany(
+            { campaignId, status: 'queued' },
+            { $set: { status: 'failed', lastError: 'Campaign cancelled' } }
+        );
+        await CampaignRecipient.updateMany(
+            { campaignId: campaign._id, status: { $in: ['pending', 'queued'] } },
+            { $set: { status: 'cancelled' } }
+        );
+        return campaign;
+    }
+
+    async process() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            const campaigns = await Campaign.find({ status: 'running', nextSendAt: { $lte: new Date() } })
+                .sort({ nextSendAt: 1 });
+
+            for (const campaign of campaigns) {
+                await this.advance(campaign);
+            }
+        } catch (error) {
+            logger.error('Campaign processing failed', { error: error.message });
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Queue the campaign's next message if its session, in-flight message and limits allow it
+    async advance(campaign) {
+        const session = this.sessionManager.get(campaign.sessionId);
+        if (!session || session.id !== campaign.sessionId) {
+            campaign.status = 'paused';
+            campaign.lastError = `Session not found: ${campaign.sessionId}`;
+            await campaign.save();
+            logger.error('Campaign paused', { campaignId: campaign.id, error: campaign.lastError });
+            return;
+        }
+        if (!session.isReady) return;
+
+        const now = new Date();
+        const inFlight = await CampaignRecipient.findOne({ campaignId: campaign._id, status: 'queued' });
+        if (inFlight) {
+            // A result can be missed around a restart; catch up from the job itself
+            if (inFlight.jobId) {
+                const job = await MessageJob.findById(inFlight.jobId);
+                if (job && (job.status === 'sent' || job.status === 'failed')) {
+                    await this.recordResult(job);
+                }
+            } else if (inFlight.queuedAt < new Date(now.getTime() - 60000)) {
+                // Claimed but never queued
+                inFlight.status = 'pending';
+                await inFlight.save();
+            }
+            return;
+        }
+
+        if (campaign.dailyCap > 0) {
+            const windowStart = new Date(now.getTime() - DAY_MS);
+            const recent = await CampaignRecipient.find({ campaignId: campaign._id, queuedAt: { $gt: windowStart } })
+                .sort({ queuedAt: 1 })
+                .limit(campaign.dailyCap)
+                .select('queuedAt');
+
+            if (recent.length >= campaign.dailyCap) {
+                // Wait until the oldest message of the window is 24 hours old
+                campaign.nextSendAt = new Date(recent[0].queuedAt.getTime() + DAY_MS);
+                await campaign.save();
+                logger.info('Campaign reached its daily cap', { campaignId: campaign.id, sessionId: campaign.sessionId, nextSendAt: campaign.nextSendAt });
+                return;
+            }
+        }
+
+        const recipient = await CampaignRecipient.findOneAndUpdate(
+            { campaignId: campaign._id, status: 'pending' },
+            { $set: { status: 'queued', queuedAt: now } },
+            { sort: { index: 1 }, new: true }
+        );
+
+        if (!recipient) {
+            campaign.status = 'completed';
+            campaign.completedAt = now;
+            await campaign.save();
+            logger.info('Campaign completed', { campaignId: campaign.id, name: campaign.name, sessionId: campaign.sessionId });
+            return;
+        }
+
+        const job = await this.messageQueue.enqueue({
+            sessionId: campaign.sessionId,
+            to: recipient.to,
+            message: recipient.message,
+            campaignId: campaign._id.toString()
+        });
+        recipient.jobId = job._id.toString();
+        await recipient.save();
+
+        const gapMs = 60000 / campaign.messagesPerMinute + Math.random() * campaign.jitterMs;
+        campaign.nextSendAt = new Date(now.getTime() + gapMs);
+        await campaign.save();
+
+        this.messageQueue.flush(campaign.sessionId);
+    }
+
+    async recordResult(job) {
+        if (!job.campaignId) return;
+
+        try {
+            await CampaignRecipient.updateOne(
+                { jobId: job._id.toString(), status: 'queued' },
+                {
+                    $set: {
+                        status: job.status,
+                        messageId: job.messageId,
+                        error: job.lastError,
+                        sentAt: job.sentAt
+                    }
+                }
+            );
+        } catch (error) {
+            logger.error('Failed to record a campaign result', { campaignId: job.campaignId, jobId: job.id, error: error.message });
+        }
+    }
+}
+
+CampaignRunner.campaignProgress = campaignProgress;
+
+module.exports = CampaignRunner;
@@ -0,0 +1,28 @@
+// WhatsApp ids: users are <number>@c.us, groups <id>@g.us. Anything that already
+// carries a server suffix (@c.us, @g.us, @lid, @newsletter, ...) is used as-is.
+
+function hasServer(id) {
+    return String(id).includes('@');
+}
+
+// Phone number ("+1 555-123 4567") or full id → chat id, defaulting to a user chat
+function toChatId(to) {
+    const id = String(to).trim();
+    return hasServer(id) ? id : `${id.replace(/[^\d]/g, '')}@c.us`;
+}
+
+// Group id with or without the @g.us suffix
+function toGroupId(groupId) {
+    const id = String(groupId).trim();
+    return hasServer(id) ? id : `${id}@g.us`;
+}
+
+function isGroupId(id) {
+    return String(id).endsWith('@g.us');
+}
+
+module.exports = {
+    toChatId,
+    toGroupId,
+    isGroupId
+};
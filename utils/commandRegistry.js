@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const { toChatId } = require('./chatId');
+
+/**
+ * A bot command module exports:
+ * @typedef {Object} Command
+ * @property {string} name
+ * @property {string[]} [aliases]
+ * @property {string} description - one line shown by !help
+ * @property {Array<{name: string, required?: boolean, rest?: boolean}>} [args] - positional arguments;
+ *   a "rest" argument takes the remainder of the text
+ * @property {string[]} [chats] - 'private' and/or 'group' (default: both)
+ * @property {boolean} [adminOnly] - only senders listed in the registry's admins may run it
+ * @property {number} [cooldownMs] - per-sender cooldown
+ * @property {Function} execute - async ({ message, args, session, registry, context }) => void
+ */
+
+// Split on whitespace, keeping "quoted strings" together
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+    return tokens;
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+class CommandRegistry {
+    /**
+     * @param {Object} options
+     * @param {string} [options.prefix]
+     * @param {string[]} [options.admins] - phone numbers or ids allowed to run adminOnly commands
+     * @param {Object} [options.context] - passed to every command (e.g. status details of the host server)
+     */
+    constructor({ prefix = '!', admins = [], context = {} } = {}) {
+        this.prefix = prefix;
+        this.admins = new Set(admins.map(toChatId));
+        this.context = context;
+        this.commands = new Map();
+        this.aliases = new Map();
+        this.cooldowns = new Map();
+    }
+
+    register(command) {
+        if (!command || !command.name || typeof command.execute !== 'function') {
+            throw new Error('A command needs a name and an execute function');
+        }
+
+        const name = command.name.toLowerCase();
+        if (this.commands.has(name) || this.aliases.has(name)) {
+            throw new Error(`Duplicate command: ${name}`);
+        }
+
+        this.commands.set(name, command);
+        for (const alias of command.aliases || []) {
+            this.aliases.set(alias.toLowerCase(), name);
+        }
+    }
+
+    // Register every .js module in a directory
+    loadDirectory(directory) {
+        for (const file of fs.readdirSync(directory).sort()) {
+            if (file.endsWith('.js')) {
+                this.register(require(path.join(directory, file)));
+            }
+        }
+        return this;
+    }
+
+    find(name) {
+        const key = name.toLowerCase();
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key));
+    }
+
+    usage(command) {
+        const args = (command.args || []).map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`));
+        return [`${this.prefix}${command.name}`, ...args].join(' ');
+    }
+
+    isAdmin(message) {
+        return this.admins.has(message.author || message.from);
+    }
+
+    // Why the sender cannot run the command here, or null if they can
+    denialReason(command, message) {
+        const chatType = message.from.endsWith('@g.us') ? 'group' : 'private';
+        if (command.chats && !command.chats.includes(chatType)) {
+            return `${this.prefix}${command.name} is only available in ${command.chats.join(' and ')} chats.`;
+        }
+        if (command.adminOnly && !this.isAdmin(message)) {
+            return `${this.prefix}${command.name} is restricted to bot admins.`;
+        }
+        return null;
+    }
+
+    // Commands the sender of this message may run
+    available(message) {
+        return Array.from(this.commands.values()).filter(command => !this.denialReason(command, message));
+    }
+
+    parseArgs(command, tokens) {
+        const args = { _: tokens };
+        const specs = command.args || [];
+
+        for (const [index, spec] of specs.entries()) {
+            const value = spec.rest
+                ? tokens.slice(index).join(' ') || undefined
+                : tokens[index];
+            if (value === undefined && spec.required) {
+                throw new Error(`Missing argument <${spec.name}>. Usage: ${this.usage(command)}`);
+            }
+            args[spec.name] = value;
+        }
+        return args;
+    }
+
+    suggest(name) {
+        let best = null;
+        for (const candidate of [...this.commands.keys(), ...this.aliases.keys()]) {
+            const distance = editDistance(name, candidate);
+            if (distance <= 2 && (!best || distance < best.distance)) {
+                best = { name: this.aliases.get(candidate) || candidate, distance };
+            }
+        }
+        return best && best.name;
+    }
+
+    // Reply to the sender; a failed reply (e.g. the client disconnected meanwhile) is only logged
+    async reply(session, message, text) {
+        try {
+            await message.reply(text);
+        } catch (error) {
+            session.log.warn('Failed to reply to command', { error: error.message });
+        }
+    }
+
+    // Start the cooldown, dropping the ones that have run out
+    startCooldown(key, cooldownMs) {
+        const now = Date.now();
+        for (const [cooldownKey, until] of this.cooldowns) {
+            if (until <= now) this.cooldowns.delete(cooldownKey);
+        }
+        this.cooldowns.set(key, now + cooldownMs);
+    }
+
+    /**
+     * Run the command in a message, if it is one.
+     * @returns {Promise<boolean>} true when the message was a command (handled or rejected)
+     */
+    async handle(session, message) {
+        const body = (message.body || '').trim();
+        if (!body.startsWith(this.prefix) || body.length === this.prefix.length) {
+            return false;
+        }
+
+        const [name] = body.slice(this.prefix.length).split(/\s+/, 1);
+        if (!/^[\w-]+$/.test(name)) {
+            return false;
+        }
+        const rawArgs = body.slice(this.prefix.length + name.length).trim();
+        const command = this.find(name);
+
+        if (!command) {
+            const suggestion = this.suggest(name.toLowerCase());
+            await this.reply(session, message, `❓ Unknown command *${this.prefix}${name}*.`
+                + (suggestion ? ` Did you mean *${this.prefix}${suggestion}*?` : '')
+                + ` Send ${this.prefix}help for the list of commands.`);
+            return true;
+        }
+
+        const denial = this.denialReason(command, message);
+        if (denial) {
+            await this.reply(session, message, `🚫 ${denial}`);
+            return true;
+        }
+
+        const sender = message.author || message.from;
+        const cooldownKey = `${session.id}:${command.name}:${sender}`;
+        if (command.cooldownMs) {
+            const waitMs = (this.cooldowns.get(cooldownKey) || 0) - Date.now();
+            if (waitMs > 0) {
+                await this.reply(session, message, `⏳ Please wait ${Math.ceil(waitMs / 1000)}s before using ${this.prefix}${command.name} again.`);
+                return true;
+            }
+        }
+
+        let args;
+        try {
+            args = this.parseArgs(command, tokenize(rawArgs));
+        } catch (error) {
+            await this.reply(session, message, `⚠️ ${error.message}`);
+            return true;
+        }
+
+        if (command.cooldownMs) {
+            this.startCooldown(cooldownKey, command.cooldownMs);
+        }
+
+        try {
+            await command.execute({ message, args, session, registry: this, context: this.context });
+        } catch (error) {
+            session.log.error('Command failed', { command: command.name, error: error.message });
+            await this.reply(session, message, `⚠️ ${this.prefix}${command.name} failed. Please try again later.`);
+        }
+        return true;
+    }
+}
+
+module.exports = CommandRegistry;
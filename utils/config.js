@@ -0,0 +1,482 @@
+const fs = require('fs');
+const path = require('path');
+const SendLimiter = require('./sendLimiter');
+const NotificationTemplates = require('./notificationTemplates');
+const { Logger } = require('./logger');
+
+// Optional feature modules, all enabled unless FEATURES lists a subset
+const FEATURES = [
+    'queue',        // durable outbound queue; without it messages are sent right away
+    'webhooks',     // webhook subscriptions and the delivery log
+    'templates',    // stored message templates
+    'schedules',    // scheduled and recurring messages
+    'campaigns',    // throttled bulk campaigns
+    'suppressions', // opt-out list and STOP/START keywords
+    'apiKeys',      // scoped API keys stored in MongoDB
+    'acks',         // delivery acknowledgement tracking
+    'media',        // storage of incoming media
+    'archive',      // searchable message archive
+    'events',       // Server-Sent Events stream
+    'commands',     // bot commands (!ping, !help, ...)
+    'dashboard'     // admin dashboard in public/
+];
+
+// Features that keep their data in MongoDB and so need MONGODB_URI
+const MONGO_FEATURES = ['queue', 'webhooks', 'templates', 'schedules', 'campaigns', 'suppressions', 'apiKeys', 'acks', 'media', 'archive'];
+
+// Features that build on another one
+const FEATURE_DEPENDENCIES = {
+    schedules: ['queue'],
+    campaigns: ['queue']
+};
+
+const AUTH_STRATEGIES = ['local', 'mongo'];
+
+// Notification channels (utils/notificationChannels.js) that events can be routed to
+const NOTIFICATION_CHANNELS = ['email', 'chat', 'http', 'whatsapp'];
+
+// Shortest API_KEY and MEDIA_URL_SECRET accepted; anything shorter is guessable
+const MIN_SECRET_LENGTH = 16;
+
+// Read when CONFIG_FILE is not set, if it exists
+const DEFAULT_CONFIG_FILE = 'config.json';
+
+// Shown instead of secret values by redactConfig()
+const REDACTED = '[redacted]';
+
+// Parsers for setting values: strings from the environment or JSON values from the
+// config file. They throw an Error whose message completes "<setting> ..."
+
+function string(value) {
+    if (typeof value === 'object') throw new Error('must be a string');
+    return String(value);
+}
+
+function integer(min, max = Number.MAX_SAFE_INTEGER) {
+    return (value) => {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`must be a whole number from ${min} to ${max}, got "${value}"`);
+        }
+        return number;
+    };
+}
+
+function oneOf(...allowed) {
+    return (value) => {
+        if (!allowed.includes(value)) {
+            throw new Error(`must be ${allowed.join(' or ')}, got "${value}"`);
+        }
+        return value;
+    };
+}
+
+function list(value) {
+    const items = Array.isArray(value) ? value : string(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function lowerCaseList(value) {
+    return list(value).map(item => item.toLowerCase());
+}
+
+function boolean(value) {
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    throw new Error(`must be true or false, got "${value}"`);
+}
+
+// "<count>/<window>" such as 30/1m, or off
+function rate(value) {
+    try {
+        return SendLimiter.parseRate(value === false ? 'off' : string(value));
+    } catch (error) {
+        throw new Error(`must be a rate such as 30/1m, 10/1h or 1000/1d, or off, got "${value}"`);
+    }
+}
+
+function httpUrl(value) {
+    let url;
+    try {
+        url = new URL(string(value));
+    } catch (error) {
+        throw new Error(`must be an http(s) URL, got "${value}"`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`must be an http(s) URL, got "${value}"`);
+    }
+    return string(value).replace(/\/+$/, '');
+}
+
+function mongoUri(value) {
+    if (!/^mongodb(\+srv)?:\/\/./.test(string(value))) {
+        throw new Error('must start with mongodb:// or mongodb+srv://');
+    }
+    return value;
+}
+
+function channelList(value) {
+    const channels = list(value);
+    const unknown = channels.filter(channel => !NOTIFICATION_CHANNELS.includes(channel));
+    if (unknown.length > 0) {
+        throw new Error(`has unknown channels ${unknown.join(', ')}, expected ${NOTIFICATION_CHANNELS.join(', ')}`);
+    }
+    return channels;
+}
+
+function locale(value) {
+    if (!NotificationTemplates.LOCALE_PATTERN.test(string(value))) {
+        throw new Error(`must be a locale such as en or pt-BR, got "${value}"`);
+    }
+    return value;
+}
+
+// What the logger hides: a list from Logger.REDACTIONS, or none
+function redactions(value) {
+    if (value === 'none') return [];
+    const items = lowerCaseList(value);
+    const unknown = items.filter(item => !Logger.REDACTIONS.includes(item));
+    if (unknown.length > 0) {
+        throw new Error(`has unknown redactions ${unknown.join(', ')}, expected ${Logger.REDACTIONS.join(', ')} or none`);
+    }
+    return items;
+}
+
+// "all" or a list of names from FEATURES, checked by resolveFeatures()
+function featureList(value) {
+    return String(value).trim() === 'all' ? 'all' : list(value);
+}
+
+/**
+ * Every setting: where it goes in the config object (path, also its key in the
+ * config file), the environment variable that overrides it, its parser and default.
+ * secret values are hidden by redactConfig(). Settings without a default are left
+ * undefined when unset, and a blank variable counts as unset unless blank is true.
+ */
+const SETTINGS = [
+    { path: 'port', env: 'PORT', parse: integer(1, 65535), default: 3000 },
+    { path: 'apiKey', env: 'API_KEY', parse: string, secret: true },
+    { path: 'mongodbUri', env: 'MONGODB_URI', parse: mongoUri, secret: true },
+    { path: 'publicUrl', env: 'RENDER_EXTERNAL_URL', parse: httpUrl },
+    { path: 'trustProxy', env: 'TRUST_PROXY', parse: string },
+    { path: 'corsOrigin', env: 'CORS_ORIGIN', parse: string, default: '*' },
+    { path: 'defaultSessionId', env: 'CLIENT_ID', parse: string, default: 'whatsapp-bot' },
+    // Defaults to mongo when MONGODB_URI is set
+    { path: 'auth.strategy', env: 'AUTH_STRATEGY', parse: oneOf(...AUTH_STRATEGIES) },
+    { path: 'auth.dataPath', env: 'AUTH_DATA_PATH', parse: string, default: '.wwebjs_auth' },
+    // RemoteAuth refuses anything under a minute
+    { path: 'auth.backupSyncIntervalMs', env: 'AUTH_BACKUP_SYNC_INTERVAL_MS', parse: integer(60000), default: 300000 },
+    { path: 'features', env: 'FEATURES', parse: featureList, default: 'all' },
+    // Defaults to json when NODE_ENV is production, pretty otherwise
+    { path: 'log.format', env: 'LOG_FORMAT', parse: oneOf(...Logger.FORMATS) },
+    { path: 'log.level', env: 'LOG_LEVEL', parse: oneOf(...Logger.LEVELS), default: 'info' },
+    { path: 'log.redact', env: 'LOG_REDACT', parse: redactions, default: Logger.REDACTIONS },
+    { path: 'rateLimit.windowMs', env: 'RATE_LIMIT_WINDOW_MS', parse: integer(1000), default: 15 * 60 * 1000 },
+    { path: 'rateLimit.max', env: 'RATE_LIMIT_MAX_REQUESTS', parse: integer(1), default: 100 },
+    { path: 'sendLimits.mode', env: 'SEND_LIMIT_MODE', parse: oneOf('queue', 'reject'), default: 'queue' },
+    { path: 'sendLimits.perApiKey', env: 'SEND_LIMIT_PER_API_KEY', parse: rate, default: '60/1m' },
+    { path: 'sendLimits.perSession', env: 'SEND_LIMIT_PER_SESSION', parse: rate, default: '30/1m' },
+    { path: 'sendLimits.perRecipient', env: 'SEND_LIMIT_PER_RECIPIENT', parse: rate, default: '10/1h' },
+    { path: 'sendLimits.bulkPerSession', env: 'SEND_LIMIT_BULK_PER_SESSION', parse: rate, default: '1000/1d' },
+    { path: 'queue.pollIntervalMs', env: 'QUEUE_POLL_INTERVAL_MS', parse: integer(100), default: 5000 },
+    { path: 'queue.maxAttempts', env: 'QUEUE_MAX_ATTEMPTS', parse: integer(1), default: 5 },
+    { path: 'queue.retryBaseMs', env: 'QUEUE_RETRY_BASE_MS', parse: integer(0), default: 10000 },
+    { path: 'webhooks.legacyUrl', env: 'WebhookUrl', parse: httpUrl },
+    { path: 'webhooks.legacySecret', env: 'WEBHOOK_SECRET', parse: string, secret: true },
+    { path: 'webhooks.pollIntervalMs', env: 'WEBHOOK_POLL_INTERVAL_MS', parse: integer(100), default: 5000 },
+    { path: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', parse: integer(1), default: 6 },
+    { path: 'webhooks.retryBaseMs', env: 'WEBHOOK_RETRY_BASE_MS', parse: integer(0), default: 15000 },
+    { path: 'webhooks.timeoutMs', env: 'WEBHOOK_TIMEOUT_MS', parse: integer(100), default: 10000 },
+    { path: 'scheduler.pollIntervalMs', env: 'SCHEDULER_POLL_INTERVAL_MS', parse: integer(100), default: 15000 },
+    { path: 'campaigns.pollIntervalMs', env: 'CAMPAIGN_POLL_INTERVAL_MS', parse: integer(100), default: 2000 },
+    { path: 'suppressions.optOutKeywords', env: 'OPT_OUT_KEYWORDS', parse: list, default: ['STOP', 'UNSUBSCRIBE'] },
+    { path: 'suppressions.optInKeywords', env: 'OPT_IN_KEYWORDS', parse: list, default: ['START'] },
+    // Unset keeps SuppressionList's replies; blank sends none
+    { path: 'suppressions.optOutReply', env: 'OPT_OUT_REPLY', parse: string, blank: true },
+    { path: 'suppressions.optInReply', env: 'OPT_IN_REPLY', parse: string, blank: true },
+    { path: 'media.maxBytes', env: 'MEDIA_MAX_BYTES', parse: integer(1), default: 16 * 1024 * 1024 },
+    { path: 'media.allowedTypes', env: 'MEDIA_ALLOWED_TYPES', parse: lowerCaseList, default: [] },
+    // Defaults to API_KEY
+    { path: 'media.urlSecret', env: 'MEDIA_URL_SECRET', parse: string, secret: true },
+    { path: 'media.urlTtlSeconds', env: 'MEDIA_URL_TTL_SECONDS', parse: integer(1), default: 3600 },
+    { path: 'commands.prefix', env: 'COMMAND_PREFIX', parse: string, default: '!' },
+    { path: 'commands.admins', env: 'BOT_ADMINS', parse: list, default: [] },
+    // Email notifications through SMTP_HOST, or through Gmail with EMAIL_USER and EMAIL_PASSWORD
+    { path: 'email.host', env: 'SMTP_HOST', parse: string },
+    { path: 'email.port', env: 'SMTP_PORT', parse: integer(1, 65535), default: 587 },
+    { path: 'email.secure', env: 'SMTP_SECURE', parse: boolean, default: false },
+    { path: 'email.user', env: 'EMAIL_USER', parse: string },
+    { path: 'email.password', env: 'EMAIL_PASSWORD', parse: string, secret: true },
+    { path: 'email.from', env: 'EMAIL_FROM', parse: string },
+    { path: 'email.to', env: 'NOTIFICATION_EMAIL', parse: string },
+    // Slack or Teams incoming webhook; its URL is the credential
+    { path: 'notifications.chat.url', env: 'NOTIFY_CHAT_WEBHOOK_URL', parse: httpUrl, secret: true },
+    { path: 'notifications.http.url', env: 'NOTIFY_HTTP_URL', parse: httpUrl },
+    { path: 'notifications.http.secret', env: 'NOTIFY_HTTP_SECRET', parse: string, secret: true },
+    { path: 'notifications.whatsapp.number', env: 'NOTIFY_WHATSAPP_NUMBER', parse: string },
+    { path: 'notifications.whatsapp.sessionId', env: 'NOTIFY_WHATSAPP_SESSION', parse: string },
+    // Channels per event; QR codes stay out of chat, where anyone could scan them
+    { path: 'notifications.routes.qr', env: 'NOTIFY_ON_QR', parse: channelList, default: ['email', 'http', 'whatsapp'] },
+    { path: 'notifications.routes.ready', env: 'NOTIFY_ON_READY', parse: channelList, default: NOTIFICATION_CHANNELS },
+    { path: 'notifications.routes.disconnected', env: 'NOTIFY_ON_DISCONNECTED', parse: channelList, default: NOTIFICATION_CHANNELS },
+    { path: 'notifications.routes.auth_failure', env: 'NOTIFY_ON_AUTH_FAILURE', parse: channelList, default: NOTIFICATION_CHANNELS },
+    { path: 'notifications.routes.init_error', env: 'NOTIFY_ON_INIT_ERROR', parse: channelList, default: NOTIFICATION_CHANNELS },
+    // Wording of notifications: templates in NOTIFY_TEMPLATES_DIR override the built-in ones
+    { path: 'notifications.locale', env: 'NOTIFY_LOCALE', parse: locale, default: NotificationTemplates.DEFAULT_LOCALE },
+    { path: 'notifications.templatesDir', env: 'NOTIFY_TEMPLATES_DIR', parse: string },
+    // The same event for the same session is sent once per window, QR codes included
+    { path: 'notifications.dedupWindowMs', env: 'NOTIFY_DEDUP_WINDOW_MS', parse: integer(0), default: 10 * 60 * 1000 }
+];
+
+function getPath(object, settingPath) {
+    return settingPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setPath(object, settingPath, value) {
+    const keys = settingPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => (target[key] = target[key] || {}), object);
+    parent[last] = value;
+}
+
+// Dotted paths of every leaf in a config file, to catch misspelled settings
+function filePaths(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const settingPath = prefix + key;
+        const isSection = value && typeof value === 'object' && !Array.isArray(value) && !SETTINGS.some(setting => setting.path === settingPath);
+        return isSection ? filePaths(value, `${settingPath}.`) : [settingPath];
+    });
+}
+
+/**
+ * The JSON config file named by CONFIG_FILE, or config.json in the working directory
+ * if there is one. Its keys follow the config object (e.g. { "rateLimit": { "max": 200 } }).
+ * @returns {{ file: string|null, values: Object }}
+ */
+function readConfigFile(env, errors) {
+    const file = env.CONFIG_FILE || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+    if (!file) return { file: null, values: {} };
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(`Cannot read config file ${file}: ${error.message}`);
+        return { file, values: {} };
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        errors.push(`Config file ${file} must hold a JSON object`);
+        return { file, values: {} };
+    }
+
+    for (const settingPath of filePaths(values)) {
+        if (!SETTINGS.some(setting => setting.path === settingPath)) {
+            errors.push(`Unknown setting "${settingPath}" in ${file}`);
+        }
+    }
+    return { file: path.resolve(file), values };
+}
+
+/**
+ * Enabled features from a FEATURES value ("all" or a list of names).
+ * @returns {{ features: Object<string, boolean>, disabled: Array<{ feature: string, reason: string }> }}
+ */
+function resolveFeatures(value, { mongo }) {
+    const requested = !value || String(value).trim() === 'all' ? FEATURES : list(value);
+    const unknown = requested.filter(feature => !FEATURES.includes(feature));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown features in FEATURES: ${unknown.join(', ')}. Available: ${FEATURES.join(', ')}`);
+    }
+
+    const features = {};
+    const disabled = [];
+    for (const feature of FEATURES) {
+        let reason = null;
+        if (!requested.includes(feature)) {
+            reason = 'not listed in FEATURES';
+        } else if (MONGO_FEATURES.includes(feature) && !mongo) {
+            reason = 'needs MONGODB_URI';
+        } else {
+            const missing = (FEATURE_DEPENDENCIES[feature] || []).filter(dependency => !features[dependency]);
+            if (missing.length > 0) reason = `needs ${missing.join(', ')}`;
+        }
+
+        features[feature] = !reason;
+        if (reason) disabled.push({ feature, reason });
+    }
+    return { features, disabled };
+}
+
+// Same rule as EmailChannel in utils/notificationChannels.js
+function emailConfigured({ host, user, password, from, to }) {
+    return !!(to && (host || (user && password)) && (from || user));
+}
+
+// Checks across settings; problems that cannot work or would leave the API open go to errors
+function validate(config, sources, errors, warnings) {
+    if (config.auth.strategy === 'mongo' && !config.mongodbUri) {
+        errors.push('AUTH_STRATEGY=mongo needs MONGODB_URI');
+    }
+
+    if (!config.apiKey) {
+        errors.push('API_KEY is required, it is the admin key for the API');
+    } else if (config.apiKey.length < MIN_SECRET_LENGTH) {
+        errors.push(`API_KEY must be at least ${MIN_SECRET_LENGTH} characters long`);
+    }
+    if (sources['media.urlSecret'] !== 'default' && String(config.media.urlSecret).length < MIN_SECRET_LENGTH) {
+        errors.push(`MEDIA_URL_SECRET must be at least ${MIN_SECRET_LENGTH} characters long`);
+    }
+
+    if (config.corsOrigin === '*') {
+        warnings.push('CORS_ORIGIN is *, any website can call the API from a browser');
+    }
+    if (config.publicUrl && config.publicUrl.startsWith('http://')) {
+        warnings.push('RENDER_EXTERNAL_URL is not https, signed media links will be sent in the clear');
+    }
+    const { email } = config;
+    if ((email.host || email.user || email.password) && !emailConfigured(email)) {
+        warnings.push('Email notifications need NOTIFICATION_EMAIL and SMTP_HOST, or EMAIL_USER and EMAIL_PASSWORD for Gmail, some are missing');
+    }
+    if (email.host && !email.secure && email.port === 465) {
+        warnings.push('SMTP_PORT 465 expects implicit TLS, set SMTP_SECURE=true');
+    }
+    const { templatesDir } = config.notifications;
+    if (templatesDir && !(fs.existsSync(templatesDir) && fs.statSync(templatesDir).isDirectory())) {
+        errors.push(`NOTIFY_TEMPLATES_DIR ${templatesDir} is not a directory`);
+    } else if (config.notifications.locale) {
+        const templates = new NotificationTemplates({ directory: templatesDir, locale: config.notifications.locale });
+        const locales = templates.locales();
+        if (!locales.includes(templates.locale)) {
+            errors.push(`NOTIFY_LOCALE ${templates.locale} has no templates, available: ${locales.join(', ')}`);
+        }
+        // Catches a custom template without its Subject line before an alert needs it
+        for (const event of NotificationTemplates.EVENTS) {
+            try {
+                templates.source(event);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+    }
+    if (config.notifications.http.url && !config.notifications.http.secret) {
+        warnings.push('NOTIFY_HTTP_URL is set without NOTIFY_HTTP_SECRET, its notifications are not signed');
+    }
+}
+
+/**
+ * Server configuration from the config file (see readConfigFile()) and environment
+ * variables (see .env), which take precedence over the file.
+ * AUTH_STRATEGY picks where WhatsApp sessions are stored: "local" (files under
+ * AUTH_DATA_PATH) or "mongo" (RemoteAuth in MongoDB); it defaults to mongo when
+ * MONGODB_URI is set.
+ *
+ * Throws when a setting is invalid or insecure (a missing or short API_KEY); the
+ * error lists every problem in error.errors. The result's diagnostics hold the
+ * config file used, where each setting came from (env, file or default), the
+ * disabled features with their reasons and warnings about risky settings.
+ */
+function loadConfig(env = process.env) {
+    const errors = [];
+    const warnings = [];
+    const { file, values } = readConfigFile(env, errors);
+
+    const config = {};
+    const sources = {};
+    for (const setting of SETTINGS) {
+        // Blank variables (e.g. EMAIL_USER= in .env) count as unset
+        const fromEnv = env[setting.env] !== undefined && (env[setting.env] !== '' || !!setting.blank);
+        const raw = fromEnv ? env[setting.env] : getPath(values, setting.path);
+        sources[setting.path] = fromEnv ? 'env' : raw !== undefined && raw !== null ? 'file' : 'default';
+
+        let value = sources[setting.path] === 'default' ? setting.default : raw;
+        if (value !== undefined) {
+            try {
+                value = setting.parse(Array.isArray(value) ? [...value] : value);
+            } catch (error) {
+                const name = fromEnv ? setting.env : `${setting.path} in ${file}`;
+                errors.push(`${name} ${error.message}`);
+                value = undefined;
+            }
+        }
+        setPath(config, setting.path, value);
+    }
+
+    config.auth.strategy = config.auth.strategy || (config.mongodbUri ? 'mongo' : 'local');
+    config.media.urlSecret = config.media.urlSecret || config.apiKey;
+    config.log.format = config.log.format || (env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+    let resolved = { features: {}, disabled: [] };
+    try {
+        resolved = resolveFeatures(config.features, { mongo: !!config.mongodbUri });
+    } catch (error) {
+        errors.push(error.message);
+    }
+    config.features = resolved.features;
+
+    validate(config, sources, errors, warnings);
+    if (errors.length > 0) {
+        const error = new Error(`Invalid configuration: ${errors.join('; ')}`);
+        error.errors = errors;
+        throw error;
+    }
+
+    // Optional behaviour outside FEATURES that is off for lack of settings
+    const disabled = [...resolved.disabled];
+    if (!emailConfigured(config.email)) {
+        disabled.push({ feature: 'emailNotifications', reason: 'needs NOTIFICATION_EMAIL and SMTP_HOST, or EMAIL_USER and EMAIL_PASSWORD' });
+    }
+    if (!config.notifications.chat.url) {
+        disabled.push({ feature: 'chatNotifications', reason: 'needs NOTIFY_CHAT_WEBHOOK_URL' });
+    }
+    if (!config.notifications.http.url) {
+        disabled.push({ feature: 'httpNotifications', reason: 'needs NOTIFY_HTTP_URL' });
+    }
+    if (!config.notifications.whatsapp.number) {
+        disabled.push({ feature: 'whatsappNotifications', reason: 'needs NOTIFY_WHATSAPP_NUMBER' });
+    }
+    if (!config.publicUrl) {
+        disabled.push({ feature: 'selfPing', reason: 'needs RENDER_EXTERNAL_URL' });
+    }
+    if (!config.webhooks.legacyUrl) {
+        disabled.push({ feature: 'legacyWebhook', reason: 'needs WebhookUrl' });
+    }
+
+    config.diagnostics = { file, sources, disabledFeatures: disabled, warnings };
+    return config;
+}
+
+// Hides the password in a connection string, keeping the host visible
+function redactUri(uri) {
+    return uri.replace(/\/\/([^:/@]+):[^@]*@/, `//$1:${REDACTED}@`);
+}
+
+/**
+ * Copy of a config from loadConfig() that is safe to show: secrets are replaced
+ * with "[redacted]" (the MongoDB URI keeps everything but its password).
+ */
+function redactConfig(config) {
+    const redacted = {};
+    for (const setting of SETTINGS) {
+        let value = getPath(config, setting.path);
+        if (setting.path === 'features') {
+            value = FEATURES.filter(feature => config.features[feature]);
+        } else if (setting.path === 'mongodbUri' && value) {
+            value = redactUri(value);
+        } else if (setting.secret && value) {
+            value = REDACTED;
+        }
+        setPath(redacted, setting.path, value === undefined ? null : value);
+    }
+    return redacted;
+}
+
+module.exports = {
+    FEATURES,
+    MONGO_FEATURES,
+    AUTH_STRATEGIES,
+    NOTIFICATION_CHANNELS,
+    SETTINGS,
+    resolveFeatures,
+    loadConfig,
+    redactConfig
+};
@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV: quoted fields, "" escapes, CRLF or LF line endings
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a UTF-8 BOM left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Rows as objects keyed by the trimmed header row
+function parseCsvObjects(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    return rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])));
+}
+
+// Text cells a spreadsheet would run as a formula (=, +, - or @ first) get a leading '
+function toCsv(rows) {
+    return rows.map(cells => cells.map((cell) => {
+        let value = cell === undefined || cell === null ? '' : cell instanceof Date ? cell.toISOString() : String(cell);
+        if (typeof cell === 'string' && /^[=+\-@\t\r]/.test(value)) {
+            value = `'${value}`;
+        }
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvObjects,
+    toCsv
+};
@@ -0,0 +1,65 @@
+const ackTracker = require('./ackTracker');
+const metrics = require('./metrics');
+const { httpError } = require('./errors');
+
+// 429 error for a send limit; the response sets Retry-After from retryAfterMs
+function sendLimitError(limited) {
+    const seconds = Math.ceil(limited.retryAfterMs / 1000);
+    const error = httpError(429, `Send limit reached (${limited.type}), retry in ${seconds}s`);
+    error.retryAfterMs = limited.retryAfterMs;
+    error.details = { limit: limited.type, retryAfterMs: limited.retryAfterMs };
+    return error;
+}
+
+// Throws a 403 for a recipient on the opt-out list (no list, no check)
+async function assertNotSuppressed(suppressionList, chatId) {
+    if (suppressionList && await suppressionList.isSuppressed(chatId)) {
+        const error = httpError(403, 'Recipient has opted out of messages');
+        error.details = { to: chatId };
+        throw error;
+    }
+}
+
+/**
+ * Returns sendNow(req, chatId, content, options, { bulk }), which sends through the
+ * request's session (req.waSession) right away. Without the queue there is nothing
+ * to defer to, so a message over a send limit is refused with a 429 error.
+ * bulk messages count against the session's bulk budget instead of the API key.
+ *
+ * @param {Object} options
+ * @param {SendLimiter} options.sendLimiter
+ * @param {SuppressionList} [options.suppressionList]
+ * @param {boolean} [options.trackAcks] - record sent messages for /api/acks
+ */
+function createDirectSender({ sendLimiter, suppressionList, trackAcks = false }) {
+    return async function sendNow(req, chatId, content, options = {}, { bulk = false } = {}) {
+        await assertNotSuppressed(suppressionList, chatId);
+
+        const limitKey = bulk
+            ? { sessionId: req.waSession.id, to: chatId, bulk: true }
+            : { apiKeyId: req.apiKey.id, sessionId: req.waSession.id, to: chatId };
+        const limited = sendLimiter.check(limitKey);
+        if (limited.retryAfterMs > 0) {
+            throw sendLimitError(limited);
+        }
+        sendLimiter.record(limitKey);
+
+        const { client } = req.waSession;
+        const sentMessage = await metrics.trackSend(req.waSession.id, async () => {
+            const chat = await client.getChatById(chatId);
+            return chat.sendMessage(content, options);
+        });
+
+        if (trackAcks) {
+            ackTracker.recordSent({ messageId: sentMessage.id._serialized, sessionId: req.waSession.id, to: chatId })
+                .catch(error => req.log.error('Failed to record sent message', { error: error.message }));
+        }
+        return sentMessage;
+    };
+}
+
+module.exports = {
+    sendLimitError,
+    assertNotSuppressed,
+    createDirectSender
+};
@@ -0,0 +1,16 @@
+// Errors carrying the HTTP status a route should answer with (error.status, default 500)
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function badRequest(message) {
+    return httpError(400, message);
+}
+
+module.exports = {
+    httpError,
+    badRequest
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { toChatId } = require('./chatId');
+
+// Events kept for clients resuming with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 200;
+const HEARTBEAT_MS = 25000;
+const TOKEN_TTL_MS = 60000;
+
+function listParam(value) {
+    if (!value) return null;
+    const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return items.length > 0 ? items : null;
+}
+
+// The chat an event belongs to, or null for session-wide events (qr, ready, ...)
+function eventChat(data) {
+    if (!data) return null;
+    if (data.chatId) return data.chatId;
+    if (data.fromMe !== undefined) return data.fromMe ? data.to : data.from;
+    return data.to || data.from || null;
+}
+
+/**
+ * Server-Sent Events stream of client events. Each connection can filter by
+ * ?events=message,qr, ?chats=<number or chat id,...> and ?sessionId=.
+ * Chat filters only apply to events that belong to a chat; session-wide events
+ * still arrive unless excluded through ?events.
+ */
+class EventStream {
+    constructor() {
+        this.clients = new Set();
+        this.buffer = [];
+        this.lastId = 0;
+        this.tokens = new Map();
+    }
+
+    publish(event, sessionId, data) {
+        const entry = {
+            id: ++this.lastId,
+            event,
+            sessionId,
+            chat: eventChat(data),
+            payload: JSON.stringify({ event, sessionId, timestamp: new Date().toISOString(), data })
+        };
+
+        this.buffer.push(entry);
+        if (this.buffer.length > REPLAY_BUFFER_SIZE) this.buffer.shift();
+
+        for (const client of this.clients) {
+            this.send(client, entry);
+        }
+    }
+
+    matches(filters, entry) {
+        if (filters.events && !filters.events.includes(entry.event)) return false;
+        if (filters.sessionId && filters.sessionId !== entry.sessionId) return false;
+        if (filters.chats && entry.chat && !filters.chats.includes(entry.chat)) return false;
+        return true;
+    }
+
+    send(client, entry) {
+        if (this.matches(client.filters, entry)) {
+            client.res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${entry.payload}\n\n`);
+        }
+    }
+
+    /**
+     * One-time token for clients that cannot send headers (the browser EventSource):
+     * GET /api/events?token=... within a minute.
+     */
+    issueToken(apiKey) {
+        const now = Date.now();
+        for (const [token, entry] of this.tokens) {
+            if (entry.expiresAt <= now) this.tokens.delete(token);
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        this.tokens.set(token, { apiKey, expiresAt: now + TOKEN_TTL_MS });
+        return { token, expiresAt: new Date(now + TOKEN_TTL_MS) };
+    }
+
+    // Consume a stream token; returns the API key identity it was issued to, or null
+    redeemToken(token) {
+        const entry = this.tokens.get(token);
+        this.tokens.delete(token);
+        return entry && entry.expiresAt > Date.now() ? entry.apiKey : null;
+    }
+
+    // Express handler for GET /api/events
+    handler() {
+        return (req, res) => {
+            const filters = {
+                events: listParam(req.query.events),
+                chats: listParam(req.query.chats) && listParam(req.query.chats).map(toChatId),
+                sessionId: req.query.sessionId || null
+            };
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                // Stop proxies (nginx, Render) from buffering the stream
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            res.write(`retry: 5000\n: connected, filters ${JSON.stringify(filters)}\n\n`);
+
+            const client = { res, filters };
+
+            // Resume after a reconnect with what was missed, as far as the buffer reaches
+            const lastEventId = parseInt(req.headers['last-event-id']);
+            if (lastEventId) {
+                for (const entry of this.buffer) {
+                    if (entry.id > lastEventId) this.send(client, entry);
+                }
+            }
+
+            this.clients.add(client);
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                this.clients.delete(client);
+            });
+        };
+    }
+}
+
+module.exports = EventStream;
@@ -0,0 +1,353 @@
+const EventEmitter = require('events');
+const { MessageMedia, Location, Poll } = require('whatsapp-web.js');
+
+// whatsapp-web.js message acks
+const ACK = { ERROR: -1, PENDING: 0, SERVER: 1, DEVICE: 2, READ: 3, PLAYED: 4 };
+
+// Ids getChatById accepts, like WhatsApp's own wid check
+const WID_PATTERN = /^[\w.-]+@(c\.us|g\.us|lid|newsletter)$/;
+
+function wid(serialized) {
+    const [user, server] = serialized.split('@');
+    return { user, server, _serialized: serialized };
+}
+
+// Message type and body WhatsApp would give sent content
+function describeContent(content, options) {
+    if (content instanceof MessageMedia) {
+        const [kind] = (content.mimetype || '').split('/');
+        let type = ['image', 'video', 'audio'].includes(kind) ? kind : 'document';
+        if (options.sendMediaAsSticker) type = 'sticker';
+        else if (options.sendMediaAsDocument) type = 'document';
+        else if (type === 'audio' && options.sendAudioAsVoice) type = 'ptt';
+        return { type, body: options.caption || '', media: content };
+    }
+    if (content instanceof Location) {
+        return { type: 'location', body: content.description || '' };
+    }
+    if (content instanceof Poll) {
+        return { type: 'poll_creation', body: content.pollName };
+    }
+    if (typeof content === 'string' && options.parseVCards && content.startsWith('BEGIN:VCARD')) {
+        return { type: 'vcard', body: content };
+    }
+    return { type: 'chat', body: String(content) };
+}
+
+class FakeMessage {
+    constructor(client, { fromMe, chatId, from, to, author, body = '', type = 'chat', media = null, quotedMessageId }) {
+        this.client = client;
+        const serial = `FAKE${++client.messageCount}`;
+        this.id = { fromMe, remote: chatId, id: serial, _serialized: `${fromMe}_${chatId}_${serial}` };
+        this.fromMe = fromMe;
+        this.from = from;
+        this.to = to;
+        this.author = author;
+        this.body = body;
+        this.type = type;
+        this.timestamp = Math.floor(Date.now() / 1000);
+        this.ack = fromMe ? ACK.PENDING : ACK.READ;
+        this.hasMedia = !!media;
+        this.media = media;
+        this.hasQuotedMsg = !!quotedMessageId;
+        this.quotedMessageId = quotedMessageId;
+        this.isForwarded = false;
+        this.deviceType = 'fake';
+    }
+
+    get chatId() {
+        return this.id.remote;
+    }
+
+    reply(content, chatId, options = {}) {
+        return this.client.sendMessage(chatId || this.chatId, content, { ...options, quotedMessageId: this.id._serialized });
+    }
+
+    getChat() {
+        return this.client.getChatById(this.chatId);
+    }
+
+    getContact() {
+        return this.client.getContactById(this.author || this.from);
+    }
+
+    async downloadMedia() {
+        return this.media;
+    }
+}
+
+class FakeChat {
+    constructor(client, id, { name, isGroup = false } = {}) {
+        this.client = client;
+        this.id = wid(id);
+        this.name = name || this.id.user;
+        this.isGroup = isGroup;
+        this.isReadOnly = false;
+        this.unreadCount = 0;
+        this.timestamp = Math.floor(Date.now() / 1000);
+        this.messages = [];
+    }
+
+    sendMessage(content, options) {
+        return this.client.sendMessage(this.id._serialized, content, options);
+    }
+
+    // Newest `limit` messages, oldest first
+    async fetchMessages({ limit = 50 } = {}) {
+        return this.messages.slice(-limit);
+    }
+}
+
+class FakeGroupChat extends FakeChat {
+    constructor(client, id, { name, participants = [], owner }) {
+        super(client, id, { name, isGroup: true });
+        this.owner = owner ? wid(owner) : null;
+        this.description = '';
+        this.createdAt = new Date();
+        this.groupMetadata = { announce: false, restrict: false };
+        this.participants = participants.map(participant => ({
+            id: wid(participant),
+            isAdmin: participant === owner,
+            isSuperAdmin: participant === owner
+        }));
+        this.inviteCode = `FAKEINVITE${client.groupCount}`;
+    }
+
+    async setSubject(subject) { this.name = subject; return true; }
+    async setDescription(description) { this.description = description; return true; }
+    async setMessagesAdminsOnly(adminsOnly) { this.groupMetadata.announce = adminsOnly; return true; }
+    async setInfoAdminsOnly(adminsOnly) { this.groupMetadata.restrict = adminsOnly; return true; }
+
+    async addParticipants(ids) {
+        const results = {};
+        for (const id of ids) {
+            if (!this.participants.some(participant => participant.id._serialized === id)) {
+                this.participants.push({ id: wid(id), isAdmin: false, isSuperAdmin: false });
+            }
+            results[id] = { code: 200, message: 'The participant was added to the group', isInviteV4Sent: false };
+        }
+        return results;
+    }
+
+    async removeParticipants(ids) {
+        this.participants = this.participants.filter(participant => !ids.includes(participant.id._serialized));
+        return { status: 200 };
+    }
+
+    async promoteParticipants(ids) { return this.setAdmins(ids, true); }
+    async demoteParticipants(ids) { return this.setAdmins(ids, false); }
+
+    setAdmins(ids, isAdmin) {
+        for (const participant of this.participants) {
+            if (ids.includes(participant.id._serialized)) participant.isAdmin = isAdmin;
+        }
+        return { status: 200 };
+    }
+
+    async getInviteCode() { return this.inviteCode; }
+    async revokeInvite() { this.inviteCode = `${this.inviteCode}R`; return this.inviteCode; }
+
+    async leave() {
+        this.client.chats.delete(this.id._serialized);
+    }
+}
+
+/**
+ * In-process stand-in for the whatsapp-web.js Client: no browser, no phone.
+ * It emits client events on demand (emitQr, emitReady, receiveMessage, emitAck,
+ * disconnect, ...) and records every message sent through it in `sent`.
+ * Selected with WHATSAPP_CLIENT=fake, for tests and local development.
+ */
+class FakeClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.authStrategy = options.authStrategy;
+        this.info = null;
+        this.state = null;
+        this.initialized = false;
+        this.destroyed = false;
+        this.loggedOut = false;
+        this.sent = [];
+        this.chats = new Map();
+        this.messageCount = 0;
+        this.groupCount = 0;
+        this.sendFailures = [];
+    }
+
+    // --- whatsapp-web.js Client interface -----------------------------------
+
+    async initialize() {
+        this.initialized = true;
+        this.destroyed = false;
+    }
+
+    async destroy() {
+        this.destroyed = true;
+        this.state = null;
+    }
+
+    async logout() {
+        this.loggedOut = true;
+        await this.destroy();
+    }
+
+    async getState() {
+        return this.state;
+    }
+
+    async getChats() {
+        return Array.from(this.chats.values());
+    }
+
+    async getChatById(chatId) {
+        if (!WID_PATTERN.test(chatId)) {
+            throw new Error(`wid error: invalid wid ${chatId}`);
+        }
+        if (!this.chats.has(chatId)) {
+            if (chatId.endsWith('@g.us')) {
+                throw new Error(`Chat not found: ${chatId}`);
+            }
+            this.chats.set(chatId, new FakeChat(this, chatId));
+        }
+        return this.chats.get(chatId);
+    }
+
+    async getContactById(contactId) {
+        const id = wid(contactId);
+        return {
+            id,
+            number: id.user,
+            name: undefined,
+            pushname: `Contact ${id.user}`,
+            isMyContact: false,
+            isBusiness: false,
+            isGroup: id.server === 'g.us',
+            getProfilePicUrl: async () => undefined,
+            getChat: () => this.getChatById(contactId)
+        };
+    }
+
+    async sendMessage(chatId, content, options = {}) {
+        if (this.state !== 'CONNECTED') {
+            throw new Error('Session closed: the client is not connected');
+        }
+        if (this.sendFailures.length > 0) {
+            throw this.sendFailures.shift();
+        }
+
+        const chat = await this.getChatById(chatId);
+        const { type, body, media } = describeContent(content, options);
+        const message = new FakeMessage(this, {
+            fromMe: true,
+            chatId,
+            from: this.info.wid._serialized,
+            to: chatId,
+            body,
+            type,
+            media,
+            quotedMessageId: options.quotedMessageId
+        });
+
+        chat.messages.push(message);
+        this.sent.push({ to: chatId, content, options, message });
+        this.emit('message_create', message);
+        return message;
+    }
+
+    async createGroup(title, participants) {
+        const id = `1203630000000${++this.groupCount}@g.us`;
+        const group = new FakeGroupChat(this, id, {
+            name: title,
+            participants: [this.info.wid._serialized, ...participants],
+            owner: this.info.wid._serialized
+        });
+        this.chats.set(id, group);
+
+        return {
+            title,
+            gid: wid(id),
+            participants: Object.fromEntries(participants.map(participant => [
+                participant,
+                { statusCode: 200, message: 'The participant was added to the group', isGroupCreator: false, isInviteV4Sent: false }
+            ]))
+        };
+    }
+
+    async acceptInvite(inviteCode) {
+        const id = `1203630000000${++this.groupCount}@g.us`;
+        this.chats.set(id, new FakeGroupChat(this, id, { name: `Group ${inviteCode}`, participants: [this.info.wid._serialized] }));
+        return id;
+    }
+
+    // --- Test controls --------------------------------------------------------
+
+    emitQr(qr = `fake-qr-${Date.now()}`) {
+        this.emit('qr', qr);
+        return qr;
+    }
+
+    emitAuthenticated() {
+        this.emit('authenticated', {});
+    }
+
+    emitAuthFailure(message = 'Fake authentication failure') {
+        this.state = null;
+        this.emit('auth_failure', message);
+    }
+
+    // Link the client as `number` and emit ready
+    emitReady(number = '15550000000') {
+        this.state = 'CONNECTED';
+        this.info = { wid: wid(`${number}@c.us`), pushname: 'Fake WhatsApp', platform: 'fake' };
+        this.emit('ready');
+    }
+
+    disconnect(reason = 'NAVIGATION') {
+        this.state = null;
+        this.emit('disconnected', reason);
+    }
+
+    // Deliver an incoming message: { from, body, type, author, media, chatId }
+    async receiveMessage({ from, body = '', type = 'chat', author, media = null, chatId = from }) {
+        const chat = await this.getChatById(chatId);
+        const message = new FakeMessage(this, {
+            fromMe: false,
+            chatId,
+            from: chatId,
+            to: this.info ? this.info.wid._serialized : undefined,
+            author,
+            body,
+            type: media && type === 'chat' ? 'image' : type,
+            media
+        });
+
+        chat.messages.push(message);
+        chat.unreadCount += 1;
+        this.emit('message', message);
+        this.emit('message_create', message);
+        return message;
+    }
+
+    // Move a sent message to a new ack state (a message or its serialized id)
+    emitAck(messageOrId, ack = ACK.DEVICE) {
+        const id = typeof messageOrId === 'string' ? messageOrId : messageOrId.id._serialized;
+        const record = this.sent.find(item => item.message.id._serialized === id);
+        if (!record) {
+            throw new Error(`No sent message with id ${id}`);
+        }
+
+        record.message.ack = ack;
+        this.emit('message_ack', record.message, ack);
+        return record.message;
+    }
+
+    // Make the next send fail with this error (e.g. new Error('invalid wid'))
+    failNextSend(error = new Error('Fake send failure')) {
+        this.sendFailures.push(error);
+    }
+}
+
+FakeClient.ACK = ACK;
+
+module.exports = FakeClient;
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const morgan = require('morgan');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const FORMATS = ['json', 'pretty'];
+const REDACTIONS = ['phones', 'bodies'];
+
+// Fields holding message text, replaced by their length when bodies are redacted
+const BODY_FIELDS = new Set(['body', 'message', 'caption', 'text']);
+
+// Phone numbers and the digits of chat ids (15551234567@c.us); the last 4 digits stay visible
+const PHONE_PATTERN = /\+?\b\d{7,15}\b/g;
+
+// Incoming X-Request-Id values are reused when they look harmless
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+function maskPhones(value) {
+    return value.replace(PHONE_PATTERN, number => `***${number.slice(-4)}`);
+}
+
+/**
+ * Leveled logger writing one JSON object per line (or a readable line with
+ * format "pretty"). child() adds fixed fields such as sessionId or reqId to
+ * every record. Phone numbers and message bodies are redacted as configured.
+ * Children share their parent's settings, so configure() applies to them too.
+ */
+class Logger {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.level] - debug, info, warn, error or silent
+     * @param {string} [options.format] - json or pretty
+     * @param {string[]} [options.redact] - any of phones, bodies
+     * @param {Object} [options.bindings] - fields added to every record
+     */
+    constructor({ level = 'info', format = 'json', redact = REDACTIONS, bindings = {} } = {}) {
+        this.settings = {};
+        this.bindings = bindings;
+        this.configure({ level, format, redact });
+    }
+
+    /**
+     * Change the level, format or redactions of this logger and its children,
+     * e.g. with the log section of loadConfig()'s result.
+     * @param {Object} options - level, format and redact as for the constructor
+     */
+    configure({ level = this.level, format = this.format, redact = this.redact } = {}) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Invalid log level "${level}", expected ${Object.keys(LEVELS).join(', ')}`);
+        }
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Invalid log format "${format}", expected ${FORMATS.join(' or ')}`);
+        }
+        const unknown = redact.filter(item => !REDACTIONS.includes(item));
+        if (unknown.length > 0) {
+            throw new Error(`Invalid log redaction "${unknown.join(', ')}", expected ${REDACTIONS.join(', ')}`);
+        }
+        Object.assign(this.settings, { level, format, redact });
+    }
+
+    get level() { return this.settings.level; }
+    get format() { return this.settings.format; }
+    get redact() { return this.settings.redact; }
+
+    child(bindings) {
+        const child = new Logger({ ...this.settings, bindings: { ...this.bindings, ...bindings } });
+        child.settings = this.settings;
+        return child;
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            ...this.bindings,
+            msg: this.clean(msg),
+            ...this.clean(fields)
+        };
+        const line = this.format === 'json' ? JSON.stringify(record) : this.prettyLine(record);
+        (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    }
+
+    // Copy of a value with errors made serializable and phones/bodies redacted
+    clean(value, key, depth = 0) {
+        if (value instanceof Error) {
+            // An error's message is not a message body
+            return { message: this.clean(value.message), stack: this.clean(value.stack) };
+        }
+        if (typeof value === 'string') {
+            if (this.redact.includes('bodies') && BODY_FIELDS.has(key)) {
+                return `[redacted ${value.length} chars]`;
+            }
+            return this.redact.includes('phones') ? maskPhones(value) : value;
+        }
+        if (value === null || typeof value !== 'object' || value instanceof Date) {
+            return value;
+        }
+        if (depth >= 5) {
+            return '[object]';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.clean(item, key, depth + 1));
+        }
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, item]) => item !== undefined)
+            .map(([name, item]) => [name, this.clean(item, name, depth + 1)]));
+    }
+
+    prettyLine({ time, level, msg, ...fields }) {
+        const { sessionId, reqId, ...rest } = fields;
+        const context = [sessionId, reqId].filter(Boolean).map(item => `[${item}]`).join(' ');
+        const details = Object.entries(rest)
+            .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+            .join(' ');
+        return [time, level.toUpperCase().padEnd(5), context, msg, details].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Express middleware giving each request an id (X-Request-Id, echoed back)
+     * and req.log, a child logger that tags everything it logs with that id.
+     */
+    requestContext() {
+        return (req, res, next) => {
+            const incoming = req.headers['x-request-id'];
+            req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomBytes(8).toString('hex');
+            req.log = this.child({ reqId: req.id });
+            res.set('X-Request-Id', req.id);
+            next();
+        };
+    }
+
+    // Morgan access log written through req.log, so it carries the request id
+    accessLog() {
+        return morgan((tokens, req, res) => {
+            const status = res.statusCode;
+            (req.log || this)[status >= 500 ? 'error' : 'info']('HTTP request', {
+                method: req.method,
+                url: tokens.url(req, res),
+                status,
+                durationMs: Number(tokens['response-time'](req, res)) || undefined,
+                contentLength: Number(tokens.res(req, res, 'content-length')) || undefined,
+                remoteAddr: tokens['remote-addr'](req, res),
+                userAgent: tokens['user-agent'](req, res)
+            });
+            // Nothing left for morgan itself to write
+            return null;
+        });
+    }
+}
+
+// Shared root logger; server.js configures it with the log settings of loadConfig()
+const logger = new Logger({ format: process.env.NODE_ENV === 'production' ? 'json' : 'pretty' });
+
+Logger.LEVELS = Object.keys(LEVELS);
+Logger.FORMATS = FORMATS;
+Logger.REDACTIONS = REDACTIONS;
+logger.Logger = Logger;
+
+module.exports = logger;
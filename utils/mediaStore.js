@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+// Incoming media kept in MongoDB GridFS, keyed by WhatsApp message id
+class MediaStore {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxBytes] - larger attachments are not stored
+     * @param {string[]} [options.allowedTypes] - mime types to store, "image/*" style wildcards allowed; empty = all
+     * @param {string} options.urlSecret - key used to sign media URLs
+     * @param {number} [options.urlTtlSeconds] - lifetime of a signed media URL
+     * @param {string} options.baseUrl - public base URL of this server
+     */
+    constructor({ maxBytes = 16 * 1024 * 1024, allowedTypes = [], urlSecret, urlTtlSeconds = 3600, baseUrl }) {
+        this.maxBytes = maxBytes;
+        this.allowedTypes = allowedTypes;
+        this.urlSecret = urlSecret;
+        this.urlTtlSeconds = urlTtlSeconds;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.bucket = null;
+    }
+
+    // The bucket needs an open connection, so create it on first use
+    getBucket() {
+        if (!this.bucket) {
+            this.bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'media' });
+        }
+        return this.bucket;
+    }
+
+    isAllowedType(mimetype) {
+        if (this.allowedTypes.length === 0) return true;
+
+        const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+        return this.allowedTypes.some(allowed => allowed === type
+            || (allowed.endsWith('/*') && type.startsWith(allowed.slice(0, -1))));
+    }
+
+    async findFile(messageId) {
+        const files = await this.getBucket().find({ 'metadata.messageId': messageId }).limit(1).toArray();
+        return files[0] || null;
+    }
+
+    /**
+     * Download a message's media and store it.
+     * @returns {Promise<Object>} media info for webhook payloads; { stored: false, reason } when skipped
+     */
+    async saveFromMessage(sessionId, message) {
+        const messageId = message.id._serialized;
+
+        try {
+            const existing = await this.findFile(messageId);
+            if (existing) {
+                return this.describe(existing);
+            }
+
+            // Skip before downloading when WhatsApp already tells us the size or type
+            const knownSize = message._data && message._data.size;
+            const knownType = message._data && message._data.mimetype;
+            if (knownSize && knownSize > this.maxBytes) {
+                return { stored: false, reason: `File too large (${knownSize} bytes, limit ${this.maxBytes})` };
+            }
+            if (knownType && !this.isAllowedType(knownType)) {
+                return { stored: false, mimetype: knownType, reason: 'Media type not allowed' };
+            }
+
+            const media = await message.downloadMedia();
+            if (!media) {
+                return { stored: false, reason: 'Media could not be downloaded' };
+            }
+
+            const data = Buffer.from(media.data, 'base64');
+            if (data.length > this.maxBytes) {
+                return { stored: false, reason: `File too large (${data.length} bytes, limit ${this.maxBytes})` };
+            }
+            if (!this.isAllowedType(media.mimetype)) {
+                return { stored: false, mimetype: media.mimetype, reason: 'Media type not allowed' };
+            }
+
+            const upload = this.getBucket().openUploadStream(media.filename || messageId, {
+                metadata: {
+                    messageId,
+                    sessionId,
+                    from: message.from,
+                    mimetype: media.mimetype,
+                    filename: media.filename || null
+                }
+            });
+            await new Promise((resolve, reject) => {
+                upload.once('finish', resolve);
+                upload.once('error', reject);
+                upload.end(data);
+            });
+
+            return this.describe(await this.findFile(messageId));
+        } catch (error) {
+            logger.error('Failed to store media', { sessionId, messageId, error: error.message });
+            return { stored: false, reason: error.message };
+        }
+    }
+
+    describe(file) {
+        const { url, expiresAt } = this.signedUrl(file.metadata.messageId);
+        return {
+            stored: true,
+            mimetype: file.metadata.mimetype,
+            filename: file.metadata.filename,
+            size: file.length,
+            url,
+            expiresAt
+        };
+    }
+
+    signature(messageId, expires) {
+        return crypto.createHmac('sha256', this.urlSecret).update(`${messageId}.${expires}`).digest('hex');
+    }
+
+    signedUrl(messageId) {
+        const expires = Math.floor(Date.now() / 1000) + this.urlTtlSeconds;
+        const query = `expires=${expires}&signature=${this.signature(messageId, expires)}`;
+        return {
+            url: `${this.baseUrl}/api/media/${encodeURIComponent(messageId)}?${query}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    verifySignature(messageId, expires, signature) {
+        if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+
+        const expected = Buffer.from(this.signature(messageId, expires));
+        const given = Buffer.from(String(signature));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+
+    openDownloadStream(file) {
+        return this.getBucket().openDownloadStream(file._id);
+    }
+}
+
+module.exports = MediaStore;
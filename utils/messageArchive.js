@@ -0,0 +1,83 @@
+const ArchivedMessage = require('../models/ArchivedMessage');
+const { toChatId } = require('./chatId');
+const { badRequest } = require('./errors');
+
+// Store a message (incoming or outgoing); seeing it twice is harmless
+async function archiveMessage(sessionId, message) {
+    await ArchivedMessage.updateOne(
+        { messageId: message.id._serialized },
+        {
+            $set: {
+                sessionId,
+                chatId: message.fromMe ? message.to : message.from,
+                from: message.from,
+                to: message.to,
+                author: message.author,
+                fromMe: message.fromMe,
+                body: message.body,
+                type: message.type,
+                hasMedia: message.hasMedia || false,
+                timestamp: new Date(message.timestamp * 1000)
+            }
+        },
+        { upsert: true }
+    );
+}
+
+// Accepts ISO dates or unix timestamps (seconds)
+function parseDate(value, name) {
+    const date = /^\d+$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw badRequest(`${name} must be an ISO date or a unix timestamp`);
+    }
+    return date;
+}
+
+/**
+ * Search the archive, newest first.
+ * @param {Object} query - q (full text), sessionId, chatId, type, fromMe, since, until, page, limit
+ */
+async function searchArchive({ q, sessionId, chatId, type, fromMe, since, until, page, limit }) {
+    // ?sessionId[$ne]=x arrives as an object and would become a query operator
+    for (const [name, value] of Object.entries({ q, sessionId, chatId, type, since, until })) {
+        if (value !== undefined && typeof value !== 'string') {
+            throw badRequest(`${name} must be a single value`);
+        }
+    }
+
+    const filter = {};
+    if (q) filter.$text = { $search: q };
+    if (sessionId) filter.sessionId = sessionId;
+    if (chatId) filter.chatId = toChatId(chatId);
+    if (type) filter.type = type;
+    if (fromMe !== undefined) filter.fromMe = fromMe === 'true' || fromMe === true;
+    if (since || until) {
+        filter.timestamp = {};
+        if (since) filter.timestamp.$gte = parseDate(since, 'since');
+        if (until) filter.timestamp.$lte = parseDate(until, 'until');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [messages, total] = await Promise.all([
+        ArchivedMessage.find(filter)
+            .sort({ timestamp: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize),
+        ArchivedMessage.countDocuments(filter)
+    ]);
+
+    return {
+        messages: messages.map(message => message.toPublic()),
+        page: pageNumber,
+        limit: pageSize,
+        total: total,
+        totalPages: Math.ceil(total / pageSize)
+    };
+}
+
+module.exports = {
+    archiveMessage,
+    searchArchive
+};
@@ -0,0 +1,218 @@
+const EventEmitter = require('events');
+const MessageJob = require('../models/MessageJob');
+const logger = require('./logger');
+const { trackSend } = require('./metrics');
+
+// Bulk sends and campaigns draw on the separate bulk send budget
+function sendLimitKey(job) {
+    return { sessionId: job.sessionId, to: job.to, bulk: !!(job.batchId || job.campaignId) };
+}
+
+// Errors that will not go away by retrying
+const PERMANENT_ERROR_PATTERN = /invalid wid|wid error|not a whatsapp user|no lid for user|opted out/i;
+
+// Emits 'sent' (job) and 'failed' (job) once a job reaches a final state
+class MessageQueue extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {SessionManager} options.sessionManager
+     * @param {SuppressionList} [options.suppressionList] - recipients on it are never sent to
+     * @param {SendLimiter} [options.sendLimiter] - jobs over a session, recipient or bulk limit wait for a free slot
+     * @param {number} [options.pollIntervalMs] - how often due jobs are picked up
+     * @param {number} [options.maxAttempts] - attempts before a job is marked failed
+     * @param {number} [options.retryBaseMs] - first retry delay, doubled on every attempt
+     */
+    constructor({ sessionManager, suppressionList, sendLimiter, pollIntervalMs = 5000, maxAttempts = 5, retryBaseMs = 10000 }) {
+        super();
+        this.sessionManager = sessionManager;
+        this.suppressionList = suppressionList;
+        this.sendLimiter = sendLimiter;
+        this.pollIntervalMs = pollIntervalMs;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseMs = retryBaseMs;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    // requestId ties the job's send log lines to the API request that queued it
+    async enqueue({ sessionId, to, message, options = {}, batchId, scheduleId, campaignId, requestId, delay = 0 }) {
+        return MessageJob.create({
+            sessionId,
+            to,
+            message,
+            options,
+            batchId,
+            scheduleId,
+            campaignId,
+            requestId,
+            maxAttempts: this.maxAttempts,
+            nextAttemptAt: new Date(Date.now() + delay)
+        });
+    }
+
+    async start() {
+        // Jobs left in "sending" by a crash or restart go back to the queue
+        await MessageJob.updateMany({ status: 'sending' }, { $set: { status: 'queued' } });
+
+        this.timer = setInterval(() => this.process(), this.pollIntervalMs);
+        this.process();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Jobs waiting to be sent: [{ sessionId, status, count }] for queued and sending
+    async depth() {
+        if (MessageJob.db.readyState !== 1) return [];
+
+        const groups = await MessageJob.aggregate([
+            { $match: { status: { $in: ['queued', 'sending'] } } },
+            { $group: { _id: { sessionId: '$sessionId', status: '$status' }, count: { $sum: 1 } } }
+        ]);
+        return groups.map(group => ({ ...group._id, count: group.count }));
+    }
+
+    // Send everything due for one session, e.g. as soon as it becomes ready
+    flush(sessionId) {
+        return this.process([sessionId]);
+    }
+
+    // Sends due jobs, one at a time, for sessions that are currently ready
+    async process(sessionIds) {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            const readySessions = this.sessionManager.list()
+                .filter(session => session.isReady && (!sessionIds || sessionIds.includes(session.id)))
+                .map(session => session.id);
+
+            while (readySessions.length > 0) {
+                // Sessions at their send limit sit this round out
+                const sendableSessions = this.sendLimiter
+                    ? readySessions.filter(sessionId => this.sendLimiter.retryAfter({ sessionId }) === 0)
+                    : readySessions;
+                if (sendableSessions.length === 0) break;
+
+                const job = await MessageJob.findOneAndUpdate(
+                    { status: 'queued', sessionId: { $in: sendableSessions }, nextAttemptAt: { $lte: new Date() } },
+                    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+                    { sort: { nextAttemptAt: 1, createdAt: 1 }, new: true }
+                );
+                if (!job) break;
+
+                await this.send(job);
+
+                // Stop picking jobs for a session that dropped out while sending
+                const session = this.sessionManager.get(job.sessionId);
+                if (!session || !session.isReady) {
+                    readySessions.splice(readySessions.indexOf(job.sessionId), 1);
+                }
+            }
+        } catch (error) {
+            logger.error('Message queue processing failed', { error: error.message });
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Hold a job back until its send limits allow it, without using up an attempt; true if deferred
+    async deferIfLimited(job) {
+        if (!this.sendLimiter) return false;
+
+        const { retryAfterMs, type } = this.sendLimiter.check(sendLimitKey(job));
+        if (retryAfterMs === 0) return false;
+
+        const nextAttemptAt = new Date(Date.now() + retryAfterMs);
+        job.status = 'queued';
+        job.attempts -= 1;
+        job.nextAttemptAt = nextAttemptAt;
+        await job.save();
+
+        // Every other bulk job of the session would hit the same limit
+        if (type === 'bulk') {
+            await MessageJob.updateMany(
+                {
+                    sessionId: job.sessionId,
+                    status: 'queued',
+                    nextAttemptAt: { $lt: nextAttemptAt },
+                    $or: [{ batchId: { $exists: true } }, { campaignId: { $exists: true } }]
+                },
+                { $set: { nextAttemptAt } }
+            );
+        }
+
+        this.jobLog(job).info('Message held back by send limit', { limit: type, retryAfterMs, to: job.to });
+        return true;
+    }
+
+    // Child of the session's logger tagged with the job and the request that queued it
+    jobLog(job) {
+        const session = this.sessionManager.get(job.sessionId);
+        const parent = session ? session.log : logger.child({ sessionId: job.sessionId });
+        return parent.child({ jobId: job._id.toString(), reqId: job.requestId });
+    }
+
+    async send(job) {
+        if (await this.deferIfLimited(job)) return;
+
+        const session = this.sessionManager.get(job.sessionId);
+
+        try {
+            if (!session || !session.isReady) {
+                throw new Error('WhatsApp client is not ready');
+            }
+            // Checked at send time too, so an opt-out also stops messages queued before it
+            if (this.suppressionList && await this.suppressionList.isSuppressed(job.to)) {
+                throw new Error('Recipient has opted out');
+            }
+
+            if (this.sendLimiter) {
+                this.sendLimiter.record(sendLimitKey(job));
+            }
+
+            const sentMessage = await trackSend(job.sessionId, async () => {
+                const chat = await session.client.getChatById(job.to);
+                return chat.sendMessage(job.message, job.options || {});
+            });
+
+            job.status = 'sent';
+            job.messageId = sentMessage.id._serialized;
+            job.sentAt = new Date();
+            job.lastError = undefined;
+            this.jobLog(job).info('Queued message sent', { to: job.to, messageId: job.messageId });
+
+        } catch (error) {
+            job.lastError = error.message;
+
+            if (!session) {
+                job.status = 'failed';
+            } else if (!session.isReady) {
+                // Not the message's fault - hold it without using up an attempt
+                job.status = 'queued';
+                job.attempts -= 1;
+            } else if (PERMANENT_ERROR_PATTERN.test(error.message) || job.attempts >= job.maxAttempts) {
+                job.status = 'failed';
+            } else {
+                job.status = 'queued';
+                job.nextAttemptAt = new Date(Date.now() + this.retryBaseMs * Math.pow(2, job.attempts - 1));
+            }
+
+            this.jobLog(job)[job.status === 'failed' ? 'error' : 'warn'](job.status === 'failed' ? 'Queued message failed' : 'Queued message will be retried', {
+                to: job.to,
+                attempts: job.attempts,
+                error: error.message
+            });
+        }
+
+        await job.save();
+
+        if (job.status === 'sent' || job.status === 'failed') {
+            this.emit(job.status, job);
+        }
+    }
+}
+
+module.exports = MessageQueue;
@@ -0,0 +1,184 @@
+const client = require('prom-client');
+
+// Prometheus metrics served at GET /metrics. Counters are updated where things happen;
+// gauges are read from the session manager and the queue when scraped.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const messagesSent = new client.Counter({
+    name: 'whatsapp_messages_sent_total',
+    help: 'Messages sent by the linked account, by WhatsApp message type',
+    labelNames: ['session', 'type'],
+    registers: [register]
+});
+
+const messagesReceived = new client.Counter({
+    name: 'whatsapp_messages_received_total',
+    help: 'Messages received, by WhatsApp message type',
+    labelNames: ['session', 'type'],
+    registers: [register]
+});
+
+const sendFailures = new client.Counter({
+    name: 'whatsapp_send_failures_total',
+    help: 'Failed send attempts, by error reason',
+    labelNames: ['session', 'reason'],
+    registers: [register]
+});
+
+const sendDuration = new client.Histogram({
+    name: 'whatsapp_send_duration_seconds',
+    help: 'Time taken by WhatsApp to accept a message',
+    labelNames: ['session', 'result'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register]
+});
+
+const webhookDeliveries = new client.Counter({
+    name: 'whatsapp_webhook_deliveries_total',
+    help: 'Webhook delivery attempts, by result (succeeded, retrying, failed)',
+    labelNames: ['event', 'result'],
+    registers: [register]
+});
+
+const webhookDuration = new client.Histogram({
+    name: 'whatsapp_webhook_delivery_duration_seconds',
+    help: 'Duration of webhook delivery attempts',
+    labelNames: ['event'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+const reconnectAttempts = new client.Counter({
+    name: 'whatsapp_reconnect_attempts_total',
+    help: 'Automatic client restarts, by what triggered them',
+    labelNames: ['session', 'trigger'],
+    registers: [register]
+});
+
+const qrGenerated = new client.Counter({
+    name: 'whatsapp_qr_generated_total',
+    help: 'QR codes generated while waiting for a phone to link',
+    labelNames: ['session'],
+    registers: [register]
+});
+
+// Set by watchSessions() and watchQueue()
+let sessionManager = null;
+let messageQueue = null;
+const lastReadyAt = new Map();
+
+new client.Gauge({
+    name: 'whatsapp_session_ready',
+    help: '1 while the session is connected and ready',
+    labelNames: ['session'],
+    registers: [register],
+    collect() {
+        this.reset();
+        for (const session of sessionManager ? sessionManager.list() : []) {
+            this.set({ session: session.id }, session.isReady ? 1 : 0);
+        }
+    }
+});
+
+new client.Gauge({
+    name: 'whatsapp_seconds_since_last_ready',
+    help: 'Seconds since the session last became ready (absent if it never did since startup)',
+    labelNames: ['session'],
+    registers: [register],
+    collect() {
+        this.reset();
+        for (const session of sessionManager ? sessionManager.list() : []) {
+            if (lastReadyAt.has(session.id)) {
+                this.set({ session: session.id }, (Date.now() - lastReadyAt.get(session.id)) / 1000);
+            }
+        }
+    }
+});
+
+new client.Gauge({
+    name: 'whatsapp_queue_depth',
+    help: 'Messages waiting in the send queue, by status (queued, sending)',
+    labelNames: ['session', 'status'],
+    registers: [register],
+    async collect() {
+        this.reset();
+        if (!messageQueue) return;
+        for (const { sessionId, status, count } of await messageQueue.depth()) {
+            this.set({ session: sessionId, status }, count);
+        }
+    }
+});
+
+// Send errors grouped into a few reasons, so the label stays low-cardinality
+const FAILURE_REASONS = [
+    ['not_ready', /not ready|session closed|target closed/i],
+    ['opted_out', /opted out/i],
+    ['invalid_recipient', /invalid wid|wid error|not a whatsapp user|no lid for user/i],
+    ['timeout', /timed? ?out/i],
+    ['media', /media|file|mimetype/i]
+];
+
+function failureReason(error) {
+    const message = (error && error.message) || String(error);
+    const match = FAILURE_REASONS.find(([, pattern]) => pattern.test(message));
+    return match ? match[0] : 'other';
+}
+
+/**
+ * Times a send to WhatsApp and counts it as a failure if it throws.
+ * Resolves or rejects like send() itself.
+ */
+async function trackSend(sessionId, send) {
+    const end = sendDuration.startTimer({ session: sessionId });
+    try {
+        const result = await send();
+        end({ result: 'success' });
+        return result;
+    } catch (error) {
+        end({ result: 'failure' });
+        sendFailures.inc({ session: sessionId, reason: failureReason(error) });
+        throw error;
+    }
+}
+
+// Count client events of every session and report session state when scraped
+function watchSessions(manager) {
+    sessionManager = manager;
+
+    manager.on('qr', session => qrGenerated.inc({ session: session.id }));
+    manager.on('ready', session => lastReadyAt.set(session.id, Date.now()));
+    manager.on('message', (session, message) => {
+        messagesReceived.inc({ session: session.id, type: message.type || 'unknown' });
+    });
+    manager.on('message_create', (session, message) => {
+        if (message.fromMe) messagesSent.inc({ session: session.id, type: message.type || 'unknown' });
+    });
+}
+
+// Report the queue's depth when scraped
+function watchQueue(queue) {
+    messageQueue = queue;
+}
+
+// Express handler for GET /metrics
+async function handler(req, res) {
+    try {
+        res.set('Content-Type', register.contentType);
+        res.end(await register.metrics());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+module.exports = {
+    register,
+    webhookDeliveries,
+    webhookDuration,
+    reconnectAttempts,
+    failureReason,
+    trackSend,
+    watchSessions,
+    watchQueue,
+    handler
+};
@@ -0,0 +1,180 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { MessageMedia } = require('whatsapp-web.js');
+const { toChatId } = require('./chatId');
+const WebhookDispatcher = require('./webhookDispatcher');
+
+// Where notifications can go; a Notifier routes each event to some of them.
+// Every channel has a name, configured (and reason, why not), send(notification)
+// and optionally verify(). A notification is built by Notifier.build(): subject,
+// text and html come from the event's template, qrImage is the QR code as a PNG
+// data URL.
+
+/**
+ * Email through any SMTP server (host, port, secure) with certificate checks left on.
+ * Without a host, user and password are taken as a Gmail account, as before.
+ */
+class EmailChannel {
+    /**
+     * @param {Object} options
+     * @param {string} [options.host] - SMTP server; Gmail when unset
+     * @param {number} [options.port] - 465 for implicit TLS, 587 or 25 for STARTTLS
+     * @param {boolean} [options.secure] - implicit TLS; otherwise STARTTLS is required
+     * @param {string} [options.user] - SMTP login (optional for a host)
+     * @param {string} [options.password]
+     * @param {string} [options.from] - sender address, the user by default
+     * @param {string} [options.to] - where alerts go
+     */
+    constructor({ host, port = 587, secure = false, user, password, from, to } = {}) {
+        this.name = 'email';
+        this.from = from || user;
+        this.to = to;
+
+        const auth = user && password ? { user, pass: password } : undefined;
+        this.transporter = host
+            ? nodemailer.createTransport({ host, port, secure, requireTLS: !secure, auth })
+            : nodemailer.createTransport({ service: 'gmail', auth });
+
+        if (!to) {
+            this.reason = 'needs NOTIFICATION_EMAIL';
+        } else if (!host && !auth) {
+            this.reason = 'needs SMTP_HOST, or EMAIL_USER and EMAIL_PASSWORD for Gmail';
+        } else if (!this.from) {
+            this.reason = 'needs EMAIL_FROM';
+        }
+        this.configured = !this.reason;
+    }
+
+    verify() {
+        return this.transporter.verify();
+    }
+
+    async send(notification) {
+        const mail = {
+            from: this.from,
+            to: this.to,
+            subject: notification.subject,
+            text: notification.text
+        };
+        if (notification.html) {
+            mail.html = notification.html;
+        }
+        if (notification.qrImage) {
+            mail.attachments = [{
+                filename: 'whatsapp-qr.png',
+                content: notification.qrImage.split('base64,')[1],
+                encoding: 'base64',
+                cid: 'qrcode'
+            }];
+        }
+
+        await this.transporter.sendMail(mail);
+    }
+}
+
+/**
+ * Slack or Microsoft Teams incoming webhook; both take { text }. QR codes are never
+ * posted here, they would let anyone in the channel link their phone.
+ */
+class ChatWebhookChannel {
+    /**
+     * @param {Object} options
+     * @param {string} [options.url] - the incoming webhook URL
+     * @param {number} [options.timeoutMs]
+     */
+    constructor({ url, timeoutMs = 10000 } = {}) {
+        this.name = 'chat';
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+        this.reason = url ? undefined : 'needs NOTIFY_CHAT_WEBHOOK_URL';
+        this.configured = !this.reason;
+    }
+
+    async send(notification) {
+        await axios.post(this.url, { text: `${notification.subject}\n${notification.text}` }, { timeout: this.timeoutMs });
+    }
+}
+
+/**
+ * POSTs the notification as JSON (QR code included) to a URL of your own. With a
+ * secret the body is signed like webhook deliveries, in X-Notification-Signature.
+ */
+class HttpCallbackChannel {
+    /**
+     * @param {Object} options
+     * @param {string} [options.url]
+     * @param {string} [options.secret] - HMAC-SHA256 key for the signature
+     * @param {number} [options.timeoutMs]
+     */
+    constructor({ url, secret, timeoutMs = 10000 } = {}) {
+        this.name = 'http';
+        this.url = url;
+        this.secret = secret;
+        this.timeoutMs = timeoutMs;
+        this.reason = url ? undefined : 'needs NOTIFY_HTTP_URL';
+        this.configured = !this.reason;
+    }
+
+    async send(notification) {
+        // The QR code is in qr; the HTML and image would only bloat the payload
+        const { html, qrImage, ...payload } = notification;
+        const body = JSON.stringify(payload);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.secret) {
+            headers['X-Notification-Signature'] = WebhookDispatcher.sign(this.secret, body);
+        }
+        await axios.post(this.url, body, { headers, timeout: this.timeoutMs });
+    }
+}
+
+/**
+ * Message to a backup WhatsApp number, sent from sessionId when that session is
+ * ready, otherwise from any ready session. Alerts about a session that is down
+ * (QR codes, disconnects) therefore need a second session to go out.
+ */
+class WhatsAppChannel {
+    /**
+     * @param {Object} options
+     * @param {string} [options.number] - the backup number
+     * @param {string} [options.sessionId] - session to send from
+     * @param {SessionManager} options.sessionManager
+     */
+    constructor({ number, sessionId, sessionManager }) {
+        this.name = 'whatsapp';
+        this.number = number;
+        this.sessionId = sessionId;
+        this.sessionManager = sessionManager;
+        this.reason = number ? undefined : 'needs NOTIFY_WHATSAPP_NUMBER';
+        this.configured = !this.reason;
+    }
+
+    sender(notification) {
+        const ready = this.sessionManager.list().filter(session => session.isReady);
+        return ready.find(session => session.id === this.sessionId)
+            || ready.find(session => session.id !== notification.sessionId)
+            || ready[0];
+    }
+
+    async send(notification) {
+        const session = this.sender(notification);
+        if (!session) {
+            throw new Error('No ready session to send the WhatsApp notification from');
+        }
+
+        const text = `*${notification.subject}*\n\n${notification.text}`;
+        const chatId = toChatId(this.number);
+        if (notification.qrImage) {
+            const media = new MessageMedia('image/png', notification.qrImage.split('base64,')[1], 'whatsapp-qr.png');
+            await session.client.sendMessage(chatId, media, { caption: text });
+        } else {
+            await session.client.sendMessage(chatId, text);
+        }
+    }
+}
+
+module.exports = {
+    EmailChannel,
+    ChatWebhookChannel,
+    HttpCallbackChannel,
+    WhatsAppChannel
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const { render } = require('./templates');
+const { httpError, badRequest } = require('./errors');
+
+// Templates shipped with the bot, one directory per locale
+const BUILT_IN_DIRECTORY = path.join(__dirname, '..', 'notifications');
+
+// Every locale falls back to this one for events it has no template for
+const DEFAULT_LOCALE = 'en';
+
+// en, pt-BR, ...; also keeps locale names from leaving the template directory
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const EVENTS = ['qr', 'ready', 'disconnected', 'auth_failure', 'init_error', 'test'];
+
+// Example data for previews; the QR code is a made-up one
+const SAMPLE_DATA = {
+    sessionId: 'whatsapp-bot',
+    reason: 'NAVIGATION',
+    channel: 'email',
+    qr: '2@sample-qr-code-for-the-notification-preview'
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// QR code as a PNG data URL
+function qrImage(qr) {
+    return QRCode.toDataURL(qr, {
+        type: 'image/png',
+        quality: 0.92,
+        margin: 1,
+        color: {
+            dark: '#000000',
+            light: '#FFFFFF'
+        }
+    });
+}
+
+// A .txt template: a "Subject:" line, a blank line and the plain text body
+function parseText(source, file) {
+    const match = /^Subject:[ \t]*(.*)\r?\n(?:[ \t]*\r?\n)?([\s\S]*)$/.exec(source);
+    if (!match) {
+        throw new Error(`${file} must start with a "Subject:" line`);
+    }
+    return { subject: match[1].trim(), text: match[2].trim() };
+}
+
+function checkLocale(locale) {
+    if (!LOCALE_PATTERN.test(locale)) {
+        throw badRequest(`Invalid locale "${locale}"`);
+    }
+}
+
+/**
+ * Notification content per event and locale, read from <directory>/<locale>/<event>.txt
+ * (subject and plain text) and <event>.html (optional HTML for email). Templates use
+ * {{placeholders}} like message templates: sessionId, reason, channel, server, time
+ * (formatted for the locale), timestamp and, in HTML, qrImage.
+ *
+ * A directory given in options takes precedence over the built-in templates in
+ * notifications/; an event is looked up in the locale first, then in "en". Files
+ * are read on every use, so edits apply without a restart.
+ */
+class NotificationTemplates {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.directory] - custom templates
+     * @param {string} [options.locale] - default locale
+     * @param {string} [options.publicUrl] - this server's URL, the server placeholder
+     */
+    constructor({ directory = null, locale = DEFAULT_LOCALE, publicUrl = null } = {}) {
+        this.directories = directory ? [path.resolve(directory), BUILT_IN_DIRECTORY] : [BUILT_IN_DIRECTORY];
+        this.locale = locale;
+        this.publicUrl = publicUrl;
+    }
+
+    // Locales with at least one template
+    locales() {
+        const locales = new Set();
+        for (const directory of this.directories) {
+            if (!fs.existsSync(directory)) continue;
+            for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+                if (entry.isDirectory() && LOCALE_PATTERN.test(entry.name)) locales.add(entry.name);
+            }
+        }
+        return [...locales].sort();
+    }
+
+    /**
+     * The template for an event: { event, locale, subject, text, html, files }. html
+     * is null when the directory holding the .txt has no .html for the event.
+     */
+    source(event, locale = this.locale) {
+        if (!EVENTS.includes(event)) {
+            throw httpError(404, `Unknown notification event "${event}", expected ${EVENTS.join(', ')}`);
+        }
+        checkLocale(locale);
+
+        for (const candidate of locale === DEFAULT_LOCALE ? [locale] : [locale, DEFAULT_LOCALE]) {
+            for (const directory of this.directories) {
+                const textFile = path.join(directory, candidate, `${event}.txt`);
+                if (!fs.existsSync(textFile)) continue;
+
+                const htmlFile = path.join(directory, candidate, `${event}.html`);
+                const hasHtml = fs.existsSync(htmlFile);
+                return {
+                    event,
+                    locale: candidate,
+                    ...parseText(fs.readFileSync(textFile, 'utf8'), textFile),
+                    html: hasHtml ? fs.readFileSync(htmlFile, 'utf8') : null,
+                    files: { text: textFile, html: hasHtml ? htmlFile : null }
+                };
+            }
+        }
+        throw httpError(404, `No template for "${event}" in ${locale} or ${DEFAULT_LOCALE}`);
+    }
+
+    /**
+     * Render the event's template: { locale, subject, text, html, qrImage }.
+     * Throws a 400 naming missing variables when a template uses an unknown placeholder.
+     * @param {string} event
+     * @param {Object} data - sessionId, reason, qr, channel
+     * @param {Object} [options]
+     * @param {string} [options.locale]
+     * @param {Object} [options.draft] - subject, text and/or html to use instead of the files
+     * @param {Date} [options.date] - when it happened, now by default
+     */
+    async render(event, data, { locale = this.locale, draft = {}, date = new Date() } = {}) {
+        const template = { ...this.source(event, locale), ...draft };
+        const image = data.qr ? await qrImage(data.qr) : null;
+        const variables = {
+            sessionId: data.sessionId || '-',
+            reason: data.reason || '-',
+            channel: data.channel || '-',
+            server: this.publicUrl || '-',
+            time: date.toLocaleString(template.locale),
+            timestamp: date.toISOString(),
+            qrImage: image || ''
+        };
+        const htmlVariables = Object.fromEntries(Object.entries(variables).map(([name, value]) => [name, escapeHtml(value)]));
+
+        return {
+            locale: template.locale,
+            subject: render(template.subject, variables),
+            text: render(template.text, variables),
+            html: template.html ? render(template.html, htmlVariables) : null,
+            qrImage: image
+        };
+    }
+
+    // Render with SAMPLE_DATA (overridden by data) for a preview
+    preview(event, { locale, data = {}, draft } = {}) {
+        if (typeof data !== 'object' || Array.isArray(data) || data === null) {
+            throw badRequest('data must be an object');
+        }
+        return this.render(event, { ...SAMPLE_DATA, ...data }, { locale, draft });
+    }
+}
+
+NotificationTemplates.EVENTS = EVENTS;
+NotificationTemplates.DEFAULT_LOCALE = DEFAULT_LOCALE;
+NotificationTemplates.LOCALE_PATTERN = LOCALE_PATTERN;
+
+module.exports = NotificationTemplates;
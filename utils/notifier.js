@@ -0,0 +1,155 @@
+const logger = require('./logger');
+const { badRequest } = require('./errors');
+const NotificationTemplates = require('./notificationTemplates');
+
+/**
+ * Sends alerts about sessions (QR codes, connects, disconnects, failures) to the
+ * channels in utils/notificationChannels.js, worded by the event's template (see
+ * utils/notificationTemplates.js). routes picks the channels per event;
+ * channels that are not configured are skipped. The same event for the same
+ * session is sent at most once per dedupWindowMs, so a reconnect loop does not
+ * flood anyone. That includes QR codes: a session waiting for a scan gets a new
+ * code about every 20 seconds, but only the first one within the window is sent.
+ */
+class Notifier {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.channels
+     * @param {Object<string, string[]>} options.routes - channel names per event
+     * @param {number} [options.dedupWindowMs] - 0 sends every notification
+     * @param {NotificationTemplates} [options.templates] - the built-in English ones by default
+     */
+    constructor({ channels, routes, dedupWindowMs = 10 * 60 * 1000, templates = new NotificationTemplates() }) {
+        this.channels = new Map(channels.map(channel => [channel.name, channel]));
+        this.routes = routes;
+        this.dedupWindowMs = dedupWindowMs;
+        this.templates = templates;
+        // event:sessionId -> when it was last sent
+        this.lastSent = new Map();
+    }
+
+    channel(name) {
+        return this.channels.get(name);
+    }
+
+    // Channels with whether they can send, and why not
+    describeChannels() {
+        return [...this.channels.values()].map(channel => ({
+            name: channel.name,
+            configured: channel.configured,
+            ...(channel.reason ? { reason: channel.reason } : {})
+        }));
+    }
+
+    // Check the configured channels that can (SMTP login), logging the outcome
+    async verify() {
+        for (const channel of this.channels.values()) {
+            if (!channel.configured) {
+                logger.debug('Notification channel not configured', { channel: channel.name, reason: channel.reason });
+                continue;
+            }
+            if (!channel.verify) continue;
+
+            try {
+                await channel.verify();
+                logger.info('Notification channel verified', { channel: channel.name });
+            } catch (error) {
+                logger.error('Notification channel check failed', { channel: channel.name, error: error.message });
+            }
+        }
+    }
+
+    // The notification channels send: the event's data with its rendered template
+    async build(event, data) {
+        const date = new Date();
+        let content;
+        try {
+            content = await this.templates.render(event, data, { date });
+        } catch (error) {
+            // A broken custom template must not swallow the alert
+            logger.error('Failed to render notification template, using the built-in one', { event, error: error.message });
+            content = await new NotificationTemplates({ locale: this.templates.locale, publicUrl: this.templates.publicUrl }).render(event, data, { date });
+        }
+
+        return {
+            event,
+            sessionId: data.sessionId,
+            reason: data.reason || null,
+            ...(data.qr ? { qr: data.qr } : {}),
+            ...content,
+            timestamp: date.toISOString(),
+            server: this.templates.publicUrl
+        };
+    }
+
+    // True when the event for the session was sent within the window (and records it otherwise)
+    isDuplicate(event, sessionId) {
+        const now = Date.now();
+        for (const [key, sentAt] of this.lastSent) {
+            if (now - sentAt >= this.dedupWindowMs) this.lastSent.delete(key);
+        }
+
+        const key = `${event}:${sessionId}`;
+        if (this.lastSent.has(key)) return true;
+        this.lastSent.set(key, now);
+        return false;
+    }
+
+    async deliver(names, notification) {
+        const result = { event: notification.event, sent: [], failed: [], skipped: [] };
+        await Promise.all(names.map(async (name) => {
+            const channel = this.channels.get(name);
+            if (!channel || !channel.configured) {
+                result.skipped.push({ channel: name, reason: channel ? channel.reason : 'unknown channel' });
+                return;
+            }
+
+            try {
+                await channel.send(notification);
+                result.sent.push(name);
+                logger.info('Notification sent', { event: notification.event, channel: name, sessionId: notification.sessionId });
+            } catch (error) {
+                result.failed.push({ channel: name, error: error.message });
+                logger.error('Failed to send notification', { event: notification.event, channel: name, sessionId: notification.sessionId, error: error.message });
+            }
+        }));
+        return result;
+    }
+
+    /**
+     * Send a notification to the channels routed for the event. Never throws;
+     * failures are logged and listed in the result.
+     * @param {string} event - qr, ready, disconnected, auth_failure or init_error
+     * @param {Object} data - sessionId, and reason or qr
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - send even if it was just sent
+     * @param {string[]} [options.channels] - instead of the event's route
+     * @returns {Promise<{ event, sent: string[], failed: Object[], skipped: Object[], deduplicated?: boolean }>}
+     */
+    async notify(event, data, { force = false, channels } = {}) {
+        if (!force && this.dedupWindowMs > 0 && this.isDuplicate(event, data.sessionId)) {
+            logger.debug('Notification deduplicated', { event, sessionId: data.sessionId });
+            return { event, sent: [], failed: [], skipped: [], deduplicated: true };
+        }
+        return this.deliver(channels || this.routes[event] || [], await this.build(event, data));
+    }
+
+    /**
+     * Send a test notification through one channel. Unlike notify() this throws
+     * when the channel is unknown, not configured or fails.
+     */
+    async sendTest(name) {
+        const channel = this.channels.get(name);
+        if (!channel) {
+            throw badRequest(`Unknown channel "${name}", expected ${[...this.channels.keys()].join(', ')}`);
+        }
+        if (!channel.configured) {
+            throw badRequest(`The ${name} channel is not configured, it ${channel.reason}`);
+        }
+
+        await channel.send(await this.build('test', { sessionId: null, channel: name }));
+        logger.info('Test notification sent', { channel: name });
+    }
+}
+
+module.exports = Notifier;
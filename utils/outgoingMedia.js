@@ -0,0 +1,180 @@
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { MessageMedia } = require('whatsapp-web.js');
+const { badRequest } = require('./errors');
+
+const MAX_MEDIA_BYTES = 50 * 1024 * 1024;
+
+// Whole download of a media url, redirects included
+const MEDIA_FETCH_TIMEOUT_MS = 30000;
+
+// Addresses a media url must not reach: this host, private networks, link-local
+// (cloud metadata services), multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function assertPublicAddress(address) {
+    if (PRIVATE_ADDRESSES.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4')) {
+        throw new Error(`${address} is not a public address`);
+    }
+}
+
+// dns.lookup() refusing names that resolve to a private address; checked on every
+// connection, so neither redirects nor a second DNS answer can get around it
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        try {
+            for (const entry of Array.isArray(address) ? address : [{ address }]) {
+                assertPublicAddress(entry.address);
+            }
+        } catch (lookupError) {
+            return callback(lookupError);
+        }
+        callback(null, address, family);
+    });
+}
+
+// Connections to IP literals skip the lookup, so those are checked up front
+function assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) assertPublicAddress(host);
+}
+
+const mediaAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Download a media url with the limits above: { data, mimetype, filename }
+async function fetchMedia(url) {
+    assertPublicHost(url.hostname);
+
+    const response = await axios.get(url.href, {
+        ...mediaAgents,
+        // A proxy from the environment would do the lookup instead of us
+        proxy: false,
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_MEDIA_BYTES,
+        maxRedirects: 5,
+        beforeRedirect: options => assertPublicHost(options.hostname),
+        timeout: MEDIA_FETCH_TIMEOUT_MS,
+        signal: AbortSignal.timeout(MEDIA_FETCH_TIMEOUT_MS)
+    });
+
+    const contentType = response.headers['content-type'];
+    return {
+        data: Buffer.from(response.data).toString('base64'),
+        mimetype: contentType ? contentType.split(';')[0].trim() : null,
+        filename: url.pathname.split('/').pop() || 'file'
+    };
+}
+
+// Multipart fields arrive as strings
+function toBool(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Build a MessageMedia from one of the supported inputs:
+ * a multer upload, a url to fetch, or base64 data (plain or a data: URI) with a mimetype.
+ * Urls must be http(s) on a public address and are fetched within MEDIA_FETCH_TIMEOUT_MS.
+ */
+async function loadMedia({ file, url, base64, mimetype, filename }) {
+    const sources = [file, url, base64].filter(Boolean).length;
+    if (sources === 0) {
+        throw badRequest('Missing media: upload a "media" file or provide url or base64');
+    }
+    if (sources > 1) {
+        throw badRequest('Provide only one of: media file, url, base64');
+    }
+
+    if (file) {
+        const media = MessageMedia.fromFilePath(file.path);
+        media.mimetype = file.mimetype || media.mimetype;
+        media.filename = filename || file.originalname;
+        return media;
+    }
+
+    if (url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw badRequest('url must be a valid http(s) URL');
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw badRequest('url must be a valid http(s) URL');
+        }
+
+        let fetched;
+        try {
+            fetched = await fetchMedia(parsed);
+        } catch (error) {
+            throw badRequest(`Could not fetch media from url: ${error.message}`);
+        }
+        const type = mimetype || fetched.mimetype;
+        if (!type) {
+            throw badRequest('Could not determine the media type, provide mimetype');
+        }
+        return new MessageMedia(type, fetched.data, filename || fetched.filename);
+    }
+
+    // base64, optionally as data:<mimetype>;base64,<data>
+    const dataUri = /^data:([^;,]+);base64,/.exec(base64);
+    const data = dataUri ? base64.slice(dataUri[0].length) : base64;
+    const type = mimetype || (dataUri && dataUri[1]);
+
+    if (!type) {
+        throw badRequest('Missing required field for base64 media: mimetype');
+    }
+    if (Buffer.byteLength(data, 'base64') > MAX_MEDIA_BYTES) {
+        throw badRequest(`Media exceeds the ${MAX_MEDIA_BYTES / 1024 / 1024}MB limit`);
+    }
+
+    return new MessageMedia(type, data, filename || null);
+}
+
+// whatsapp-web.js send options from request fields
+function mediaSendOptions({ caption = '', sendAsDocument, sendAsSticker, sendAudioAsVoice, viewOnce }) {
+    return {
+        caption: caption,
+        sendMediaAsDocument: toBool(sendAsDocument),
+        sendMediaAsSticker: toBool(sendAsSticker),
+        sendAudioAsVoice: toBool(sendAudioAsVoice),
+        isViewOnce: toBool(viewOnce)
+    };
+}
+
+// Remove a multer upload once it has been sent (or rejected)
+function cleanupUpload(file) {
+    if (file) {
+        fs.unlink(file.path, () => {});
+    }
+}
+
+// Express middleware: delete the multer upload whenever the response ends, on every path
+function cleanupUploadOnClose(req, res, next) {
+    res.on('close', () => cleanupUpload(req.file));
+    next();
+}
+
+module.exports = {
+    MAX_MEDIA_BYTES,
+    loadMedia,
+    mediaSendOptions,
+    cleanupUpload,
+    cleanupUploadOnClose
+};
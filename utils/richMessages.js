@@ -0,0 +1,88 @@
+const { Location, Poll } = require('whatsapp-web.js');
+const { badRequest } = require('./errors');
+const { toChatId } = require('./chatId');
+
+// "@15551234567" tokens in message text
+const MENTION_PATTERN = /@(\d{6,15})\b/g;
+
+// User ids for the @number mentions in a text, merged with explicitly listed ones
+function extractMentions(text, mentions = []) {
+    const ids = new Set(mentions.map(toChatId));
+    for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+        ids.add(`${match[1]}@c.us`);
+    }
+    return Array.from(ids);
+}
+
+// Send options shared by every message type: quoted reply and mentions
+function messageOptions({ quotedMessageId, mentions } = {}, text) {
+    if (mentions !== undefined && !Array.isArray(mentions)) {
+        throw badRequest('mentions must be an array of phone numbers or ids');
+    }
+
+    const options = {};
+    const mentionIds = extractMentions(text, mentions);
+    if (mentionIds.length > 0) options.mentions = mentionIds;
+    if (quotedMessageId) options.quotedMessageId = quotedMessageId;
+    return options;
+}
+
+function buildLocation({ latitude, longitude, name, address, url }) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+
+    if (latitude === undefined || longitude === undefined || Number.isNaN(lat) || Number.isNaN(lng)) {
+        throw badRequest('Missing required fields: latitude, longitude (numbers)');
+    }
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        throw badRequest('latitude must be within [-90, 90] and longitude within [-180, 180]');
+    }
+
+    return new Location(lat, lng, { name, address, url });
+}
+
+// vCard 3.0 text for a contact card; waid makes WhatsApp show the "Message" button
+function buildVCard({ name, phone, organization, email }) {
+    if (!name || !phone) {
+        throw badRequest('Missing required contact fields: name, phone');
+    }
+
+    const number = String(phone).replace(/[^\d]/g, '');
+    const escape = value => String(value).replace(/([,;\\])/g, '\\$1').replace(/\n/g, '\\n');
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escape(name)}`,
+        `N:${escape(name)};;;;`
+    ];
+    if (organization) lines.push(`ORG:${escape(organization)}`);
+    if (email) lines.push(`EMAIL:${escape(email)}`);
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${number}:+${number}`);
+    lines.push('END:VCARD');
+
+    return lines.join('\n');
+}
+
+function buildPoll({ question, options, allowMultipleAnswers = false }) {
+    if (!question || !Array.isArray(options)) {
+        throw badRequest('Missing required fields: question, options (array)');
+    }
+
+    const choices = options.map(option => String(option).trim()).filter(Boolean);
+    if (choices.length < 2 || choices.length > 12) {
+        throw badRequest('A poll needs between 2 and 12 options');
+    }
+    if (new Set(choices).size !== choices.length) {
+        throw badRequest('Poll options must be unique');
+    }
+
+    return new Poll(question, choices, { allowMultipleAnswers: !!allowMultipleAnswers });
+}
+
+module.exports = {
+    extractMentions,
+    messageOptions,
+    buildLocation,
+    buildVCard,
+    buildPoll
+};
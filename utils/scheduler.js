@@ -0,0 +1,211 @@
+const cronParser = require('cron-parser');
+const Schedule = require('../models/Schedule');
+const { badRequest } = require('./errors');
+const logger = require('./logger');
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// First cron tick strictly after `after`
+function nextCronRun(cron, timezone, after = new Date()) {
+    return cronParser.parseExpression(cron, { currentDate: after, tz: timezone }).next().toDate();
+}
+
+/**
+ * Validate the timing fields of a schedule: exactly one of sendAt (ISO date) or cron,
+ * with an optional IANA timezone for cron. Returns { sendAt, cron, timezone, nextRunAt }.
+ * Cron runs at most once a minute: a seconds field would let one schedule send every
+ * second and get the number banned.
+ */
+function parseTiming({ sendAt, cron, timezone = 'UTC' }) {
+    if (!sendAt === !cron) {
+        throw badRequest('Provide exactly one of: sendAt, cron');
+    }
+    if (!isValidTimezone(timezone)) {
+        throw badRequest(`Unknown timezone: ${timezone}`);
+    }
+
+    if (sendAt) {
+        const date = new Date(sendAt);
+        if (Number.isNaN(date.getTime())) {
+            throw badRequest('sendAt must be an ISO 8601 date');
+        }
+        if (date.getTime() < Date.now() - 60000) {
+            throw badRequest('sendAt is in the past');
+        }
+        return { sendAt: date, cron: undefined, timezone, nextRunAt: date };
+    }
+
+    if (typeof cron !== 'string' || cron.trim().split(/\s+/).length > 5) {
+        throw badRequest('cron must have five fields (minute hour day-of-month month day-of-week), seconds are not supported');
+    }
+
+    let nextRunAt;
+    try {
+        nextRunAt = nextCronRun(cron, timezone);
+    } catch (error) {
+        throw badRequest(`Invalid cron expression: ${error.message}`);
+    }
+    return { sendAt: undefined, cron, timezone, nextRunAt };
+}
+
+// Turns due schedules into message queue jobs; job results are written back to the schedule history
+class Scheduler {
+    /**
+     * @param {Object} options
+     * @param {MessageQueue} options.messageQueue
+     * @param {number} [options.pollIntervalMs] - how often due schedules are picked up
+     */
+    constructor({ messageQueue, pollIntervalMs = 15000 }) {
+        this.messageQueue = messageQueue;
+        this.pollIntervalMs = pollIntervalMs;
+        this.timer = null;
+        this.processing = false;
+
+        messageQueue.on('sent', job => this.recordResult(job));
+        messageQueue.on('failed', job => this.recordResult(job));
+    }
+
+    start() {
+        this.timer = setInterval(() => this.process(), this.pollIntervalMs);
+        this.process();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async create({ sessionId, to, message, options, sendAt, cron, timezone }) {
+        const schedule = await Schedule.create({
+            sessionId,
+            to,
+            message,
+            options,
+            ...parseTiming({ sendAt, cron, timezone })
+        });
+        this.process();
+        return schedule;
+    }
+
+    // Apply changes to an active schedule; new timing restarts it from now
+    async update(schedule, { to, message, options, sendAt, cron, timezone }) {
+        if (to !== undefined) schedule.to = to;
+        if (message !== undefined) schedule.message = message;
+        if (options !== undefined) schedule.options = options;
+
+        if (sendAt !== undefined || cron !== undefined || timezone !== undefined) {
+            const timing = parseTiming({
+                sendAt: sendAt !== undefined ? sendAt : (cron === undefined && schedule.sendAt),
+                cron: cron !== undefined ? cron : (sendAt === undefined && schedule.cron),
+                timezone: timezone || schedule.timezone
+            });
+            Object.assign(schedule, timing);
+        }
+
+        await schedule.save();
+        this.process();
+        return schedule;
+    }
+
+    async cancel(schedule) {
+        schedule.status = 'cancelled';
+        schedule.nextRunAt = undefined;
+        return schedule.save();
+    }
+
+    async process() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            while (true) {
+                const due = await Schedule.findOne({ status: 'active', nextRunAt: { $lte: new Date() } })
+                    .sort({ nextRunAt: 1 });
+                if (!due) break;
+
+                await this.fire(due);
+            }
+        } catch (error) {
+            logger.error('Scheduler processing failed', { error: error.message });
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async fire(schedule) {
+        const scheduledFor = schedule.nextRunAt;
+        const now = new Date();
+
+        // Runs missed while the server was down collapse into this one
+        const advance = schedule.cron
+            ? { nextRunAt: nextCronRun(schedule.cron, schedule.timezone, now) }
+            : { status: 'completed' };
+
+        // Claim the run first so a crash can never send it twice
+        const claimed = await Schedule.findOneAndUpdate(
+            { _id: schedule._id, status: 'active', nextRunAt: scheduledFor },
+            { $set: { ...advance, lastRunAt: now }, $inc: { runCount: 1 } },
+            { new: true }
+        );
+        if (!claimed) return;
+
+        const execution = { scheduledFor, firedAt: now };
+        try {
+            // The queue holds the job until the session is ready again
+            const job = await this.messageQueue.enqueue({
+                sessionId: claimed.sessionId,
+                to: claimed.to,
+                message: claimed.message,
+                options: claimed.options,
+                scheduleId: claimed._id.toString()
+            });
+            execution.jobId = job._id.toString();
+            execution.status = 'queued';
+            logger.info('Scheduled message queued', { sessionId: claimed.sessionId, scheduleId: claimed.id, jobId: execution.jobId, to: claimed.to });
+        } catch (error) {
+            execution.status = 'failed';
+            execution.error = error.message;
+            logger.error('Failed to queue a scheduled message', { sessionId: claimed.sessionId, scheduleId: claimed.id, error: error.message });
+        }
+
+        await Schedule.updateOne(
+            { _id: claimed._id },
+            { $push: { history: { $each: [execution], $slice: -Schedule.MAX_HISTORY } } }
+        );
+
+        // Flushed only now, so an immediate send finds its history entry
+        if (execution.jobId) {
+            this.messageQueue.flush(claimed.sessionId);
+        }
+    }
+
+    async recordResult(job) {
+        if (!job.scheduleId) return;
+
+        try {
+            await Schedule.updateOne(
+                { _id: job.scheduleId, 'history.jobId': job._id.toString() },
+                {
+                    $set: {
+                        'history.$.status': job.status,
+                        'history.$.messageId': job.messageId,
+                        'history.$.error': job.lastError
+                    }
+                }
+            );
+        } catch (error) {
+            logger.error('Failed to record a schedule result', { scheduleId: job.scheduleId, jobId: job.id, error: error.message });
+        }
+    }
+}
+
+Scheduler.parseTiming = parseTiming;
+
+module.exports = Scheduler;
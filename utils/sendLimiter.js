@@ -0,0 +1,145 @@
+// In-memory sliding-window send limits. Each rule allows `limit` messages per `windowMs`
+// for one key (an API key, a session, a recipient); timestamps may lie in the future
+// when a message was deferred to a later slot.
+
+const UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * "30/1m", "10/1h", "1000/1d" → { limit, windowMs }; "", "0" or "off" → null (no limit)
+ */
+function parseRate(value) {
+    if (!value || value === '0' || value === 'off') return null;
+
+    const match = /^(\d+)\s*\/\s*(\d*)\s*([smhd])$/.exec(String(value).trim());
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`Invalid rate "${value}", expected e.g. 30/1m, 10/1h or 1000/1d`);
+    }
+    return { limit: Number(match[1]), windowMs: Number(match[2] || 1) * UNITS[match[3]] };
+}
+
+class SendLimiter {
+    /**
+     * @param {Object} options - each rate is { limit, windowMs } or null for no limit
+     * @param {Object} [options.perApiKey] - single sends accepted per API key
+     * @param {Object} [options.perSession] - messages sent per session, bulk included
+     * @param {Object} [options.perRecipient] - messages sent to one chat
+     * @param {Object} [options.bulkPerSession] - bulk and campaign messages sent per session
+     * @param {string} [options.mode] - 'queue' defers over-limit messages, 'reject' answers 429
+     */
+    constructor({ perApiKey = null, perSession = null, perRecipient = null, bulkPerSession = null, mode = 'queue' } = {}) {
+        if (mode !== 'queue' && mode !== 'reject') {
+            throw new Error(`Invalid send limit mode "${mode}", expected queue or reject`);
+        }
+        this.rates = { apiKey: perApiKey, session: perSession, recipient: perRecipient, bulk: bulkPerSession };
+        this.mode = mode;
+        this.logs = new Map();
+
+        // Drop buckets nobody used for a full window
+        this.pruneTimer = setInterval(() => this.prune(), 60000);
+        this.pruneTimer.unref();
+    }
+
+    // Rules that apply to a message; a rule is [type, key]
+    rulesFor({ apiKeyId, sessionId, to, bulk }) {
+        const rules = [];
+        if (apiKeyId) rules.push(['apiKey', apiKeyId]);
+        if (sessionId) rules.push(['session', sessionId]);
+        if (sessionId && to) rules.push(['recipient', `${sessionId}:${to}`]);
+        if (sessionId && bulk) rules.push(['bulk', sessionId]);
+        return rules.filter(([type]) => this.rates[type]);
+    }
+
+    log(type, key) {
+        const id = `${type}|${key}`;
+        if (!this.logs.has(id)) this.logs.set(id, []);
+        return this.logs.get(id);
+    }
+
+    // Earliest time >= from at which one more message fits the rule
+    allowedAt(type, key, from) {
+        const { limit, windowMs } = this.rates[type];
+        const log = this.log(type, key);
+        let at = from;
+
+        while (true) {
+            const inWindow = log.filter(time => time > at - windowMs && time <= at);
+            if (inWindow.length < limit) return at;
+            at = inWindow[inWindow.length - limit] + windowMs;
+        }
+    }
+
+    /**
+     * How long a message has to wait and the rule that holds it back the longest.
+     * @param {Object} message - { apiKeyId, sessionId, to, bulk }
+     * @returns {{ retryAfterMs: number, type: string|null }}
+     */
+    check(message) {
+        const now = Date.now();
+        let result = { retryAfterMs: 0, type: null };
+        for (const [type, key] of this.rulesFor(message)) {
+            const retryAfterMs = this.allowedAt(type, key, now) - now;
+            if (retryAfterMs > result.retryAfterMs) result = { retryAfterMs, type };
+        }
+        return result;
+    }
+
+    // Milliseconds until a message may be sent (0 = now)
+    retryAfter(message) {
+        return this.check(message).retryAfterMs;
+    }
+
+    // Count a message against its rules, sent now or deferred by delayMs
+    record(message, delayMs = 0) {
+        const at = Date.now() + delayMs;
+        for (const [type, key] of this.rulesFor(message)) {
+            const log = this.log(type, key);
+            const index = log.findIndex(time => time > at);
+            log.splice(index === -1 ? log.length : index, 0, at);
+        }
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [id, log] of this.logs) {
+            const { windowMs } = this.rates[id.split('|')[0]];
+            while (log.length > 0 && log[0] <= now - windowMs) log.shift();
+            if (log.length === 0) this.logs.delete(id);
+        }
+    }
+
+    /**
+     * Current usage: the configured rates and every bucket with messages in its window,
+     * optionally only buckets whose key contains `filter`.
+     */
+    status(filter) {
+        this.prune();
+        const now = Date.now();
+        const buckets = [];
+
+        for (const [id, log] of this.logs) {
+            const [type, key] = [id.slice(0, id.indexOf('|')), id.slice(id.indexOf('|') + 1)];
+            if (filter && !key.includes(filter)) continue;
+
+            const { limit, windowMs } = this.rates[type];
+            const used = log.filter(time => time > now - windowMs && time <= now).length;
+            buckets.push({
+                type,
+                key,
+                used,
+                limit,
+                deferred: log.filter(time => time > now).length,
+                retryAfterMs: this.allowedAt(type, key, now) - now
+            });
+        }
+
+        return {
+            mode: this.mode,
+            rates: Object.fromEntries(Object.entries(this.rates).map(([type, rate]) => [type, rate && { limit: rate.limit, windowMs: rate.windowMs }])),
+            buckets
+        };
+    }
+}
+
+SendLimiter.parseRate = parseRate;
+
+module.exports = SendLimiter;
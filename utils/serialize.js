@@ -0,0 +1,34 @@
+// Plain JSON views of whatsapp-web.js objects, used in webhook payloads and API responses
+
+function serializeMessage(message) {
+    return {
+        id: message.id._serialized,
+        from: message.from,
+        to: message.to,
+        author: message.author,
+        body: message.body,
+        type: message.type,
+        timestamp: message.timestamp,
+        fromMe: message.fromMe,
+        hasMedia: message.hasMedia || false,
+        hasQuotedMsg: message.hasQuotedMsg || false,
+        isForwarded: message.isForwarded || false
+    };
+}
+
+function serializeGroupNotification(notification) {
+    return {
+        id: notification.id._serialized,
+        chatId: notification.chatId,
+        type: notification.type,
+        author: notification.author,
+        recipientIds: notification.recipientIds,
+        body: notification.body,
+        timestamp: notification.timestamp
+    };
+}
+
+module.exports = {
+    serializeMessage,
+    serializeGroupNotification
+};
@@ -0,0 +1,271 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { createClient } = require('./whatsappClient');
+
+// Client events re-emitted by the manager as (session, ...args)
+const CLIENT_EVENTS = [
+    'qr',
+    'ready',
+    'authenticated',
+    'auth_failure',
+    'disconnected',
+    'message',
+    'message_create',
+    'message_ack',
+    'group_join',
+    'group_leave',
+    'group_update',
+    'group_admin_changed',
+    'remote_session_saved'
+];
+
+// Session ids end up in auth store names and directories, so keep them simple
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const DEFAULT_PUPPETEER_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--single-process',
+    '--disable-gpu',
+    '--disable-extensions'
+];
+
+class SessionManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.createAuthStrategy - (sessionId) => whatsapp-web.js auth strategy
+     * @param {Function} [options.removeAuthData] - async (sessionId) => void, wipes the stored auth of a deleted session
+     * @param {Object} [options.registry] - persists session ids: { load(), save(id), remove(id) }
+     * @param {string} [options.defaultSessionId] - session used when a request names none
+     * @param {string[]} [options.puppeteerArgs] - Chromium flags, DEFAULT_PUPPETEER_ARGS by default
+     * @param {Logger} [options.logger] - each session logs through a child tagged with its id (session.log)
+     * @param {Function} [options.createClient] - (clientOptions) => client, see utils/whatsappClient.js
+     */
+    constructor({ createAuthStrategy, removeAuthData, registry, defaultSessionId = 'whatsapp-bot', puppeteerArgs = DEFAULT_PUPPETEER_ARGS, logger: parentLogger = logger, createClient: clientFactory = createClient }) {
+        super();
+        this.createAuthStrategy = createAuthStrategy;
+        this.removeAuthData = removeAuthData;
+        this.registry = registry;
+        this.defaultSessionId = defaultSessionId;
+        this.puppeteerArgs = puppeteerArgs;
+        this.logger = parentLogger;
+        this.createClient = clientFactory;
+        this.sessions = new Map();
+    }
+
+    static isValidId(sessionId) {
+        return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+    }
+
+    // Register the default session plus any saved ones and start them all
+    async restore() {
+        const saved = this.registry ? await this.registry.load() : [];
+        const ids = new Set([this.defaultSessionId, ...saved]);
+
+        for (const sessionId of ids) {
+            if (!this.sessions.has(sessionId)) {
+                await this.create(sessionId);
+            }
+        }
+    }
+
+    get(sessionId) {
+        return this.sessions.get(sessionId || this.defaultSessionId);
+    }
+
+    list() {
+        return Array.from(this.sessions.values());
+    }
+
+    async create(sessionId, { start = true } = {}) {
+        if (!SessionManager.isValidId(sessionId)) {
+            throw new Error('Invalid session id. Use 1-64 letters, digits, "_" or "-"');
+        }
+        if (this.sessions.has(sessionId)) {
+            throw new Error(`Session already exists: ${sessionId}`);
+        }
+
+        const session = {
+            id: sessionId,
+            client: null,
+            isReady: false,
+            qrCodeData: null,
+            status: 'stopped',
+            createdAt: new Date(),
+            log: this.logger.child({ sessionId })
+        };
+        this.sessions.set(sessionId, session);
+
+        if (this.registry) {
+            await this.registry.save(sessionId);
+        }
+        if (start) {
+            this.start(sessionId);
+        }
+        return session;
+    }
+
+    // Builds a fresh client for the session and initializes it in the background
+    start(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+        if (session.client) {
+            return session;
+        }
+
+        const client = this.createClient({
+            authStrategy: this.createAuthStrategy(sessionId),
+            puppeteer: {
+                headless: true,
+                args: this.puppeteerArgs
+            }
+        });
+
+        session.client = client;
+        session.isReady = false;
+        session.qrCodeData = null;
+        session.status = 'starting';
+
+        client.on('qr', (qr) => {
+            session.qrCodeData = qr;
+            session.status = 'qr';
+        });
+        client.on('ready', () => {
+            session.isReady = true;
+            session.qrCodeData = null;
+            session.status = 'ready';
+        });
+        client.on('auth_failure', () => {
+            session.isReady = false;
+            session.status = 'auth_failure';
+        });
+        client.on('disconnected', () => {
+            session.isReady = false;
+            session.qrCodeData = null;
+            session.status = 'disconnected';
+            session.client = null;
+        });
+
+        for (const event of CLIENT_EVENTS) {
+            client.on(event, (...args) => this.emit(event, session, ...args));
+        }
+
+        client.initialize().catch((error) => {
+            if (session.client !== client) return;
+            session.client = null;
+            session.status = 'failed';
+            this.emit('init_error', session, error);
+        });
+
+        return session;
+    }
+
+    async stop(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+
+        const client = session.client;
+        session.client = null;
+        session.isReady = false;
+        session.qrCodeData = null;
+        session.status = 'stopped';
+
+        if (client) {
+            await client.destroy().catch((error) => {
+                session.log.error('Error destroying client', { error: error.message });
+            });
+        }
+        return session;
+    }
+
+    async restart(sessionId) {
+        await this.stop(sessionId);
+        return this.start(sessionId);
+    }
+
+    // Logs the session out (when connected), wipes its auth data and forgets it
+    async delete(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+
+        if (session.client && session.isReady) {
+            const client = session.client;
+            session.client = null;
+            session.status = 'stopped';
+            await client.logout().catch((error) => {
+                session.log.error('Error logging out', { error: error.message });
+            });
+        } else {
+            await this.stop(sessionId);
+        }
+
+        if (this.removeAuthData) {
+            await this.removeAuthData(sessionId);
+        }
+        if (this.registry) {
+            await this.registry.remove(sessionId);
+        }
+        this.sessions.delete(sessionId);
+    }
+
+    async destroyAll() {
+        for (const session of this.sessions.values()) {
+            if (session.client) {
+                await session.client.destroy().catch(() => {});
+                session.client = null;
+            }
+        }
+    }
+
+    // Express middleware that resolves the session a request targets into req.waSession.
+    // The id may come from the X-Session-Id header, ?sessionId= or a sessionId body field.
+    resolveSession() {
+        return (req, res, next) => {
+            const sessionId = req.headers['x-session-id']
+                || req.query.sessionId
+                || (req.body && req.body.sessionId)
+                || this.defaultSessionId;
+            const session = this.sessions.get(sessionId);
+
+            if (!session) {
+                return res.status(404).json({ error: `Session not found: ${sessionId}` });
+            }
+
+            req.waSession = session;
+            // Request logs from here on carry the session id as well
+            if (req.log) req.log = req.log.child({ sessionId: session.id });
+            next();
+        };
+    }
+
+    // Express middleware answering 503 unless the resolved session is ready
+    static requireReady(req, res, next) {
+        if (!req.waSession || !req.waSession.isReady) {
+            return res.status(503).json({ error: 'WhatsApp client is not ready' });
+        }
+        next();
+    }
+
+    toJSON(session) {
+        return {
+            id: session.id,
+            status: session.status,
+            ready: session.isReady,
+            hasQR: !!session.qrCodeData,
+            isDefault: session.id === this.defaultSessionId,
+            createdAt: session.createdAt
+        };
+    }
+}
+
+module.exports = SessionManager;
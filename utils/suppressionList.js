@@ -0,0 +1,103 @@
+const Suppression = require('../models/Suppression');
+const SuppressionEvent = require('../models/SuppressionEvent');
+const { toChatId, isGroupId } = require('./chatId');
+
+// Upper-cased keyword list from a comma separated setting
+function keywordSet(keywords) {
+    return new Set(keywords.map(keyword => keyword.trim().toUpperCase()).filter(Boolean));
+}
+
+class SuppressionList {
+    /**
+     * @param {Object} options
+     * @param {string[]} [options.optOutKeywords] - a private message consisting of one of these opts the sender out
+     * @param {string[]} [options.optInKeywords] - ...and of one of these opts them back in
+     * @param {string} [options.optOutReply] - confirmation sent after an opt-out ('' for none)
+     * @param {string} [options.optInReply] - confirmation sent after an opt-in ('' for none)
+     */
+    constructor({
+        optOutKeywords = ['STOP', 'UNSUBSCRIBE'],
+        optInKeywords = ['START'],
+        optOutReply = 'You have been unsubscribed and will not receive further messages. Reply START to subscribe again.',
+        optInReply = 'You have been subscribed again. Reply STOP to unsubscribe.'
+    } = {}) {
+        this.optOutKeywords = keywordSet(optOutKeywords);
+        this.optInKeywords = keywordSet(optInKeywords);
+        this.optOutReply = optOutReply;
+        this.optInReply = optInReply;
+    }
+
+    async isSuppressed(to) {
+        return !!(await Suppression.exists({ chatId: toChatId(to) }));
+    }
+
+    // The suppressed chat ids among a list of chat ids
+    async suppressedAmong(chatIds) {
+        const entries = await Suppression.find({ chatId: { $in: chatIds } }).select('chatId').lean();
+        return new Set(entries.map(entry => entry.chatId));
+    }
+
+    /**
+     * Add a chat to the list. Returns true if it was not suppressed before.
+     * @param {string} to - phone number or chat id
+     * @param {Object} details - { source: 'keyword'|'api'|'import', keyword, reason, sessionId }
+     */
+    async optOut(to, { source, keyword, reason, sessionId }) {
+        const chatId = toChatId(to);
+        let result;
+        try {
+            result = await Suppression.updateOne(
+                { chatId },
+                { $setOnInsert: { chatId, source, keyword, reason, sessionId } },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Two concurrent upserts of the same chat: the other one won
+            if (error.code === 11000) return false;
+            throw error;
+        }
+        if (result.upsertedCount === 0) return false;
+
+        await SuppressionEvent.create({ chatId, action: 'opt_out', source, keyword, reason, sessionId });
+        return true;
+    }
+
+    // Remove a chat from the list. Returns true if it was suppressed.
+    async optIn(to, { source, keyword, reason, sessionId }) {
+        const chatId = toChatId(to);
+        const result = await Suppression.deleteOne({ chatId });
+        if (result.deletedCount === 0) return false;
+
+        await SuppressionEvent.create({ chatId, action: 'opt_in', source, keyword, reason, sessionId });
+        return true;
+    }
+
+    /**
+     * Opt the sender of a private STOP/START message out or in and confirm it.
+     * @returns {Promise<boolean>} true when the message was one of the keywords
+     */
+    async handleMessage(session, message) {
+        if (isGroupId(message.from) || message.fromMe) return false;
+
+        const keyword = (message.body || '').trim().toUpperCase();
+        const optOut = this.optOutKeywords.has(keyword);
+        if (!optOut && !this.optInKeywords.has(keyword)) return false;
+
+        const details = { source: 'keyword', keyword, sessionId: session.id };
+        const changed = optOut
+            ? await this.optOut(message.from, details)
+            : await this.optIn(message.from, details);
+
+        // START from someone who never opted out is just a message
+        if (!optOut && !changed) return false;
+
+        session.log.info(optOut ? 'Contact opted out' : 'Contact opted in', { from: message.from, keyword });
+        const reply = optOut ? this.optOutReply : this.optInReply;
+        if (reply) {
+            await message.reply(reply);
+        }
+        return true;
+    }
+}
+
+module.exports = SuppressionList;
@@ -0,0 +1,77 @@
+const { badRequest } = require('./errors');
+const { toChatId } = require('./chatId');
+
+// {{name}} or {{ name }}
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Placeholder names used in a template body, in order of first use
+function extractVariables(body) {
+    const names = new Set();
+    for (const match of (body || '').matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+    }
+    return Array.from(names);
+}
+
+// Placeholders of the body without a value in variables
+function missingVariables(body, variables = {}) {
+    return extractVariables(body).filter(name => variables[name] === undefined || variables[name] === null);
+}
+
+// Fill in every placeholder; throws a 400 naming the missing variables
+function render(body, variables = {}) {
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+        throw badRequest('variables must be an object');
+    }
+
+    const missing = missingVariables(body, variables);
+    if (missing.length > 0) {
+        const error = badRequest(`Missing template variables: ${missing.join(', ')}`);
+        error.missing = missing;
+        throw error;
+    }
+
+    return body.replace(PLACEHOLDER_PATTERN, (placeholder, name) => String(variables[name]));
+}
+
+/**
+ * Render one message per recipient. recipients are phone numbers or { to, variables };
+ * defaults fill variables a recipient does not set.
+ * Returns { messages: [{ to, message }], errors: [{ index, to, error, missing }] }.
+ */
+function renderForRecipients(body, recipients, defaults = {}) {
+    const messages = [];
+    const errors = [];
+
+    for (const [index, recipient] of recipients.entries()) {
+        const { to, variables = {} } = typeof recipient === 'object' && recipient !== null
+            ? recipient
+            : { to: recipient };
+
+        try {
+            if (!to) {
+                throw new Error('Missing required field: to');
+            }
+            if (typeof variables !== 'object' || Array.isArray(variables)) {
+                throw new Error('variables must be an object');
+            }
+            messages.push({
+                to: toChatId(to),
+                message: render(body, { ...defaults, ...variables })
+            });
+        } catch (error) {
+            errors.push({ index: index, to: to, error: error.message, missing: error.missing });
+        }
+    }
+
+    return { messages, errors };
+}
+
+module.exports = {
+    TEMPLATE_NAME_PATTERN,
+    extractVariables,
+    missingVariables,
+    render,
+    renderForRecipients
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+// Events a webhook can subscribe to ('*' subscribes to all of them)
+const WEBHOOK_EVENTS = [
+    'qr',
+    'ready',
+    'authenticated',
+    'auth_failure',
+    'disconnected',
+    'message',
+    'message_create',
+    'message_ack',
+    'group_join',
+    'group_leave',
+    'group_update',
+    'group_admin_changed'
+];
+
+// HMAC-SHA256 of the raw request body, sent as "X-Webhook-Signature: sha256=<hex>"
+function sign(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+class WebhookDispatcher {
+    /**
+     * @param {Object} options
+     * @param {number} [options.pollIntervalMs] - how often due deliveries are picked up
+     * @param {number} [options.maxAttempts] - attempts before a delivery is marked failed
+     * @param {number} [options.retryBaseMs] - first retry delay, doubled on every attempt
+     * @param {number} [options.timeoutMs] - HTTP timeout per attempt
+     */
+    constructor({ pollIntervalMs = 5000, maxAttempts = 6, retryBaseMs = 15000, timeoutMs = 10000 } = {}) {
+        this.pollIntervalMs = pollIntervalMs;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseMs = retryBaseMs;
+        this.timeoutMs = timeoutMs;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    async start() {
+        // Deliveries interrupted by a restart are attempted again
+        await WebhookDelivery.updateMany({ status: 'delivering' }, { $set: { status: 'pending' } });
+
+        this.timer = setInterval(() => this.process(), this.pollIntervalMs);
+        this.process();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Keeps the single WebhookUrl from .env working as a subscription, signed with
+    // WEBHOOK_SECRET when given
+    async ensureSubscription(url, events, secret) {
+        const existing = await Webhook.findOne({ url });
+        if (existing) return existing;
+
+        return Webhook.create({
+            url,
+            events,
+            secret: secret || crypto.randomBytes(24).toString('hex'),
+            description: 'Created from WebhookUrl'
+        });
+    }
+
+    // Queue a delivery of the event to every active subscriber
+    async dispatch(event, sessionId, data) {
+        try {
+            const webhooks = await Webhook.find({ active: true, events: { $in: [event, '*'] } });
+            if (webhooks.length === 0) return [];
+
+            const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+                deliveryId: crypto.randomUUID(),
+                webhookId: webhook._id,
+                event,
+                sessionId,
+                payload: {
+                    event,
+                    sessionId,
+                    timestamp: new Date().toISOString(),
+                    data
+                },
+                maxAttempts: this.maxAttempts
+            })));
+
+            this.process();
+            return deliveries;
+        } catch (error) {
+            logger.error('Failed to queue webhook deliveries', { event, error: error.message });
+            return [];
+        }
+    }
+
+    // Re-send a past delivery's payload as a new delivery
+    async replay(deliveryId) {
+        const original = await WebhookDelivery.findOne({ deliveryId });
+        if (!original) return null;
+
+        const delivery = await WebhookDelivery.create({
+            deliveryId: crypto.randomUUID(),
+            webhookId: original.webhookId,
+            event: original.event,
+            sessionId: original.sessionId,
+            payload: original.payload,
+            replayOf: original.deliveryId,
+            maxAttempts: this.maxAttempts
+        });
+
+        this.process();
+        return delivery;
+    }
+
+    async process() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            while (true) {
+                const delivery = await WebhookDelivery.findOneAndUpdate(
+                    { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+                    { $set: { status: 'delivering' }, $inc: { attempts: 1 } },
+                    { sort: { nextAttemptAt: 1, createdAt: 1 }, new: true }
+                );
+                if (!delivery) break;
+
+                await this.deliver(delivery);
+            }
+        } catch (error) {
+            logger.error('Webhook delivery processing failed', { error: error.message });
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async deliver(delivery) {
+        const webhook = await Webhook.findById(delivery.webhookId);
+        const startedAt = Date.now();
+        const attempt = { at: new Date() };
+
+        try {
+            if (!webhook || !webhook.active) {
+                throw new Error('Webhook subscription removed or disabled');
+            }
+
+            const body = JSON.stringify({ deliveryId: delivery.deliveryId, ...delivery.payload });
+            const response = await axios.post(webhook.url, body, {
+                timeout: this.timeoutMs,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Id': delivery.deliveryId,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Signature': sign(webhook.secret, body)
+                }
+            });
+
+            attempt.responseStatus = response.status;
+            delivery.status = 'succeeded';
+            delivery.responseStatus = response.status;
+            delivery.deliveredAt = new Date();
+            delivery.lastError = undefined;
+
+        } catch (error) {
+            attempt.error = error.message;
+            attempt.responseStatus = error.response ? error.response.status : undefined;
+            delivery.lastError = error.message;
+            delivery.responseStatus = attempt.responseStatus;
+
+            if (!webhook || !webhook.active || delivery.attempts >= delivery.maxAttempts) {
+                delivery.status = 'failed';
+            } else {
+                delivery.status = 'pending';
+                delivery.nextAttemptAt = new Date(Date.now() + this.retryBaseMs * Math.pow(2, delivery.attempts - 1));
+            }
+
+            const fields = { deliveryId: delivery.deliveryId, event: delivery.event, attempts: delivery.attempts, error: error.message };
+            if (delivery.status === 'failed') {
+                logger.error('Webhook delivery failed', fields);
+            } else {
+                logger.warn('Webhook delivery failed, will retry', { ...fields, nextAttemptAt: delivery.nextAttemptAt });
+            }
+        }
+
+        attempt.durationMs = Date.now() - startedAt;
+        delivery.attemptLog.push(attempt);
+        metrics.webhookDuration.observe({ event: delivery.event }, attempt.durationMs / 1000);
+        metrics.webhookDeliveries.inc({ event: delivery.event, result: delivery.status === 'pending' ? 'retrying' : delivery.status });
+        await delivery.save();
+    }
+}
+
+WebhookDispatcher.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+WebhookDispatcher.sign = sign;
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,25 @@
+const { Client } = require('whatsapp-web.js');
+
+/**
+ * Builds the WhatsApp client for a session: whatsapp-web.js's Client, or with
+ * WHATSAPP_CLIENT=fake the in-process FakeClient (tests, local development).
+ *
+ * Anything returned here must behave like the whatsapp-web.js Client as far as
+ * this app uses it: an EventEmitter emitting qr, ready, authenticated,
+ * auth_failure, disconnected, message, message_create, message_ack and the group
+ * events, with initialize(), destroy(), logout(), getChats(), getChatById(),
+ * getContactById(), sendMessage(), createGroup() and acceptInvite().
+ *
+ * @param {Object} options - whatsapp-web.js Client options (authStrategy, puppeteer, ...)
+ */
+function createClient(options, env = process.env) {
+    if (env.WHATSAPP_CLIENT === 'fake') {
+        const FakeClient = require('./fakeClient');
+        return new FakeClient(options);
+    }
+    return new Client(options);
+}
+
+module.exports = {
+    createClient
+};